@@ -20,9 +20,27 @@ let saveSessionsToStorage = () => {};
 let updateWebviewStatus = () => {};
 let getSessionsArray = () => [];
 let getCurrentSessionId = () => null;
+let onActiveRequestsChange = () => {};
+let recordUsage = () => null;
+let formatTokens = (count) => String(count);
+let formatCost = () => '';
+let createGenerationParamsForm = null;
+let createAttachmentChip = null;
+let getAttachmentData = async () => null;
+let getContextBudget = null;
+let selectContext = null;
+let getSummaryStep = null;
+let getBranchInfo = null;
+let editMessage = null;
+let switchBranch = null;
+let addResponseVersion = null;
+let selectResponseVersion = null;
 
-// Constants
-const API_HISTORY_LIMIT = 12;
+// Unsaved generation parameters edited in each drawer
+const pendingParams = new WeakMap();
+
+// In-flight requests: Set of { panel, aiKey, sessionId, controller }
+const activeRequests = new Set();
 
 /**
  * Initialize API Chat module with dependencies
@@ -38,6 +56,21 @@ export function initApiChat(deps) {
   if (deps.updateWebviewStatus) updateWebviewStatus = deps.updateWebviewStatus;
   if (deps.getSessionsArray) getSessionsArray = deps.getSessionsArray;
   if (deps.getCurrentSessionId) getCurrentSessionId = deps.getCurrentSessionId;
+  if (deps.onActiveRequestsChange) onActiveRequestsChange = deps.onActiveRequestsChange;
+  if (deps.recordUsage) recordUsage = deps.recordUsage;
+  if (deps.formatTokens) formatTokens = deps.formatTokens;
+  if (deps.formatCost) formatCost = deps.formatCost;
+  if (deps.createGenerationParamsForm) createGenerationParamsForm = deps.createGenerationParamsForm;
+  if (deps.createAttachmentChip) createAttachmentChip = deps.createAttachmentChip;
+  if (deps.getAttachmentData) getAttachmentData = deps.getAttachmentData;
+  if (deps.getContextBudget) getContextBudget = deps.getContextBudget;
+  if (deps.selectContext) selectContext = deps.selectContext;
+  if (deps.getSummaryStep) getSummaryStep = deps.getSummaryStep;
+  if (deps.getBranchInfo) getBranchInfo = deps.getBranchInfo;
+  if (deps.editMessage) editMessage = deps.editMessage;
+  if (deps.switchBranch) switchBranch = deps.switchBranch;
+  if (deps.addResponseVersion) addResponseVersion = deps.addResponseVersion;
+  if (deps.selectResponseVersion) selectResponseVersion = deps.selectResponseVersion;
 }
 
 /**
@@ -81,9 +114,11 @@ export function createApiPanel(aiKey) {
       <div style="font-size: 3rem; margin-bottom: 1rem; display: flex; justify-content: center;">
         ${config.logo ? `<img src="${config.logo}" style="width: 48px; height: 48px; object-fit: contain;">` : config.icon}
       </div>
-      <h3 data-i18n="api.panel.title" data-i18n-options='{"service": "${config.name}"}'>${config.name} (API Mode)</h3>
+      <h3 data-i18n="api.panel.title"></h3>
       <p data-i18n="api.panel.waiting">Waiting for prompt...</p>
   `;
+  // The name is user input (custom endpoints, model instances): set through the DOM, never parsed as markup or JSON
+  welcome.querySelector('h3').dataset.i18nOptions = JSON.stringify({ service: config.name });
 
   // Translate welcome elements
   welcome.querySelectorAll('[data-i18n]').forEach(el => {
@@ -94,8 +129,28 @@ export function createApiPanel(aiKey) {
   });
   chatContainer.appendChild(welcome);
 
+  // System prompt editor, opened from the panel header
+  panel.appendChild(createSystemPromptDrawer(panel, aiKey));
+
   panel.appendChild(chatContainer);
 
+  // How much of the history the next request carries (see updateContextIndicator)
+  const contextIndicator = document.createElement('div');
+  contextIndicator.className = 'api-context-indicator';
+  contextIndicator.style.display = 'none';
+  panel.appendChild(contextIndicator);
+
+  // Stop control, visible while a request for this panel is in flight
+  const stopBtn = document.createElement('button');
+  stopBtn.className = 'api-stop-btn';
+  stopBtn.style.display = 'none';
+  stopBtn.innerHTML = `
+      <svg width="10" height="10" viewBox="0 0 24 24" fill="currentColor"><rect x="4" y="4" width="16" height="16" rx="2"></rect></svg>
+      <span data-i18n="api.stop">${t('api.stop')}</span>
+  `;
+  stopBtn.addEventListener('click', () => cancelApiRequest(panel));
+  panel.appendChild(stopBtn);
+
   // Restore history if available
   const session = getCurrentSession();
   logger.log('[createApiPanel] Restoring history for', aiKey, {
@@ -105,21 +160,228 @@ export function createApiPanel(aiKey) {
   });
 
   if (session && session.apiChatHistory && session.apiChatHistory[aiKey]) {
-    const history = session.apiChatHistory[aiKey];
-    logger.log('[createApiPanel] Found', history.length, 'messages for', aiKey);
-    if (history.length > 0) {
-      history.forEach((msg, idx) => {
-        logger.log(`[createApiPanel] Restoring message ${idx}:`, msg.role, msg.content?.substring(0, 50));
-        appendApiMessage(panel, msg.role, msg.content, false);
-      });
-    }
+    logger.log('[createApiPanel] Found', session.apiChatHistory[aiKey].length, 'messages for', aiKey);
+    renderApiHistory(panel, session);
   } else {
     logger.log('[createApiPanel] No history found for', aiKey);
+    updateContextIndicator(panel, session);
   }
 
   return panel;
 }
 
+/**
+ * Render the active path of a panel history, replacing the messages shown
+ * @param {HTMLElement} panel - The panel element
+ * @param {Object|null} session
+ * @param {number} [count] - Number of messages to render (defaults to all)
+ */
+export function renderApiHistory(panel, session, count = Infinity) {
+  const chatContainer = panel.querySelector('.api-chat-container');
+  const history = session?.apiChatHistory?.[panel.dataset.aiKey] || [];
+  if (history.length > 0) {
+    chatContainer.querySelectorAll(':scope > :not(.api-welcome)').forEach(el => el.remove());
+  }
+
+  // Oldest messages deleted when the sessions no longer fit in storage (see trimLargestApiHistory)
+  const trimmed = session?.apiTrimmedMessages?.[panel.dataset.aiKey] || 0;
+  if (trimmed > 0 && history.length > 0) {
+    const notice = document.createElement('div');
+    notice.className = 'api-trimmed-notice';
+    notice.textContent = t('context.trimmed', { count: trimmed });
+    chatContainer.appendChild(notice);
+  }
+
+  history.slice(0, count).forEach((msg, idx) => {
+    appendApiMessage(panel, msg.role, msg.content, false, session.id, {
+      usage: msg.usage,
+      citations: msg.citations,
+      webSearch: msg.webSearch,
+      attachments: msg.attachments,
+      thinking: msg.thinking,
+      crossCheck: msg.crossCheck,
+      debate: msg.debate,
+      historyIndex: idx
+    });
+  });
+  updateContextIndicator(panel, session);
+}
+
+/**
+ * Session a panel belongs to (panels of background tabs stay in the DOM)
+ * @param {HTMLElement} panel - The panel element
+ * @returns {Object|null}
+ */
+function getPanelSession(panel) {
+  const sessionId = panel.closest('[data-session-id]')?.dataset?.sessionId || getCurrentSessionId();
+  return getSessionsArray().find(s => s.id === sessionId) || null;
+}
+
+/**
+ * Resolve the instructions used for an AI in a session
+ * Per-AI override > session override > global custom instructions > default
+ * @param {Object|null} session
+ * @param {string} aiKey
+ * @returns {{text: string|null, source: 'ai'|'session'|'global'|'default'}} text is null when the bridge decides
+ */
+export function getSessionInstructions(session, aiKey) {
+  const aiOverride = session?.systemPrompts?.[aiKey];
+  if (aiOverride) return { text: aiOverride, source: 'ai' };
+  if (session?.systemPrompt) return { text: session.systemPrompt, source: 'session' };
+  if (window.OnePromptCore.getCustomInstructions?.()) return { text: null, source: 'global' };
+  return { text: null, source: 'default' };
+}
+
+/**
+ * Whether a session overrides the system prompt for an AI
+ * @param {Object|null} session
+ * @param {string} aiKey
+ * @returns {boolean}
+ */
+export function hasSystemPromptOverride(session, aiKey) {
+  const { source } = getSessionInstructions(session, aiKey);
+  return source === 'ai' || source === 'session';
+}
+
+/**
+ * Whether a session overrides the generation parameters of an AI
+ * @param {Object|null} session
+ * @param {string} aiKey
+ * @returns {boolean}
+ */
+export function hasGenerationParamsOverride(session, aiKey) {
+  return Object.keys(session?.generationParams?.[aiKey] || {}).length > 0;
+}
+
+/**
+ * Whether the panel header button should show an active override
+ * @param {Object|null} session
+ * @param {string} aiKey
+ * @returns {boolean}
+ */
+export function hasPanelOverrides(session, aiKey) {
+  return hasSystemPromptOverride(session, aiKey) || hasGenerationParamsOverride(session, aiKey);
+}
+
+/**
+ * Create the (hidden) system prompt drawer of a panel
+ * @param {HTMLElement} panel - The panel element
+ * @param {string} aiKey - The AI service key
+ * @returns {HTMLElement}
+ */
+function createSystemPromptDrawer(panel, aiKey) {
+  const drawer = document.createElement('div');
+  drawer.className = 'api-system-prompt';
+  drawer.style.display = 'none';
+  drawer.innerHTML = `
+      <div class="api-system-prompt-label api-system-prompt-source"></div>
+      <pre class="api-system-prompt-effective"></pre>
+      <label class="api-system-prompt-label">
+        <span>${t('api.systemPrompt.ai')}</span>
+        <textarea class="settings-textarea api-system-prompt-ai" rows="3"></textarea>
+      </label>
+      <label class="api-system-prompt-label">
+        <span>${t('api.systemPrompt.session')}</span>
+        <textarea class="settings-textarea api-system-prompt-session" rows="3"></textarea>
+      </label>
+      <div class="api-system-prompt-label api-system-prompt-params">
+        <span>${t('api.params.session')}</span>
+        <div class="api-system-prompt-params-form"></div>
+      </div>
+      <div class="api-system-prompt-actions">
+        <button class="btn-secondary api-system-prompt-save">${t('api.systemPrompt.save')}</button>
+        <button class="btn-secondary api-system-prompt-close">${t('api.systemPrompt.close')}</button>
+      </div>
+  `;
+  drawer.querySelectorAll('textarea').forEach(textarea => {
+    textarea.placeholder = t('api.systemPrompt.placeholder');
+  });
+
+  drawer.querySelector('.api-system-prompt-save').addEventListener('click', () => {
+    const session = getPanelSession(panel);
+    if (!session) return;
+
+    const aiText = drawer.querySelector('.api-system-prompt-ai').value.trim();
+    if (!session.systemPrompts) session.systemPrompts = {};
+    if (aiText) session.systemPrompts[aiKey] = aiText;
+    else delete session.systemPrompts[aiKey];
+
+    session.systemPrompt = drawer.querySelector('.api-system-prompt-session').value.trim() || null;
+
+    if (pendingParams.has(drawer)) {
+      const params = pendingParams.get(drawer);
+      if (!session.generationParams) session.generationParams = {};
+      if (Object.keys(params).length > 0) session.generationParams[aiKey] = params;
+      else delete session.generationParams[aiKey];
+      pendingParams.delete(drawer);
+    }
+    saveSessionsToStorage();
+
+    // The session-wide prompt is shared, refresh every open drawer of the session
+    document.querySelectorAll(`.webview-wrapper[data-session-id="${session.id}"] .api-panel`).forEach(sessionPanel => {
+      const otherDrawer = sessionPanel.querySelector('.api-system-prompt');
+      if (sessionPanel === panel || (otherDrawer && otherDrawer.style.display !== 'none')) {
+        refreshSystemPromptDrawer(sessionPanel);
+      }
+    });
+  });
+  drawer.querySelector('.api-system-prompt-close').addEventListener('click', () => {
+    drawer.style.display = 'none';
+  });
+
+  return drawer;
+}
+
+/**
+ * Fill the drawer with the current overrides and the effective prompt,
+ * and reflect active overrides on the header button
+ * @param {HTMLElement} panel - The panel element
+ */
+function refreshSystemPromptDrawer(panel) {
+  const drawer = panel.querySelector('.api-system-prompt');
+  if (!drawer) return;
+
+  const aiKey = panel.dataset.aiKey;
+  const session = getPanelSession(panel);
+  const { text, source } = getSessionInstructions(session, aiKey);
+
+  drawer.querySelector('.api-system-prompt-source').textContent =
+    t('api.systemPrompt.effective', { source: t(`api.systemPrompt.source.${source}`) });
+  drawer.querySelector('.api-system-prompt-effective').textContent = window.OnePromptCore.getSystemPrompt(text);
+  drawer.querySelector('.api-system-prompt-ai').value = session?.systemPrompts?.[aiKey] || '';
+  drawer.querySelector('.api-system-prompt-session').value = session?.systemPrompt || '';
+
+  // Session parameters, shown over the provider settings they replace
+  const paramsSlot = drawer.querySelector('.api-system-prompt-params-form');
+  paramsSlot.innerHTML = '';
+  pendingParams.delete(drawer);
+  if (createGenerationParamsForm) {
+    paramsSlot.appendChild(createGenerationParamsForm({
+      aiKey,
+      values: session?.generationParams?.[aiKey],
+      inherited: window.OnePromptCore.getGenerationSettings(aiKey),
+      onChange: (values) => pendingParams.set(drawer, values),
+      t
+    }));
+  }
+
+  panel.closest('.webview-wrapper')?.querySelector('.webview-header-system-prompt')
+    ?.classList.toggle('active', hasPanelOverrides(session, aiKey));
+}
+
+/**
+ * Show or hide the system prompt drawer of a panel
+ * @param {HTMLElement} panel - The panel element
+ */
+export function toggleSystemPromptEditor(panel) {
+  const drawer = panel.querySelector('.api-system-prompt');
+  if (!drawer) return;
+
+  const opening = drawer.style.display === 'none';
+  if (opening) refreshSystemPromptDrawer(panel);
+  drawer.style.display = opening ? 'flex' : 'none';
+}
+
 /**
  * Append a message to the API chat panel
  * @param {HTMLElement} panel - The panel element
@@ -127,23 +389,28 @@ export function createApiPanel(aiKey) {
  * @param {string} text - The message text
  * @param {boolean} save - Whether to save to history
  * @param {string|null} sessionId - Optional explicit session ID
+ * @param {Object|null} meta - Extra fields stored with the history entry (e.g. { usage, citations, webSearch, attachments }),
+ *   historyIndex links an unsaved bubble to its history entry
  * @returns {HTMLElement} The bubble element
  */
-export function appendApiMessage(panel, role, text, save = true, sessionId = null) {
+export function appendApiMessage(panel, role, text, save = true, sessionId = null, meta = null) {
   const chatContainer = panel.querySelector('.api-chat-container');
   const welcome = panel.querySelector('.api-welcome');
   if (welcome) welcome.remove();
 
   // Save to history (only user and assistant, not system messages)
+  let historyIndex = meta?.historyIndex ?? null;
   if (save && role !== 'system') {
     const targetSessionId = sessionId ||
       panel.closest('[data-session-id]')?.dataset?.sessionId ||
       getCurrentSessionId();
-    saveApiHistory(panel.dataset.aiKey, role, text, targetSessionId);
+    historyIndex = saveApiHistory(panel.dataset.aiKey, role, text, targetSessionId, meta);
   }
 
   const bubble = document.createElement('div');
   bubble.className = `api-message ${role}`;
+  if (meta?.crossCheck || meta?.debate) bubble.classList.add('cross-check');
+  if (historyIndex !== null) bubble.dataset.historyIndex = historyIndex;
   bubble.style.padding = '12px 16px';
   bubble.style.borderRadius = '12px';
   bubble.style.lineHeight = '1.5';
@@ -161,13 +428,13 @@ export function appendApiMessage(panel, role, text, save = true, sessionId = nul
     bubble.style.borderBottomLeftRadius = '4px';
     bubble.style.color = '#fff';
 
-    // Service specific colors
+    // Service specific colors (custom endpoints pick their own, providers declare one;
+    // model instances take the color of their base service)
     const aiKey = panel.dataset.aiKey;
-    if (aiKey === 'chatgpt') bubble.style.backgroundColor = '#10a37f';
-    else if (aiKey === 'claude') bubble.style.backgroundColor = '#d97757';
-    else if (aiKey === 'gemini') bubble.style.backgroundColor = '#1b72e8';
-    else if (aiKey === 'perplexity') bubble.style.backgroundColor = '#22b8cf';
-    else if (aiKey === 'copilot') bubble.style.backgroundColor = '#24292f';
+    const baseKey = aiConfigs[aiKey]?.instanceOf || aiKey;
+    const provider = window.OnePromptCore.getProviderForService?.(aiKey);
+    if (aiConfigs[baseKey]?.custom) bubble.style.backgroundColor = aiConfigs[aiKey].color;
+    else if (provider) bubble.style.backgroundColor = provider.color;
     else bubble.style.backgroundColor = 'var(--accent-color)';
   }
 
@@ -177,49 +444,668 @@ export function appendApiMessage(panel, role, text, save = true, sessionId = nul
       ? DOMPurify.sanitize(text)
       : text.replace(/</g, '&lt;').replace(/>/g, '&gt;');
   } else if (role === 'assistant') {
-    bubble.innerHTML = renderMarkdown(text);
-    bubble.classList.add('markdown-content');
-
-    // Intercept link clicks to open in system browser
-    bubble.querySelectorAll('a').forEach(link => {
-      link.addEventListener('click', (e) => {
-        e.preventDefault();
-        const href = link.getAttribute('href');
-        if (href && (href.startsWith('http://') || href.startsWith('https://'))) {
-          window.electronAPI.openExternal(href);
-        }
-      });
-      link.style.color = 'inherit';
-      link.style.textDecoration = 'underline';
-      link.style.cursor = 'pointer';
-    });
+    renderAssistantContent(bubble, text, meta?.citations);
+  } else if (meta?.crossCheck || meta?.debate?.round > 0) {
+    bubble.appendChild(createCollapsedPrompt(text, meta.crossCheck ? t('crosscheck.prompt') : t('debate.prompt', { round: meta.debate.round })));
   } else {
     bubble.style.whiteSpace = 'pre-wrap';
     bubble.textContent = text;
+    if (meta?.attachments?.length > 0 && createAttachmentChip) {
+      const attachments = document.createElement('div');
+      attachments.className = 'api-message-attachments';
+      meta.attachments.forEach(ref => attachments.appendChild(createAttachmentChip(ref)));
+      bubble.prepend(attachments);
+    }
   }
 
+  if (role === 'assistant' && meta?.thinking) {
+    chatContainer.appendChild(createThinkingBlock(meta.thinking));
+  }
   chatContainer.appendChild(bubble);
+  if (role === 'user' && historyIndex !== null) {
+    // Only the latest answer can be regenerated
+    chatContainer.querySelectorAll('.api-regenerate').forEach(el => el.remove());
+    appendUserActions(panel, bubble, historyIndex, sessionId);
+  }
+  if (role === 'assistant' && meta?.citations) {
+    appendSourcesList(bubble, meta.citations);
+  }
+  if (role === 'assistant' && (meta?.usage || meta?.webSearch || meta?.crossCheck || meta?.debate)) {
+    appendMessageFooter(bubble, meta);
+  }
+  if (role === 'assistant' && historyIndex !== null) {
+    appendAssistantActions(panel, bubble, historyIndex, sessionId);
+  }
   requestAnimationFrame(() => {
     chatContainer.scrollTop = chatContainer.scrollHeight;
   });
   return bubble;
 }
 
+/**
+ * Render markdown into an assistant bubble and route its links to the system browser
+ * @param {HTMLElement} bubble - The assistant bubble element
+ * @param {string} text - The markdown text
+ * @param {Object|null} [citations] - { sources, footnotes } rendered as numbered footnotes
+ */
+export function renderAssistantContent(bubble, text, citations = null) {
+  bubble.innerHTML = renderMarkdown(citations ? applyFootnotes(text, citations) : text);
+  bubble.classList.add('markdown-content');
+
+  // Intercept link clicks to open in system browser
+  bubble.querySelectorAll('a').forEach(link => {
+    link.addEventListener('click', (e) => {
+      e.preventDefault();
+      openSourceLink(link.getAttribute('href'));
+    });
+    link.style.color = 'inherit';
+    link.style.textDecoration = 'underline';
+    link.style.cursor = 'pointer';
+  });
+}
+
+/**
+ * Open an http(s) link in the system browser
+ * @param {string|null} href
+ */
+function openSourceLink(href) {
+  if (href && (href.startsWith('http://') || href.startsWith('https://'))) {
+    window.electronAPI.openExternal(href);
+  }
+}
+
+/**
+ * Insert numbered footnote links ([1], [2]...) into a response
+ * Footnotes with a start replace the inline citation link they point at
+ * @param {string} text - Response text
+ * @param {{sources: Array, footnotes: Array}} citations
+ * @returns {string} Markdown with footnotes
+ */
+function applyFootnotes(text, citations) {
+  const { sources = [], footnotes = [] } = citations;
+
+  // Group footnotes sharing a position, so "[1][2]" renders as one marker
+  const groups = new Map();
+  footnotes.forEach(footnote => {
+    if (!sources[footnote.source]) return;
+    const key = `${footnote.start ?? ''}:${footnote.end}`;
+    if (!groups.has(key)) groups.set(key, { start: footnote.start, end: footnote.end, sources: [] });
+    const group = groups.get(key);
+    if (!group.sources.includes(footnote.source)) group.sources.push(footnote.source);
+  });
+
+  // Apply from the end so earlier offsets stay valid, skipping overlapping ranges
+  let result = text;
+  let limit = text.length;
+  [...groups.values()]
+    .sort((a, b) => b.end - a.end)
+    .forEach(group => {
+      if (group.end > limit) return;
+      let start = group.start ?? group.end;
+      let end = group.end;
+      if (group.start === undefined) {
+        // Keep markers on the cited line, not after trailing newlines
+        while (start > 0 && /\s/.test(result[start - 1])) start--;
+        end = start;
+      }
+      const links = group.sources
+        .sort((a, b) => a - b)
+        .map(index => `[[${index + 1}]](<${sources[index].url}>)`)
+        .join('');
+      result = `${result.slice(0, start)}<sup class="api-footnote">${links}</sup>${result.slice(end)}`;
+      limit = start;
+    });
+  return result;
+}
+
+/**
+ * Collapsible "Thinking" section shown above an assistant bubble
+ * Kept outside the bubble so copy and cross-check only see the answer
+ * @param {string} thinking - Reasoning text (markdown)
+ * @param {boolean} [streaming] - Open and shown as plain text while the reasoning arrives
+ * @returns {HTMLElement}
+ */
+function createThinkingBlock(thinking, streaming = false) {
+  const details = document.createElement('details');
+  details.className = 'api-message-thinking';
+  details.open = streaming;
+
+  const summary = document.createElement('summary');
+  summary.textContent = t(streaming ? 'api.thinking.streaming' : 'api.thinking');
+  details.appendChild(summary);
+
+  const body = document.createElement('div');
+  body.className = 'api-message-thinking-body';
+  details.appendChild(body);
+  updateThinkingBlock(details, thinking, streaming);
+  return details;
+}
+
+/**
+ * Refresh the text of a thinking section
+ * @param {HTMLElement} details - The thinking section
+ * @param {string} thinking - Reasoning text so far
+ * @param {boolean} streaming - Plain text while streaming, markdown once complete
+ */
+function updateThinkingBlock(details, thinking, streaming) {
+  const body = details.querySelector('.api-message-thinking-body');
+  if (streaming) {
+    body.textContent = thinking;
+    body.scrollTop = body.scrollHeight;
+    return;
+  }
+  body.innerHTML = renderMarkdown(thinking);
+  details.querySelector('summary').textContent = t('api.thinking');
+  details.open = false;
+}
+
+/**
+ * Show a collapsible "Sources" list under an assistant bubble
+ * Kept outside the bubble (like the usage footer) so copy and cross-check only see the answer
+ * @param {HTMLElement} bubble - The assistant bubble element
+ * @param {{sources: Array<{url: string, title: string}>}} citations
+ */
+function appendSourcesList(bubble, citations) {
+  const sources = citations?.sources || [];
+  if (sources.length === 0) return;
+
+  const details = document.createElement('details');
+  details.className = 'api-message-sources';
+
+  const summary = document.createElement('summary');
+  summary.textContent = t('api.sources', { count: sources.length });
+  details.appendChild(summary);
+
+  const list = document.createElement('ol');
+  sources.forEach(source => {
+    const item = document.createElement('li');
+    const link = document.createElement('a');
+    link.href = source.url;
+    link.textContent = source.title || source.url;
+    link.title = source.url;
+    link.addEventListener('click', (e) => {
+      e.preventDefault();
+      openSourceLink(source.url);
+    });
+    item.appendChild(link);
+    list.appendChild(item);
+  });
+  details.appendChild(list);
+
+  bubble.after(details);
+}
+
+/**
+ * Collapsed body of a cross-check or debate prompt (the answers it quotes make it long)
+ * @param {string} text - The prompt
+ * @param {string} label - Shown while collapsed
+ * @returns {HTMLElement}
+ */
+function createCollapsedPrompt(text, label) {
+  const details = document.createElement('details');
+  details.className = 'api-cross-check-prompt';
+  const summary = document.createElement('summary');
+  summary.textContent = label;
+  const body = document.createElement('div');
+  body.className = 'api-cross-check-prompt-body';
+  body.textContent = text;
+  details.appendChild(summary);
+  details.appendChild(body);
+  return details;
+}
+
+/**
+ * Show cross-check or debate round, web search use, token usage and cost under an assistant bubble
+ * Kept outside the bubble so copy and cross-check only see the answer
+ * @param {HTMLElement} bubble - The assistant bubble element
+ * @param {Object} meta - { usage: { model, inputTokens, outputTokens, cost }, webSearch, crossCheck, debate }
+ */
+function appendMessageFooter(bubble, meta) {
+  const footer = document.createElement('div');
+  footer.className = 'api-message-usage';
+  const parts = [];
+  if (meta.crossCheck) parts.push(t('crosscheck.answer'));
+  if (meta.debate) parts.push(t('debate.answer', { round: meta.debate.round }));
+  if (meta.webSearch) parts.push(t('api.webSearchUsed'));
+
+  const usage = meta.usage;
+  if (usage) {
+    parts.push(t('usage.footer', {
+      input: formatTokens(usage.inputTokens),
+      output: formatTokens(usage.outputTokens)
+    }));
+    const cost = formatCost(usage.cost);
+    if (cost) parts.push(cost);
+    if (usage.model) footer.title = usage.model;
+  }
+  footer.textContent = parts.join(' · ');
+  bubble.after(footer);
+}
+
+/**
+ * Edit control and branch switcher ("‹ 2/3 ›") under a user bubble
+ * Kept outside the bubble so copy and cross-check only see the prompt
+ * @param {HTMLElement} panel - The panel element
+ * @param {HTMLElement} bubble - The user bubble element
+ * @param {number} historyIndex - Index of the message in the active path
+ * @param {string|null} sessionId - Session the panel belongs to
+ */
+function appendUserActions(panel, bubble, historyIndex, sessionId) {
+  if (!editMessage) return;
+
+  const session = (sessionId && getSessionsArray().find(s => s.id === sessionId)) || getPanelSession(panel);
+  const history = session?.apiChatHistory?.[panel.dataset.aiKey] || [];
+  const actions = document.createElement('div');
+  actions.className = 'api-message-actions';
+
+  const branch = getBranchInfo ? getBranchInfo(history, historyIndex) : null;
+  if (branch) {
+    const nav = document.createElement('span');
+    nav.className = 'api-branch-nav';
+    const addStep = (label, title, target) => {
+      const button = document.createElement('button');
+      button.className = 'api-inline-action';
+      button.textContent = label;
+      button.title = title;
+      button.disabled = target < 0 || target >= branch.total;
+      button.addEventListener('click', () => showBranch(panel, historyIndex, target));
+      nav.appendChild(button);
+    };
+    addStep('‹', t('api.branch.previous'), branch.active - 1);
+    const position = document.createElement('span');
+    position.textContent = `${branch.active + 1}/${branch.total}`;
+    position.title = t('api.branch.hint');
+    nav.appendChild(position);
+    addStep('›', t('api.branch.next'), branch.active + 1);
+    actions.appendChild(nav);
+  }
+
+  const editBtn = document.createElement('button');
+  editBtn.className = 'api-inline-action';
+  editBtn.textContent = t('api.edit');
+  editBtn.addEventListener('click', () => startMessageEdit(panel, bubble, historyIndex));
+  actions.appendChild(editBtn);
+
+  bubble.after(actions);
+}
+
+/**
+ * Turn a user bubble into an editor; sending starts a new branch from that message
+ * @param {HTMLElement} panel - The panel element
+ * @param {HTMLElement} bubble - The user bubble element
+ * @param {number} historyIndex - Index of the message in the active path
+ */
+function startMessageEdit(panel, bubble, historyIndex) {
+  const session = getPanelSession(panel);
+  const entry = session?.apiChatHistory?.[panel.dataset.aiKey]?.[historyIndex];
+  if (!entry || isPanelBusy(panel)) return;
+
+  const textarea = document.createElement('textarea');
+  textarea.className = 'settings-textarea api-message-editor';
+  textarea.value = entry.content;
+  textarea.rows = Math.min(12, entry.content.split('\n').length + 1);
+
+  const buttons = document.createElement('div');
+  buttons.className = 'api-message-editor-actions';
+  const cancelBtn = document.createElement('button');
+  cancelBtn.className = 'btn-secondary';
+  cancelBtn.textContent = t('api.edit.cancel');
+  cancelBtn.addEventListener('click', () => renderApiHistory(panel, getPanelSession(panel)));
+  const sendBtn = document.createElement('button');
+  sendBtn.className = 'btn-secondary';
+  sendBtn.textContent = t('api.edit.send');
+  sendBtn.addEventListener('click', () => resendEditedMessage(panel, historyIndex, textarea.value.trim()));
+  buttons.appendChild(cancelBtn);
+  buttons.appendChild(sendBtn);
+
+  textarea.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+      e.preventDefault();
+      sendBtn.click();
+    } else if (e.key === 'Escape') {
+      cancelBtn.click();
+    }
+  });
+
+  bubble.classList.add('editing');
+  bubble.textContent = '';
+  bubble.appendChild(textarea);
+  bubble.appendChild(buttons);
+  const actions = bubble.nextElementSibling;
+  if (actions?.classList.contains('api-message-actions')) actions.remove();
+  textarea.focus();
+}
+
+/**
+ * Send an edited user message: the previous version and its answers are kept as a branch
+ * @param {HTMLElement} panel - The panel element
+ * @param {number} historyIndex - Index of the edited message
+ * @param {string} text - New prompt
+ */
+function resendEditedMessage(panel, historyIndex, text) {
+  const session = getPanelSession(panel);
+  const aiKey = panel.dataset.aiKey;
+  const history = session?.apiChatHistory?.[aiKey];
+  if (!text || !history?.[historyIndex] || isPanelBusy(panel)) return;
+
+  const entry = createHistoryEntry('user', text, {
+    attachments: history[historyIndex].attachments,
+    crossCheck: history[historyIndex].crossCheck
+  });
+  const { summary } = editMessage(history, historyIndex, entry, session.apiContextSummaries?.[aiKey] || null);
+  setContextSummary(session, aiKey, summary);
+  saveSessionsToStorage();
+
+  // handleApiChat shows the new message itself
+  renderApiHistory(panel, session, history.length - 1);
+  handleApiChat(aiKey, text, panel, session.id, { attachments: entry.attachments });
+}
+
+/**
+ * Show another branch of the conversation at a user message
+ * @param {HTMLElement} panel - The panel element
+ * @param {number} historyIndex - Index of the message where the branches fork
+ * @param {number} target - Branch to show
+ */
+function showBranch(panel, historyIndex, target) {
+  const session = getPanelSession(panel);
+  const aiKey = panel.dataset.aiKey;
+  const history = session?.apiChatHistory?.[aiKey];
+  if (!history || !switchBranch || isPanelBusy(panel)) return;
+
+  const result = switchBranch(history, historyIndex, target, session.apiContextSummaries?.[aiKey] || null);
+  if (!result) return;
+  setContextSummary(session, aiKey, result.summary);
+  saveSessionsToStorage();
+  renderApiHistory(panel, session);
+}
+
+/**
+ * Store (or clear) the pinned context summary of a service
+ * @param {Object} session
+ * @param {string} aiKey
+ * @param {Object|null} summary
+ */
+function setContextSummary(session, aiKey, summary) {
+  if (!session.apiContextSummaries) session.apiContextSummaries = {};
+  if (summary) session.apiContextSummaries[aiKey] = summary;
+  else delete session.apiContextSummaries[aiKey];
+}
+
+/**
+ * History entry for a message
+ * @param {string} role - 'user' or 'assistant'
+ * @param {string} content - The message content
+ * @param {Object|null} meta - Extra fields stored with the entry (e.g. { usage, citations, webSearch, attachments, thinking, crossCheck, debate })
+ * @returns {Object}
+ */
+function createHistoryEntry(role, content, meta = null) {
+  // Stable identity of the message, its index changes with edits, branches and regenerations
+  const entry = { id: `msg-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`, role, content };
+  // Reasoning is kept next to the answer, never sent back to the model
+  if (meta?.thinking) entry.thinking = meta.thinking;
+  if (meta?.usage) entry.usage = meta.usage;
+  if (meta?.citations) entry.citations = meta.citations;
+  if (meta?.attachments?.length > 0) entry.attachments = meta.attachments;
+  if (meta && typeof meta.webSearch === 'boolean') entry.webSearch = meta.webSearch;
+  // Both turns of a cross-check round carry { id } of the round, debate turns { id, round }
+  if (meta?.crossCheck) entry.crossCheck = meta.crossCheck;
+  if (meta?.debate) entry.debate = meta.debate;
+  return entry;
+}
+
+/**
+ * Store a regenerated answer as a new version of the one at index
+ * @param {Object} session
+ * @param {string} aiKey
+ * @param {number} index - Index of the regenerated answer
+ * @param {Object} entry - The new assistant entry
+ */
+function replaceApiResponse(session, aiKey, index, entry) {
+  const history = session.apiChatHistory[aiKey];
+  const previous = history[index];
+  history[index] = previous?.role === 'assistant' && addResponseVersion ? addResponseVersion(previous, entry) : entry;
+  saveSessionsToStorage();
+}
+
+/**
+ * Version switcher and regenerate control under an assistant bubble
+ * The latest answer can be regenerated and its versions swiped (the one shown is the one
+ * the conversation continues from), older answers show which version was kept
+ * @param {HTMLElement} panel - The panel element
+ * @param {HTMLElement} bubble - The assistant bubble element
+ * @param {number} historyIndex - Index of the answer in the active path
+ * @param {string|null} sessionId - Session the panel belongs to
+ */
+function appendAssistantActions(panel, bubble, historyIndex, sessionId) {
+  const session = (sessionId && getSessionsArray().find(s => s.id === sessionId)) || getPanelSession(panel);
+  const history = session?.apiChatHistory?.[panel.dataset.aiKey] || [];
+  const entry = history[historyIndex];
+  if (!entry) return;
+
+  const isLatest = historyIndex === history.length - 1;
+  const versions = entry.versions?.items || [];
+  if (!isLatest && versions.length < 2) return;
+
+  const actions = document.createElement('div');
+  actions.className = 'api-message-actions assistant';
+
+  if (versions.length > 1) {
+    const nav = document.createElement('span');
+    nav.className = 'api-branch-nav';
+    const selected = entry.versions.selected;
+    if (isLatest) {
+      const addStep = (label, title, target) => {
+        const button = document.createElement('button');
+        button.className = 'api-inline-action';
+        button.textContent = label;
+        button.title = title;
+        button.disabled = target < 0 || target >= versions.length;
+        button.addEventListener('click', () => showResponseVersion(panel, historyIndex, target));
+        nav.appendChild(button);
+      };
+      addStep('‹', t('api.versions.previous'), selected - 1);
+      nav.appendChild(createVersionLabel(versions, selected));
+      addStep('›', t('api.versions.next'), selected + 1);
+    } else {
+      nav.appendChild(createVersionLabel(versions, selected));
+      nav.title = t('api.versions.kept', { version: selected + 1 });
+    }
+    actions.appendChild(nav);
+  }
+
+  if (isLatest) {
+    const regenerate = document.createElement('span');
+    regenerate.className = 'api-regenerate';
+
+    const regenerateBtn = document.createElement('button');
+    regenerateBtn.className = 'api-inline-action';
+    regenerateBtn.textContent = t('api.regenerate');
+    regenerateBtn.title = t('api.regenerate.hint');
+    regenerateBtn.addEventListener('click', () => regenerateResponse(panel, historyIndex));
+    regenerate.appendChild(regenerateBtn);
+
+    const optionsBtn = document.createElement('button');
+    optionsBtn.className = 'api-inline-action';
+    optionsBtn.textContent = t('api.regenerate.with');
+    optionsBtn.addEventListener('click', () => {
+      const existing = actions.nextElementSibling;
+      if (existing?.classList.contains('api-regenerate-options')) existing.remove();
+      else actions.after(createRegenerateOptions(panel, historyIndex));
+    });
+    regenerate.appendChild(optionsBtn);
+    actions.appendChild(regenerate);
+  }
+
+  // After the sources list and usage footer of the bubble
+  let anchor = bubble;
+  while (anchor.nextElementSibling?.matches('.api-message-sources, .api-message-usage')) {
+    anchor = anchor.nextElementSibling;
+  }
+  anchor.after(actions);
+}
+
+/**
+ * "2/3" label of an answer version, with the model that wrote it
+ * @param {Array} versions - Version entries
+ * @param {number} index - Version shown
+ * @returns {HTMLElement}
+ */
+function createVersionLabel(versions, index) {
+  const label = document.createElement('span');
+  label.textContent = `${index + 1}/${versions.length}`;
+  const model = versions[index].usage?.model;
+  if (model) label.title = model;
+  return label;
+}
+
+/**
+ * Model and temperature picker for a single regeneration
+ * @param {HTMLElement} panel - The panel element
+ * @param {number} historyIndex - Index of the answer to regenerate
+ * @returns {HTMLElement}
+ */
+function createRegenerateOptions(panel, historyIndex) {
+  const core = window.OnePromptCore;
+  const aiKey = panel.dataset.aiKey;
+  const form = document.createElement('div');
+  form.className = 'api-regenerate-options';
+
+  let modelInput;
+  const models = [...core.getAvailableModels(aiKey)];
+  const selectedModel = core.getSelectedModel(aiKey);
+  if (models.length > 0) {
+    modelInput = document.createElement('select');
+    modelInput.className = 'settings-select';
+    if (selectedModel && !models.some(model => model.id === selectedModel)) models.unshift({ id: selectedModel, name: selectedModel });
+    models.forEach(model => {
+      const option = document.createElement('option');
+      option.value = model.id;
+      option.textContent = model.name || model.id;
+      modelInput.appendChild(option);
+    });
+    modelInput.value = selectedModel || '';
+  } else {
+    modelInput = document.createElement('input');
+    modelInput.type = 'text';
+    modelInput.className = 'api-key-input';
+    modelInput.value = selectedModel || '';
+  }
+  form.appendChild(createOptionRow(t('api.regenerate.model'), modelInput));
+
+  const temperatureInput = document.createElement('input');
+  temperatureInput.type = 'number';
+  temperatureInput.className = 'api-key-input';
+  temperatureInput.step = '0.1';
+  temperatureInput.min = '0';
+  const session = getPanelSession(panel);
+  const inherited = {
+    ...core.getGenerationSettings(aiKey),
+    ...core.compactParams(session?.generationParams?.[aiKey])
+  }.temperature;
+  temperatureInput.placeholder = inherited ?? t('params.default');
+  const temperatureRow = createOptionRow(t('params.temperature'), temperatureInput);
+  form.appendChild(temperatureRow);
+
+  // Some models take no temperature (e.g. reasoning models)
+  const updateTemperature = () => {
+    const spec = core.getModelParameters(aiKey, modelInput.value || null);
+    temperatureRow.style.display = spec.temperature ? '' : 'none';
+    if (spec.temperature?.max !== null && spec.temperature?.max !== undefined) {
+      temperatureInput.max = String(spec.temperature.max);
+    }
+  };
+  modelInput.addEventListener('change', updateTemperature);
+  updateTemperature();
+
+  const runBtn = document.createElement('button');
+  runBtn.className = 'btn-secondary';
+  runBtn.textContent = t('api.regenerate');
+  runBtn.addEventListener('click', () => {
+    const model = modelInput.value.trim();
+    const temperature = temperatureInput.value === '' || temperatureRow.style.display === 'none'
+      ? null
+      : Number(temperatureInput.value);
+    regenerateResponse(panel, historyIndex, {
+      model: model && model !== selectedModel ? model : undefined,
+      params: Number.isFinite(temperature) ? { temperature } : undefined
+    });
+  });
+  form.appendChild(runBtn);
+  return form;
+}
+
+/**
+ * Labelled control of the regenerate options
+ * @param {string} text
+ * @param {HTMLElement} control
+ * @returns {HTMLElement}
+ */
+function createOptionRow(text, control) {
+  const row = document.createElement('label');
+  row.className = 'api-regenerate-option';
+  const label = document.createElement('span');
+  label.textContent = text;
+  row.appendChild(label);
+  row.appendChild(control);
+  return row;
+}
+
+/**
+ * Ask this panel again for its latest answer, keeping the current one as a version
+ * @param {HTMLElement} panel - The panel element
+ * @param {number} historyIndex - Index of the answer to regenerate
+ * @param {Object} [overrides] - { model, params } for this request only
+ */
+function regenerateResponse(panel, historyIndex, overrides = {}) {
+  const session = getPanelSession(panel);
+  const history = session?.apiChatHistory?.[panel.dataset.aiKey] || [];
+  if (isPanelBusy(panel) || historyIndex !== history.length - 1 || history[historyIndex].role !== 'assistant') return;
+
+  // The answer stays in history (and comes back on failure) until the new one is complete
+  renderApiHistory(panel, session, historyIndex);
+  requestApiResponse(panel.dataset.aiKey, panel, session.id, {
+    replaceIndex: historyIndex,
+    model: overrides.model,
+    params: overrides.params
+  });
+}
+
+/**
+ * Show another version of the latest answer; the conversation continues from it
+ * @param {HTMLElement} panel - The panel element
+ * @param {number} historyIndex - Index of the answer
+ * @param {number} target - Version to show
+ */
+function showResponseVersion(panel, historyIndex, target) {
+  const session = getPanelSession(panel);
+  const history = session?.apiChatHistory?.[panel.dataset.aiKey];
+  if (!history?.[historyIndex] || !selectResponseVersion || isPanelBusy(panel)) return;
+
+  const entry = selectResponseVersion(history[historyIndex], target);
+  if (!entry) return;
+  history[historyIndex] = entry;
+  saveSessionsToStorage();
+  renderApiHistory(panel, session);
+}
+
 /**
  * Save message to API chat history
  * @param {string} aiKey - The AI service key
  * @param {string} role - 'user' or 'assistant'
  * @param {string} content - The message content
  * @param {string|null} sessionId - Optional explicit session ID
+ * @param {Object|null} meta - Extra fields stored with the entry (e.g. { usage, citations, webSearch, attachments })
+ * @returns {number|null} Index of the new entry, null when the session is gone
  */
-export function saveApiHistory(aiKey, role, content, sessionId = null) {
+export function saveApiHistory(aiKey, role, content, sessionId = null, meta = null) {
   const targetSessionId = sessionId || getCurrentSessionId();
   const sessionsArray = getSessionsArray();
   const session = sessionsArray.find(s => s.id === targetSessionId);
 
   if (!session) {
     logger.warn(`[saveApiHistory] Session not found: ${targetSessionId}`);
-    return;
+    return null;
   }
 
   if (!session.apiChatHistory) {
@@ -229,33 +1115,20 @@ export function saveApiHistory(aiKey, role, content, sessionId = null) {
     session.apiChatHistory[aiKey] = [];
   }
 
-  session.apiChatHistory[aiKey].push({ role, content });
-
-  // Enforce sliding window limit
-  if (session.apiChatHistory[aiKey].length > API_HISTORY_LIMIT) {
-    session.apiChatHistory[aiKey] = session.apiChatHistory[aiKey].slice(-API_HISTORY_LIMIT);
-  }
+  session.apiChatHistory[aiKey].push(createHistoryEntry(role, content, meta));
 
+  // The whole history is kept, what each request carries is decided by fitHistoryToContext
   saveSessionsToStorage();
+  return session.apiChatHistory[aiKey].length - 1;
 }
 
 /**
  * Get system prompt with language instruction
+ * @param {string|null} [instructions] - Session or per-AI instructions
  * @returns {string} System prompt
  */
-export function getSystemPromptWithLanguage() {
-  const lang = localStorage.getItem('oneprompt-language') || 'en';
-  const languageNames = {
-    en: 'English',
-    it: 'Italian',
-    es: 'Spanish',
-    fr: 'French',
-    de: 'German',
-    pt: 'Portuguese',
-    tr: 'Turkish'
-  };
-  const languageName = languageNames[lang] || 'English';
-  return `You are a helpful AI assistant. Always respond in ${languageName} unless the user explicitly asks for a different language.`;
+export function getSystemPromptWithLanguage(instructions = null) {
+  return window.OnePromptCore.getSystemPrompt(instructions);
 }
 
 /**
@@ -264,66 +1137,575 @@ export function getSystemPromptWithLanguage() {
  * @param {string} prompt - The user prompt
  * @param {HTMLElement} panel - The panel element
  * @param {string|null} sessionId - Optional explicit session ID
+ * @param {Object} [options]
+ * @param {boolean} [options.webSearch] - Web search for this send (defaults to the web search setting)
+ * @param {Array} [options.attachments] - Attachment references sent with the prompt (already in history)
  */
-export async function handleApiChat(aiKey, prompt, panel, sessionId = null) {
+export async function handleApiChat(aiKey, prompt, panel, sessionId = null, options = {}) {
   const targetSessionId = sessionId || getCurrentSessionId();
 
-  // Show User Message immediately
-  appendApiMessage(panel, 'user', prompt, false, targetSessionId);
+  // Show User Message immediately (saved by the caller, so it is the last history entry)
+  const sessionHistory = getSessionsArray().find(s => s.id === targetSessionId)?.apiChatHistory?.[aiKey] || [];
+  appendApiMessage(panel, 'user', prompt, false, targetSessionId, {
+    attachments: options.attachments,
+    crossCheck: sessionHistory[sessionHistory.length - 1]?.crossCheck,
+    debate: sessionHistory[sessionHistory.length - 1]?.debate,
+    historyIndex: sessionHistory.length > 0 ? sessionHistory.length - 1 : null
+  });
+
+  await requestApiResponse(aiKey, panel, targetSessionId, options);
+}
 
+/**
+ * Request an answer to the stored history and add it to the panel and the history
+ * @param {string} aiKey - The AI service key
+ * @param {HTMLElement} panel - The panel element
+ * @param {string} targetSessionId - Session the request belongs to
+ * @param {Object} [options]
+ * @param {boolean} [options.webSearch] - Web search for this request (defaults to the web search setting)
+ * @param {string} [options.model] - Model for this request only
+ * @param {Object} [options.params] - Generation parameters for this request only, over the session ones
+ * @param {number} [options.replaceIndex] - Regenerate the answer at this index (the last one):
+ *   it is left out of the request and the new answer becomes its selected version
+ */
+async function requestApiResponse(aiKey, panel, targetSessionId, options = {}) {
   // Check if can proceed (API key check)
   const check = await window.OnePromptCore.checkCanMakeRequest(aiKey);
   if (!check.canProceed) {
-    appendApiMessage(panel, 'system', t('error.apiKeyMissing'), false, targetSessionId);
-    updateWebviewStatus(aiKey, 'error');
+    const isCustom = !!window.OnePromptCore.getCustomApiService?.(aiKey);
+    appendApiMessage(panel, 'system', t(isCustom ? 'error.endpointNotConfigured' : 'error.apiKeyMissing'), false, targetSessionId);
+    updateWebviewStatus(aiKey, 'error', targetSessionId);
     return;
   }
 
-  updateWebviewStatus(aiKey, 'thinking');
+  updateWebviewStatus(aiKey, 'thinking', targetSessionId);
 
   // Show loader
   const loader = appendApiLoader(panel);
 
-  // Build messages array with history
-  const sessionsArray = getSessionsArray();
-  const session = sessionsArray.find(s => s.id === targetSessionId);
-  const existingHistory = (session?.apiChatHistory?.[aiKey] || [])
-    .filter(msg => msg.role === 'user' || msg.role === 'assistant')
-    .slice(-API_HISTORY_LIMIT);
+  // Register the request so it can be cancelled from the panel or globally
+  const request = { panel, aiKey, sessionId: targetSessionId, controller: new AbortController() };
+  trackRequest(request);
 
-  const messages = existingHistory;
+  const session = getSessionsArray().find(s => s.id === targetSessionId);
+  const instructions = getSessionInstructions(session, aiKey).text;
+  const regenerating = Number.isInteger(options.replaceIndex);
+  const params = { ...session?.generationParams?.[aiKey], ...options.params };
+  // An answer to a cross-check or debate prompt is part of the same round
+  const history = session?.apiChatHistory?.[aiKey] || [];
+  const prompting = history[(regenerating ? options.replaceIndex : history.length) - 1];
+  const crossCheck = prompting?.crossCheck || null;
+  const debate = prompting?.debate || null;
+
+  // Streaming bubble, created when the first token arrives
+  let streamBubble = null;
+  let renderScheduled = false;
+  let latestText = '';
+
+  // Reasoning section, created when the first reasoning token arrives (before the answer)
+  let thinkingBlock = null;
+  let thinkingScheduled = false;
+  let latestThinking = '';
+
+  const onThinking = (delta, fullThinking) => {
+    latestThinking = fullThinking;
+    if (!thinkingBlock) {
+      loader.remove();
+      thinkingBlock = createThinkingBlock('', true);
+      panel.querySelector('.api-chat-container').appendChild(thinkingBlock);
+    }
+    if (thinkingScheduled) return;
+    thinkingScheduled = true;
+    requestAnimationFrame(() => {
+      thinkingScheduled = false;
+      if (thinkingBlock) updateThinkingBlock(thinkingBlock, latestThinking, true);
+    });
+  };
+
+  const onDelta = (delta, fullText) => {
+    latestText = fullText;
+    if (!streamBubble) {
+      loader.remove();
+      streamBubble = appendApiMessage(panel, 'assistant', '', false, targetSessionId);
+      streamBubble.classList.add('streaming');
+    }
+    // Coalesce re-renders to one per frame, tokens can arrive much faster
+    if (renderScheduled) return;
+    renderScheduled = true;
+    requestAnimationFrame(() => {
+      renderScheduled = false;
+      if (!streamBubble) return;
+      const chatContainer = panel.querySelector('.api-chat-container');
+      const wasAtBottom = chatContainer.scrollHeight - chatContainer.scrollTop - chatContainer.clientHeight < 40;
+      renderAssistantContent(streamBubble, latestText);
+      if (wasAtBottom) {
+        chatContainer.scrollTop = chatContainer.scrollHeight;
+      }
+    });
+  };
+
+  // Retry countdown in the panel header ("retrying in Ns (attempt 2/4)")
+  let retryTimer = null;
+  const onRetry = ({ attempt, maxAttempts, delayMs }) => {
+    clearInterval(retryTimer);
+    const retryAt = Date.now() + delayMs;
+    const showCountdown = () => {
+      const seconds = Math.max(0, Math.ceil((retryAt - Date.now()) / 1000));
+      if (seconds === 0) {
+        clearInterval(retryTimer);
+        updateWebviewStatus(aiKey, 'thinking', targetSessionId);
+        return;
+      }
+      updateWebviewStatus(aiKey, 'retrying', targetSessionId, t('api.retrying', { seconds, attempt, max: maxAttempts }));
+    };
+    showCountdown();
+    retryTimer = setInterval(showCountdown, 1000);
+  };
+
+  let usage = null;
+  let citations = null;
+
+  // Recorded with the answer, so only true when the provider actually has a search tool
+  // (cross-check and debate prompts already hold the answers to compare, they are not searched by default)
+  const quotesAnswers = crossCheck || debate?.round > 0;
+  const webSearch = (options.webSearch ?? (!quotesAnswers && window.OnePromptCore.getWebSearchSettings().enabled)) &&
+    !!window.OnePromptCore.getProviderForService(aiKey)?.capabilities?.webSearch;
 
   try {
-    const responseText = await window.OnePromptCore.makeAIRequest(aiKey, messages);
+    // Fit the history into the model context window
+    const context = await fitHistoryToContext(panel, session, aiKey, {
+      instructions,
+      signal: request.controller.signal,
+      sessionId: targetSessionId,
+      end: regenerating ? options.replaceIndex : undefined,
+      model: options.model,
+      params
+    });
+    updateContextIndicator(panel, session, context);
+
+    // History only keeps attachment references, load the file contents for the request
+    const messages = await Promise.all(context.messages.map(async msg => {
+      if (!msg.attachments?.length) return msg;
+      const attachments = await Promise.all(msg.attachments.map(async ref => ({
+        ...ref,
+        data: await getAttachmentData(ref.id)
+      })));
+      return { ...msg, attachments };
+    }));
+
+    const responseText = await window.OnePromptCore.makeAIRequest(aiKey, messages, {
+      instructions,
+      contextSummary: context.summary?.content,
+      model: options.model,
+      params,
+      onDelta,
+      onThinking,
+      onRetry,
+      onUsage: (reported) => { usage = reported; },
+      onCitations: (reported) => { citations = reported; },
+      webSearch,
+      signal: request.controller.signal
+    });
 
     loader.remove();
 
+    // Price the response and add it to the session and monthly totals
+    const usageEntry = usage ? recordUsage(session, aiKey, usage) : null;
+    const meta = { usage: usageEntry, citations, webSearch, thinking: latestThinking || null, crossCheck, debate };
+
+    // Save the final text only now that the stream is complete
     logger.log(`[handleApiChat] Saving assistant response for ${aiKey} to session ${targetSessionId}`);
-    appendApiMessage(panel, 'assistant', responseText, true, targetSessionId);
+    if (regenerating) {
+      if (streamBubble) streamBubble.remove();
+      streamBubble = null;
+      replaceApiResponse(session, aiKey, options.replaceIndex, createHistoryEntry('assistant', responseText, meta));
+      renderApiHistory(panel, session);
+    } else if (streamBubble) {
+      const finalBubble = streamBubble;
+      streamBubble = null;
+      if (thinkingBlock) updateThinkingBlock(thinkingBlock, latestThinking, false);
+      finalBubble.classList.remove('streaming');
+      renderAssistantContent(finalBubble, responseText, citations);
+      const historyIndex = saveApiHistory(aiKey, 'assistant', responseText, targetSessionId, meta);
+      if (citations) appendSourcesList(finalBubble, citations);
+      if (crossCheck || debate) finalBubble.classList.add('cross-check');
+      if (usageEntry || webSearch || crossCheck || debate) appendMessageFooter(finalBubble, meta);
+      if (historyIndex !== null) {
+        finalBubble.dataset.historyIndex = historyIndex;
+        appendAssistantActions(panel, finalBubble, historyIndex, targetSessionId);
+      }
+    } else {
+      // The answer came in one piece, it is shown with its reasoning
+      if (thinkingBlock) thinkingBlock.remove();
+      appendApiMessage(panel, 'assistant', responseText, true, targetSessionId, meta);
+    }
 
     saveSessionsToStorage();
-    updateWebviewStatus(aiKey, 'ready');
+    updateContextIndicator(panel, session);
+    updateWebviewStatus(aiKey, 'ready', targetSessionId);
 
   } catch (error) {
-    logger.error(`API Error (${aiKey}):`, error);
     loader.remove();
 
-    const errorMsg = error.message || '';
-    const isApiKeyError = errorMsg.includes('ISO-8859-1') ||
-                          errorMsg.includes('Failed to fetch') ||
-                          errorMsg.includes('401') ||
-                          errorMsg.includes('invalid_api_key') ||
-                          errorMsg.includes('Unauthorized');
+    // Keep the partial text visible but never persist it
+    const partialBubble = streamBubble;
+    if (streamBubble) {
+      streamBubble.classList.remove('streaming');
+      streamBubble.classList.add('incomplete');
+      streamBubble = null;
+    }
+    if (thinkingBlock) updateThinkingBlock(thinkingBlock, latestThinking, false);
 
-    if (isApiKeyError) {
-      appendApiMessage(panel, 'system', t('error.apiKeyInvalid'));
-    } else {
-      appendApiMessage(panel, 'system', `Error: ${errorMsg}`);
+    // A failed regeneration brings the answer it was replacing back
+    if (regenerating) renderApiHistory(panel, session);
+
+    if (request.controller.signal.aborted) {
+      logger.log(`[handleApiChat] Request cancelled for ${aiKey}`);
+      appendCancelledMessage(panel, aiKey, partialBubble ? latestText : '', regenerating ? null : partialBubble, targetSessionId,
+        regenerating ? options.replaceIndex : null);
+      updateWebviewStatus(aiKey, 'ready', targetSessionId);
+      return;
     }
-    updateWebviewStatus(aiKey, 'error');
+
+    logger.error(`API Error (${aiKey}):`, error);
+
+    const notice = appendApiMessage(panel, 'system', formatApiError(error, aiConfigs[aiKey]?.name || aiKey));
+    // Provider wording stays reachable for bug reports
+    if (notice && error.message) notice.title = error.message;
+    if (notice && !regenerating) appendRetryAction(panel, notice, targetSessionId);
+    updateWebviewStatus(aiKey, 'error', targetSessionId);
+  } finally {
+    clearInterval(retryTimer);
+    untrackRequest(request);
   }
 }
 
+/**
+ * Offer to request the answer again from a failed request notice
+ * The prompt is already in history, only this panel is asked again
+ * @param {HTMLElement} panel - The panel element
+ * @param {HTMLElement} notice - The error message element
+ * @param {string} sessionId - Session the request belongs to
+ */
+function appendRetryAction(panel, notice, sessionId) {
+  const retryBtn = document.createElement('button');
+  retryBtn.className = 'api-inline-action';
+  retryBtn.textContent = t('api.regenerate');
+  retryBtn.addEventListener('click', () => {
+    const history = getSessionsArray().find(s => s.id === sessionId)?.apiChatHistory?.[panel.dataset.aiKey] || [];
+    if (isPanelBusy(panel) || history[history.length - 1]?.role !== 'user') return;
+    notice.remove();
+    requestApiResponse(panel.dataset.aiKey, panel, sessionId);
+  });
+  notice.appendChild(document.createTextNode(' '));
+  notice.appendChild(retryBtn);
+}
+
+/**
+ * Token budget of the history sent to a service, from the effective generation parameters
+ * @param {Object|null} session
+ * @param {string} aiKey
+ * @param {string|null} instructions - Session or per-AI instructions
+ * @param {Object} [request] - Overrides of a single request
+ * @param {string} [request.model]
+ * @param {Object} [request.params] - Replaces the session parameters
+ * @returns {number}
+ */
+function getHistoryBudget(session, aiKey, instructions, request = {}) {
+  const core = window.OnePromptCore;
+  const params = {
+    ...core.getGenerationSettings(aiKey),
+    ...core.compactParams(request.params || session?.generationParams?.[aiKey])
+  };
+  return getContextBudget(aiKey, {
+    maxTokens: params.maxTokens,
+    systemPrompt: core.getSystemPrompt(instructions),
+    modelId: request.model
+  }).budget;
+}
+
+/**
+ * Pick the history sent with a request. When older turns no longer fit and
+ * summarizing is enabled, they are folded into the pinned summary of the service first
+ * @param {HTMLElement} panel - The panel element
+ * @param {Object|null} session
+ * @param {string} aiKey
+ * @param {Object} options
+ * @param {string|null} options.instructions - Session or per-AI instructions
+ * @param {AbortSignal} options.signal - Cancels the summary requests too
+ * @param {string} options.sessionId
+ * @param {number} [options.end] - Only consider the history before this index
+ * @param {string} [options.model] - Model of the request
+ * @param {Object} [options.params] - Generation parameters of the request
+ * @returns {Promise<Object>} Context as returned by selectContext
+ */
+async function fitHistoryToContext(panel, session, aiKey, { instructions, signal, sessionId, end, model, params }) {
+  const history = (session?.apiChatHistory?.[aiKey] || []).slice(0, end);
+  if (!selectContext || !getContextBudget) {
+    return { messages: history, startIndex: 0, usedTokens: 0, budget: 0, summary: null, summarizedCount: 0, droppedCount: 0 };
+  }
+
+  const core = window.OnePromptCore;
+  const budget = getHistoryBudget(session, aiKey, instructions, { model, params });
+  let summary = session?.apiContextSummaries?.[aiKey] || null;
+  const context = selectContext(history, { budget, summary });
+  if (context.droppedCount === 0 || !core.getContextSettings().summarize || !getSummaryStep) return context;
+
+  updateWebviewStatus(aiKey, 'thinking', sessionId, t('context.summarizing'));
+  try {
+    let step = getSummaryStep(history, budget, summary);
+    while (step) {
+      const content = await core.makeAIRequest(aiKey, [{ role: 'user', content: step.prompt }], {
+        instructions: 'You keep faithful, compact summaries of conversations.',
+        // Same model and parameters as the request, the budget was sized for them
+        model,
+        params,
+        webSearch: false,
+        signal,
+        onUsage: (usage) => recordUsage(session, aiKey, usage)
+      });
+      summary = { content: content.trim(), coveredCount: step.coveredCount, createdAt: Date.now() };
+      step = getSummaryStep(history, budget, summary, step.target);
+    }
+  } catch (error) {
+    if (signal.aborted) throw error;
+    // Dropping the oldest turns is still better than not answering
+    logger.error(`[fitHistoryToContext] Summary failed for ${aiKey}:`, error);
+    appendApiMessage(panel, 'system', t('context.summaryFailed', { message: error.message || '' }), false, sessionId);
+    return context;
+  } finally {
+    updateWebviewStatus(aiKey, 'thinking', sessionId);
+  }
+
+  if (!session.apiContextSummaries) session.apiContextSummaries = {};
+  session.apiContextSummaries[aiKey] = summary;
+  saveSessionsToStorage();
+  return selectContext(history, { budget, summary });
+}
+
+/**
+ * Short token count for the context indicator (12,345 -> "12K")
+ * @param {number} count
+ * @returns {string}
+ */
+function formatTokenCount(count) {
+  return new Intl.NumberFormat(undefined, { notation: 'compact', maximumFractionDigits: 1 }).format(count);
+}
+
+/**
+ * Show how much of the history the model sees: counts in the indicator bar,
+ * dimmed bubbles for the messages left out and the pinned summary on top
+ * @param {HTMLElement} panel - The panel element
+ * @param {Object|null} [session] - Defaults to the panel session
+ * @param {Object|null} [context] - Context of the last request, recomputed for the next one when omitted
+ */
+export function updateContextIndicator(panel, session = getPanelSession(panel), context = null) {
+  const indicator = panel.querySelector('.api-context-indicator');
+  if (!indicator || !selectContext || !getContextBudget) return;
+
+  const aiKey = panel.dataset.aiKey;
+  const history = session?.apiChatHistory?.[aiKey] || [];
+  if (!context) {
+    const budget = getHistoryBudget(session, aiKey, getSessionInstructions(session, aiKey).text);
+    context = selectContext(history, { budget, summary: session?.apiContextSummaries?.[aiKey] || null });
+  }
+
+  indicator.style.display = history.length > 0 ? '' : 'none';
+  indicator.classList.toggle('partial', context.startIndex > 0);
+  const parts = [
+    context.startIndex > 0
+      ? t('context.partial', { sent: context.messages.length, total: history.length })
+      : t('context.all', { count: history.length }),
+    t('context.tokens', { used: formatTokenCount(context.usedTokens), budget: formatTokenCount(context.budget) })
+  ];
+  if (context.summarizedCount > 0) parts.push(t('context.summarized', { count: context.summarizedCount }));
+  if (context.droppedCount > 0) parts.push(t('context.dropped', { count: context.droppedCount }));
+  indicator.textContent = parts.join(' · ');
+  indicator.title = t('context.hint');
+
+  panel.querySelectorAll('.api-message[data-history-index]').forEach(bubble => {
+    const index = Number(bubble.dataset.historyIndex);
+    bubble.classList.toggle('out-of-context', index < context.startIndex);
+  });
+
+  renderPinnedSummary(panel, session, context.summary);
+}
+
+/**
+ * Pinned summary at the top of the chat, replacing the turns it covers
+ * @param {HTMLElement} panel - The panel element
+ * @param {Object|null} session
+ * @param {{content: string, coveredCount: number}|null} summary
+ */
+function renderPinnedSummary(panel, session, summary) {
+  const chatContainer = panel.querySelector('.api-chat-container');
+  let pinned = chatContainer.querySelector('.api-context-summary');
+  if (!summary) {
+    if (pinned) pinned.remove();
+    return;
+  }
+
+  if (!pinned) {
+    pinned = document.createElement('details');
+    pinned.className = 'api-context-summary';
+    chatContainer.prepend(pinned);
+  }
+  pinned.innerHTML = '';
+
+  const title = document.createElement('summary');
+  title.textContent = t('context.summaryTitle');
+  pinned.appendChild(title);
+
+  const body = document.createElement('div');
+  body.className = 'api-context-summary-body';
+  body.innerHTML = renderMarkdown(summary.content);
+  pinned.appendChild(body);
+
+  const clearBtn = document.createElement('button');
+  clearBtn.className = 'api-inline-action';
+  clearBtn.textContent = t('context.clearSummary');
+  clearBtn.addEventListener('click', () => {
+    delete session.apiContextSummaries[panel.dataset.aiKey];
+    saveSessionsToStorage();
+    updateContextIndicator(panel, session);
+  });
+  pinned.appendChild(clearBtn);
+}
+
+/**
+ * Translated message and suggested action for a failed request
+ * OnePromptCore throws ApiError, anything else is shown as an unknown error
+ * @param {Error} error
+ * @param {string} serviceName - Used when the error carries no provider name
+ * @returns {string}
+ */
+export function formatApiError(error, serviceName) {
+  const type = error?.type || 'unknown';
+  const params = { provider: error?.provider || serviceName, message: error?.message || '' };
+  const details = [error?.status ? `HTTP ${error.status}` : null, error?.code].filter(Boolean).join(' · ');
+  return [
+    t(`api.error.${type}`, params),
+    t(`api.error.${type}.action`, params),
+    details ? `(${details})` : ''
+  ].filter(Boolean).join(' ');
+}
+
+/**
+ * Show the "cancelled" system message, offering to keep any partial answer
+ * @param {HTMLElement} panel - The panel element
+ * @param {string} aiKey - The AI service key
+ * @param {string} partialText - Text streamed before cancellation (may be empty)
+ * @param {HTMLElement|null} partialBubble - The bubble showing the partial text
+ * @param {string} sessionId - Session the request belongs to
+ * @param {number|null} [replaceIndex] - Index of the answer a cancelled regeneration was replacing
+ */
+function appendCancelledMessage(panel, aiKey, partialText, partialBubble, sessionId, replaceIndex = null) {
+  const notice = appendApiMessage(panel, 'system', t('api.cancelled'), false, sessionId);
+  if (!partialText) return;
+
+  // The partial answer belongs after the turn it was answering: once the history
+  // has moved on (new prompt, edit, branch, version...) it can no longer be kept
+  const session = getSessionsArray().find(s => s.id === sessionId);
+  const history = session?.apiChatHistory?.[aiKey] || [];
+  const length = history.length;
+  const last = history[length - 1];
+  const isCurrent = () => {
+    const current = session?.apiChatHistory?.[aiKey] || [];
+    return !isPanelBusy(panel) && current.length === length && current[length - 1] === last;
+  };
+
+  const keepBtn = document.createElement('button');
+  keepBtn.className = 'api-inline-action';
+  keepBtn.textContent = t('api.keepPartial');
+  keepBtn.addEventListener('click', () => {
+    if (!last || !isCurrent()) {
+      keepBtn.remove();
+      return;
+    }
+    if (replaceIndex !== null) {
+      replaceApiResponse(session, aiKey, replaceIndex, createHistoryEntry('assistant', partialText));
+      renderApiHistory(panel, session);
+      return;
+    }
+
+    const index = saveApiHistory(aiKey, 'assistant', partialText, sessionId);
+    if (partialBubble) {
+      partialBubble.classList.remove('incomplete');
+      if (index !== null) partialBubble.dataset.historyIndex = index;
+    }
+    updateContextIndicator(panel);
+    keepBtn.remove();
+  });
+  notice.appendChild(document.createTextNode(' '));
+  notice.appendChild(keepBtn);
+}
+
+/**
+ * Register an in-flight request and show its panel stop control
+ * @param {Object} request - { panel, aiKey, sessionId, controller }
+ */
+function trackRequest(request) {
+  activeRequests.add(request);
+  const stopBtn = request.panel.querySelector('.api-stop-btn');
+  if (stopBtn) stopBtn.style.display = 'flex';
+  // History cannot be edited or switched while an answer is being added to it
+  request.panel.classList.add('busy');
+  onActiveRequestsChange();
+}
+
+/**
+ * Forget a finished request and hide the stop control when the panel is idle
+ * @param {Object} request - The tracked request
+ */
+function untrackRequest(request) {
+  activeRequests.delete(request);
+  const panelStillBusy = [...activeRequests].some(r => r.panel === request.panel);
+  const stopBtn = request.panel.querySelector('.api-stop-btn');
+  if (stopBtn && !panelStillBusy) stopBtn.style.display = 'none';
+  request.panel.classList.toggle('busy', panelStillBusy);
+  onActiveRequestsChange();
+}
+
+/**
+ * Check whether a panel has a request in flight
+ * @param {HTMLElement} panel - The panel element
+ * @returns {boolean}
+ */
+function isPanelBusy(panel) {
+  return [...activeRequests].some(request => request.panel === panel);
+}
+
+/**
+ * Cancel every in-flight request of a panel
+ * @param {HTMLElement} panel - The panel element
+ */
+export function cancelApiRequest(panel) {
+  activeRequests.forEach(request => {
+    if (request.panel === panel) request.controller.abort();
+  });
+}
+
+/**
+ * Cancel every in-flight request of a session
+ * @param {string|null} sessionId - Defaults to the current session
+ */
+export function cancelAllApiRequests(sessionId = null) {
+  const targetSessionId = sessionId || getCurrentSessionId();
+  activeRequests.forEach(request => {
+    if (request.sessionId === targetSessionId) request.controller.abort();
+  });
+}
+
+/**
+ * Check whether a session has requests in flight
+ * @param {string|null} sessionId - Defaults to the current session
+ * @returns {boolean}
+ */
+export function hasActiveApiRequests(sessionId = null) {
+  const targetSessionId = sessionId || getCurrentSessionId();
+  return [...activeRequests].some(request => request.sessionId === targetSessionId);
+}
+
 /**
  * Append loader indicator to panel
  * @param {HTMLElement} panel - The panel element
@@ -357,6 +1739,3 @@ export function appendApiLoader(panel) {
   });
   return loader;
 }
-
-// Export constant for external use
-export { API_HISTORY_LIMIT };
@@ -0,0 +1,184 @@
+/**
+ * Cross-Check Module
+ *
+ * Automatic cross-check round in API mode:
+ * - Collects the latest answer of every selected AI from the session history
+ * - Builds one prompt per recipient, its own answer labelled as "yours"
+ * - Sends the prompts to every panel that answered, in parallel
+ * - Marks the turns in history as cross-check turns: entry.crossCheck = { id }
+ *   (shared by every turn of the same round)
+ *
+ * @module @app/cross-check
+ */
+
+import { buildTemplateContext, renderTemplate } from '../services/template-engine.js';
+
+// Module state (initialized via initCrossCheck)
+let logger = console;
+let t = (key) => key;
+let showNotification = () => {};
+let getCurrentSession = () => null;
+let getCurrentSessionWebviews = () => ({});
+let getSelectedAIs = () => [];
+let getDisplayName = (aiKey) => aiKey;
+let getCrossCheckTemplate = () => '{{ALL_RESPONSES}}';
+let saveApiHistory = () => null;
+let handleApiChat = async () => {};
+let hasActiveApiRequests = () => false;
+
+/**
+ * Initialize Cross-Check module with dependencies
+ * @param {Object} deps - Dependencies
+ */
+export function initCrossCheck(deps) {
+  if (deps.logger) logger = deps.logger;
+  if (deps.t) t = deps.t;
+  if (deps.showNotification) showNotification = deps.showNotification;
+  if (deps.getCurrentSession) getCurrentSession = deps.getCurrentSession;
+  if (deps.getCurrentSessionWebviews) getCurrentSessionWebviews = deps.getCurrentSessionWebviews;
+  if (deps.getSelectedAIs) getSelectedAIs = deps.getSelectedAIs;
+  if (deps.getDisplayName) getDisplayName = deps.getDisplayName;
+  if (deps.getCrossCheckTemplate) getCrossCheckTemplate = deps.getCrossCheckTemplate;
+  if (deps.saveApiHistory) saveApiHistory = deps.saveApiHistory;
+  if (deps.handleApiChat) handleApiChat = deps.handleApiChat;
+  if (deps.hasActiveApiRequests) hasActiveApiRequests = deps.hasActiveApiRequests;
+}
+
+/**
+ * Latest answer of each AI, read from the active path of its history
+ * An AI whose last turn has no answer yet (pending or failed) has none
+ * @param {Object} session
+ * @param {string[]} aiKeys
+ * @returns {Array<{aiKey: string, name: string, text: string, thinking: string|null, prompt: string|null, historyIndex: number, messageId: string|null}>}
+ *   prompt is the latest request of the user (cross-check and debate prompts are skipped),
+ *   messageId the id of the answer entry (null for entries stored by older versions)
+ */
+export function collectApiResponses(session, aiKeys) {
+  const includeThinking = window.OnePromptCore.getThinkingSettings?.().includeInCrossCheck;
+  return aiKeys
+    .map(aiKey => {
+      const history = session?.apiChatHistory?.[aiKey] || [];
+      const last = history[history.length - 1];
+      if (last?.role !== 'assistant' || !last.content?.trim()) return null;
+      return {
+        aiKey,
+        name: getDisplayName(aiKey),
+        text: last.content.trim(),
+        thinking: includeThinking && last.thinking ? last.thinking.trim() : null,
+        prompt: history.slice(0, -1).reverse().find(entry => entry.role === 'user' && !entry.crossCheck && !(entry.debate?.round > 0))?.content || null,
+        historyIndex: history.length - 1,
+        messageId: last.id || null
+      };
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Markdown section of one answer
+ * @param {string} heading
+ * @param {{text: string, thinking: string|null}} response
+ * @returns {string}
+ */
+export function formatResponse(heading, response) {
+  const body = response.thinking
+    ? `#### Reasoning\n${response.thinking}\n\n#### Answer\n${response.text}`
+    : response.text;
+  return `${heading}\n${body}`;
+}
+
+/**
+ * Cross-check prompt for one recipient; {{OTHER_RESPONSES}} holds the answers of the other AIs,
+ * {{ALL_RESPONSES}} its own answer first, labelled as its own, then the same block
+ * @param {string} template - Cross-check template (see services/template-engine.js)
+ * @param {string|null} recipientKey - AI the prompt is sent to (null: every answer is another's)
+ * @param {Array} responses - As returned by collectApiResponses
+ * @param {string|null} [originalPrompt] - Defaults to the request the recipient (or the first AI) answered
+ * @returns {string}
+ */
+export function buildCrossCheckPrompt(template, recipientKey, responses, originalPrompt = null) {
+  const own = responses.find(response => response.aiKey === recipientKey);
+  const others = responses.filter(response => response.aiKey !== recipientKey);
+
+  const othersSection = '## Responses from Other AI Assistants:\n' +
+    others.map(response => formatResponse(`### ${response.name}'s Response:`, response)).join('\n\n');
+  const sections = own ? [formatResponse('## Your Response:', own), othersSection] : [othersSection];
+
+  const context = buildTemplateContext({
+    responses,
+    recipientKey,
+    variables: {
+      ORIGINAL_PROMPT: originalPrompt || own?.prompt || responses.find(response => response.prompt)?.prompt || '',
+      OTHER_RESPONSES: `\n${othersSection}\n\n--- END OF RESPONSES ---\n`,
+      ALL_RESPONSES: `\n${sections.join('\n\n')}\n\n--- END OF RESPONSES ---\n`
+    }
+  });
+  return renderTemplate(template, context, 'crossCheck');
+}
+
+/**
+ * Answers a template preview is rendered with: the latest answers of the current session,
+ * or sample answers when it has fewer than two
+ * @returns {{responses: Array, sample: boolean}}
+ */
+export function getPreviewResponses() {
+  const session = getCurrentSession();
+  const aiKeys = Array.from(getSelectedAIs()).filter(aiKey => getCurrentSessionWebviews()[aiKey]);
+  const responses = session?.mode === 'api' ? collectApiResponses(session, aiKeys) : [];
+  if (responses.length >= 2) return { responses, sample: false };
+
+  return {
+    responses: ['chatgpt', 'claude', 'gemini'].map((aiKey, index) => ({
+      aiKey,
+      name: getDisplayName(aiKey),
+      text: t('template.preview.sampleAnswer', { number: index + 1 }),
+      thinking: null,
+      prompt: t('template.preview.samplePrompt')
+    })),
+    sample: true
+  };
+}
+
+/**
+ * Cross-check template rendered for the first AI of the preview answers
+ * @param {string} template
+ * @returns {{text: string, sample: boolean}}
+ */
+export function buildCrossCheckPreview(template) {
+  const { responses, sample } = getPreviewResponses();
+  return { text: buildCrossCheckPrompt(template, responses[0].aiKey, responses), sample };
+}
+
+/**
+ * Run a cross-check round: every selected AI compares its latest answer with the others
+ * @returns {Promise<boolean>} True when the round was sent
+ */
+export async function runCrossCheck() {
+  const session = getCurrentSession();
+  if (!session || session.mode !== 'api') return false;
+
+  if (hasActiveApiRequests(session.id)) {
+    showNotification(t('crosscheck.run.busy'), 'error');
+    return false;
+  }
+
+  const webviews = getCurrentSessionWebviews();
+  const aiKeys = Array.from(getSelectedAIs()).filter(aiKey => webviews[aiKey]);
+  const responses = collectApiResponses(session, aiKeys);
+  if (responses.length < 2) {
+    showNotification(t('crosscheck.run.notEnough'), 'error');
+    return false;
+  }
+
+  const template = getCrossCheckTemplate();
+  const crossCheck = { id: `cc-${Date.now()}` };
+  logger.log(`[CrossCheck] Round ${crossCheck.id} with ${responses.length} AIs`);
+
+  // Only AIs that answered take part, a pending or failed prompt would be followed by another one
+  await Promise.all(responses.map(({ aiKey }) => {
+    const prompt = buildCrossCheckPrompt(template, aiKey, responses);
+    // The answer inherits the cross-check mark from its prompt
+    saveApiHistory(aiKey, 'user', prompt, session.id, { crossCheck });
+    return handleApiChat(aiKey, prompt, webviews[aiKey], session.id);
+  }));
+  return true;
+}
@@ -0,0 +1,415 @@
+/**
+ * Debate Module
+ *
+ * Multi-round debate between the API panels of a session:
+ * - Round 0: every panel answers the prompt
+ * - Rounds 1..N: every panel sees the latest positions of the others and revises its own
+ * - Stops early when the positions converge (no answer changes much from one round to the next)
+ * - The synthesis judge writes a final summary
+ * Turns go through the panel histories like any other prompt (entry.debate = { id, round }),
+ * the transcript is kept as structured rounds in session.debates:
+ *   { id, prompt, maxRounds, status, createdAt,
+ *     rounds: [{ round, answers: [{ aiKey, name, content, messageId, historyIndex }] }],
+ *     summary: { content, judge: { aiKey, model, name }, usage } | null }
+ * status: 'running' | 'converged' | 'completed' | 'stopped' | 'failed', hidden once the user closes its timeline
+ *
+ * @module @app/debate
+ */
+
+import { collectApiResponses, buildCrossCheckPrompt } from './cross-check.js';
+import { buildJudgePrompt, getSelectedJudge, getJudgeName, showSourceAnswer } from './synthesis.js';
+
+// Word overlap between two rounds above which an answer counts as unchanged
+const CONVERGENCE_THRESHOLD = 0.85;
+
+const DEBATE_ROUND_TEMPLATE = `Debate round {round} of {total}. Here are the latest positions on my request:
+
+{{ALL_RESPONSES}}
+
+Reconsider your position in light of the other arguments: say where they are wrong, concede where they are right, and give your revised answer in full. Respond in the same language as my original request.`;
+
+const DEBATE_SUMMARY_TEMPLATE = `Several AIs debated my request over {rounds} rounds:
+
+{{ORIGINAL_PROMPT}}
+
+Their final positions:
+{{RESPONSES}}
+
+Summarize the debate: the points they ended up agreeing on, what is still disputed, the arguments that changed a position, and the final answer the debate supports. Respond in the same language as my original request.`;
+
+// Module state (initialized via initDebate)
+let pane = null;
+let logger = console;
+let t = (key) => key;
+let showNotification = () => {};
+let renderAssistantContent = (el, text) => { el.textContent = text; };
+let getCurrentSession = () => null;
+let getCurrentSessionWebviews = () => ({});
+let getSelectedAIs = () => [];
+let getDebateRounds = () => 2;
+let saveSessionsToStorage = () => {};
+let saveApiHistory = () => null;
+let handleApiChat = async () => {};
+let hasActiveApiRequests = () => false;
+let cancelAllApiRequests = () => {};
+let recordUsage = null;
+let formatApiError = (error) => error?.message || String(error);
+let onStateChange = () => {};
+
+// Debates in progress by session id: { debate, stopped, controller }
+const running = new Map();
+
+/**
+ * Initialize Debate module with dependencies
+ * @param {Object} deps - Dependencies
+ * @param {HTMLElement} deps.pane - Timeline pane above the grid
+ * @param {Function} [deps.getDebateRounds] - Revision rounds after the opening answers
+ * @param {Function} [deps.onStateChange] - Called when a debate starts, advances or ends
+ */
+export function initDebate(deps) {
+  if (deps.pane) pane = deps.pane;
+  if (deps.logger) logger = deps.logger;
+  if (deps.t) t = deps.t;
+  if (deps.showNotification) showNotification = deps.showNotification;
+  if (deps.renderAssistantContent) renderAssistantContent = deps.renderAssistantContent;
+  if (deps.getCurrentSession) getCurrentSession = deps.getCurrentSession;
+  if (deps.getCurrentSessionWebviews) getCurrentSessionWebviews = deps.getCurrentSessionWebviews;
+  if (deps.getSelectedAIs) getSelectedAIs = deps.getSelectedAIs;
+  if (deps.getDebateRounds) getDebateRounds = deps.getDebateRounds;
+  if (deps.saveSessionsToStorage) saveSessionsToStorage = deps.saveSessionsToStorage;
+  if (deps.saveApiHistory) saveApiHistory = deps.saveApiHistory;
+  if (deps.handleApiChat) handleApiChat = deps.handleApiChat;
+  if (deps.hasActiveApiRequests) hasActiveApiRequests = deps.hasActiveApiRequests;
+  if (deps.cancelAllApiRequests) cancelAllApiRequests = deps.cancelAllApiRequests;
+  if (deps.recordUsage) recordUsage = deps.recordUsage;
+  if (deps.formatApiError) formatApiError = deps.formatApiError;
+  if (deps.onStateChange) onStateChange = deps.onStateChange;
+}
+
+/**
+ * Word overlap of two answers (Jaccard index of their word sets)
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} From 0 (nothing in common) to 1 (same words)
+ */
+export function getAnswerSimilarity(a, b) {
+  const words = (text) => new Set((text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || []);
+  const first = words(a);
+  const second = words(b);
+  if (first.size === 0 && second.size === 0) return 1;
+  let shared = 0;
+  first.forEach(word => { if (second.has(word)) shared++; });
+  return shared / (first.size + second.size - shared);
+}
+
+/**
+ * Whether no participant changed its position between two rounds
+ * @param {Array} previous - Answers of the previous round (collectApiResponses)
+ * @param {Array} current - Answers of the last round
+ * @returns {boolean}
+ */
+export function hasConverged(previous, current) {
+  return current.every(answer => {
+    const before = previous.find(entry => entry.aiKey === answer.aiKey);
+    return before && getAnswerSimilarity(before.text, answer.text) >= CONVERGENCE_THRESHOLD;
+  });
+}
+
+/**
+ * Debate running in a session
+ * @param {string} sessionId
+ * @returns {boolean}
+ */
+export function isDebateRunning(sessionId) {
+  return running.has(sessionId);
+}
+
+/**
+ * Send one round to every participant and wait for the answers
+ * @param {Object} session
+ * @param {Object} debate
+ * @param {number} round
+ * @param {Object} panels - Panel elements by AI key, captured when the debate started
+ * @param {string[]} participants
+ * @param {Array} previous - Answers of the previous round (empty for the opening round)
+ * @returns {Promise<Array>} Answers of this round, as returned by collectApiResponses
+ */
+async function runRound(session, debate, round, panels, participants, previous) {
+  const template = DEBATE_ROUND_TEMPLATE
+    .replace('{round}', round)
+    .replace('{total}', debate.maxRounds);
+
+  await Promise.all(participants.map(aiKey => {
+    const text = round === 0 ? debate.prompt : buildCrossCheckPrompt(template, aiKey, previous);
+    saveApiHistory(aiKey, 'user', text, session.id, { debate: { id: debate.id, round } });
+    return handleApiChat(aiKey, text, panels[aiKey], session.id);
+  }));
+
+  // A failed request leaves the prompt unanswered, its AI drops out of the debate
+  return collectApiResponses(session, participants);
+}
+
+/**
+ * Debate a prompt between the selected panels of the current session
+ * @param {string} prompt
+ * @returns {Promise<boolean>} True when the debate ran to the end (converged or completed)
+ */
+export async function runDebate(prompt) {
+  const session = getCurrentSession();
+  if (!session || session.mode !== 'api' || running.has(session.id)) return false;
+
+  if (hasActiveApiRequests(session.id)) {
+    showNotification(t('debate.busy'), 'error');
+    return false;
+  }
+
+  const panels = getCurrentSessionWebviews();
+  let participants = Array.from(getSelectedAIs()).filter(aiKey => panels[aiKey]);
+  if (participants.length < 2) {
+    showNotification(t('debate.notEnough'), 'error');
+    return false;
+  }
+
+  const debate = {
+    id: `debate-${Date.now()}`,
+    prompt,
+    maxRounds: getDebateRounds(),
+    status: 'running',
+    createdAt: Date.now(),
+    rounds: [],
+    summary: null
+  };
+  if (!session.debates) session.debates = [];
+  session.debates.push(debate);
+  const state = { debate, stopped: false, controller: null };
+  running.set(session.id, state);
+  saveSessionsToStorage();
+  update();
+  logger.log(`[Debate] ${debate.id}: ${participants.length} AIs, up to ${debate.maxRounds} rounds`);
+
+  try {
+    let previous = [];
+    let latest = [];
+    for (let round = 0; round <= debate.maxRounds; round++) {
+      const answers = await runRound(session, debate, round, panels, participants, previous);
+      if (state.stopped) {
+        debate.status = 'stopped';
+        break;
+      }
+      latest = answers;
+
+      debate.rounds.push({
+        round,
+        answers: answers.map(({ aiKey, name, text, messageId, historyIndex }) => ({ aiKey, name, content: text, messageId, historyIndex }))
+      });
+      saveSessionsToStorage();
+      update();
+
+      if (answers.length < 2) {
+        debate.status = 'failed';
+        break;
+      }
+      if (round > 0 && hasConverged(previous, answers)) {
+        logger.log(`[Debate] ${debate.id}: converged after round ${round}`);
+        debate.status = 'converged';
+        break;
+      }
+      participants = answers.map(answer => answer.aiKey);
+      previous = answers;
+    }
+    if (debate.status === 'running') debate.status = 'completed';
+
+    if (debate.status === 'converged' || debate.status === 'completed') {
+      await summarizeDebate(session, debate, latest, state);
+    }
+    return debate.status === 'converged' || debate.status === 'completed';
+  } finally {
+    if (debate.status === 'running') debate.status = 'stopped';
+    running.delete(session.id);
+    saveSessionsToStorage();
+    update();
+  }
+}
+
+/**
+ * Ask the synthesis judge for a summary of the final positions
+ * @param {Object} session
+ * @param {Object} debate
+ * @param {Array} responses - Final answers (collectApiResponses)
+ * @param {Object} state - Running state, holds the controller to stop the request
+ */
+async function summarizeDebate(session, debate, responses, state) {
+  const judge = getSelectedJudge();
+  if (!judge) return;
+
+  const template = DEBATE_SUMMARY_TEMPLATE.replace('{rounds}', debate.rounds.length);
+  state.controller = new AbortController();
+  update();
+
+  let usage = null;
+  try {
+    const content = await window.OnePromptCore.makeAIRequest(judge.aiKey, [
+      { role: 'user', content: buildJudgePrompt(template, debate.prompt, responses) }
+    ], {
+      model: judge.model || undefined,
+      params: judge.model ? undefined : session.generationParams?.[judge.aiKey],
+      webSearch: false,
+      signal: state.controller.signal,
+      onUsage: (reported) => { usage = reported; }
+    });
+    debate.summary = {
+      content,
+      judge: { aiKey: judge.aiKey, model: judge.model, name: getJudgeName(judge) },
+      usage: usage && recordUsage ? recordUsage(session, judge.aiKey, usage) : null
+    };
+  } catch (error) {
+    if (error.name === 'AbortError') return;
+    logger.error('[Debate] Summary failed:', error);
+    showNotification(formatApiError(error, getJudgeName(judge)), 'error');
+  }
+}
+
+/**
+ * Stop the debate of a session: pending answers are cancelled and no further round starts
+ * @param {string} sessionId
+ */
+export function stopDebate(sessionId) {
+  const state = running.get(sessionId);
+  if (!state) return;
+  state.stopped = true;
+  state.controller?.abort();
+  cancelAllApiRequests(sessionId);
+}
+
+/**
+ * Refresh the timeline and tell the caller the state changed
+ */
+function update() {
+  renderDebatePane();
+  onStateChange();
+}
+
+/**
+ * Status line of a debate
+ * @param {Object} debate
+ * @param {Object|null} state - Running state
+ * @returns {string}
+ */
+function getStatusText(debate, state) {
+  if (state?.controller) return t('debate.status.summarizing');
+  if (debate.status === 'running') {
+    // Rounds are recorded once every answer is in, the count is the round being played
+    return debate.rounds.length === 0
+      ? t('debate.status.opening')
+      : t('debate.status.running', { round: debate.rounds.length, total: debate.maxRounds });
+  }
+  return t(`debate.status.${debate.status}`, { round: Math.max(0, debate.rounds.length - 1) });
+}
+
+/**
+ * Show the latest debate of the current session as a round-by-round timeline
+ */
+export function renderDebatePane() {
+  if (!pane) return;
+  const session = getCurrentSession();
+  const debate = session?.debates?.[session.debates.length - 1];
+  const state = session ? running.get(session.id) : null;
+  pane.innerHTML = '';
+  if (!session || session.mode !== 'api' || !debate || (debate.hidden && !state)) {
+    pane.style.display = 'none';
+    return;
+  }
+  pane.style.display = '';
+
+  const header = document.createElement('div');
+  header.className = 'synthesis-header';
+  const title = document.createElement('span');
+  title.className = 'synthesis-title';
+  title.textContent = `${t('debate.title')} · ${getStatusText(debate, state)}`;
+  header.appendChild(title);
+
+  if (state) {
+    const stopBtn = document.createElement('button');
+    stopBtn.className = 'btn-secondary synthesis-run';
+    stopBtn.textContent = t('debate.stop');
+    stopBtn.addEventListener('click', () => stopDebate(session.id));
+    header.appendChild(stopBtn);
+  } else {
+    const closeBtn = document.createElement('button');
+    closeBtn.className = 'synthesis-close';
+    closeBtn.textContent = '×';
+    closeBtn.title = t('debate.close');
+    closeBtn.addEventListener('click', () => {
+      debate.hidden = true;
+      saveSessionsToStorage();
+      renderDebatePane();
+    });
+    header.appendChild(closeBtn);
+  }
+  pane.appendChild(header);
+
+  const timeline = document.createElement('ol');
+  timeline.className = 'debate-timeline synthesis-body';
+  debate.rounds.forEach((round, index) => {
+    // Only the latest round starts expanded, older ones are one click away
+    timeline.appendChild(createRoundItem(round, index === debate.rounds.length - 1 && !debate.summary));
+  });
+  if (debate.summary) {
+    timeline.appendChild(createSummaryItem(debate.summary));
+  }
+  pane.appendChild(timeline);
+}
+
+/**
+ * Timeline entry of one round, with a link from each answer to its panel
+ * @param {{round: number, answers: Array}} round
+ * @param {boolean} open
+ * @returns {HTMLElement}
+ */
+function createRoundItem(round, open) {
+  const item = document.createElement('li');
+  item.className = 'debate-round';
+  const details = document.createElement('details');
+  details.open = open;
+  const summary = document.createElement('summary');
+  summary.textContent = round.round === 0 ? t('debate.round.opening') : t('debate.round', { round: round.round });
+  details.appendChild(summary);
+
+  round.answers.forEach(answer => {
+    const entry = document.createElement('div');
+    entry.className = 'debate-answer';
+    const link = document.createElement('button');
+    link.className = 'api-inline-action';
+    link.textContent = answer.name;
+    link.title = t('debate.showAnswer');
+    link.addEventListener('click', () => showSourceAnswer(answer));
+    const body = document.createElement('div');
+    body.className = 'debate-answer-body';
+    renderAssistantContent(body, answer.content);
+    entry.appendChild(link);
+    entry.appendChild(body);
+    details.appendChild(entry);
+  });
+
+  item.appendChild(details);
+  return item;
+}
+
+/**
+ * Timeline entry of the final summary
+ * @param {Object} summary - debate.summary
+ * @returns {HTMLElement}
+ */
+function createSummaryItem(summary) {
+  const item = document.createElement('li');
+  item.className = 'debate-round debate-summary';
+  const heading = document.createElement('div');
+  heading.className = 'debate-summary-title';
+  heading.textContent = `${t('debate.summary')} · ${t('synthesis.by', { judge: summary.judge.name })}`;
+  if (summary.usage?.model) heading.title = summary.usage.model;
+  const body = document.createElement('div');
+  renderAssistantContent(body, summary.content);
+  item.appendChild(heading);
+  item.appendChild(body);
+  return item;
+}
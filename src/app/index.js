@@ -9,3 +9,6 @@
 
 export * as apiChat from './api-chat.js';
 export * as prompt from './prompt.js';
+export * as crossCheck from './cross-check.js';
+export * as synthesis from './synthesis.js';
+export * as debate from './debate.js';
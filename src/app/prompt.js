@@ -2,9 +2,11 @@
  * Prompt Module
  *
  * Handles prompt input functionality:
- * - Button state management (send/copy)
+ * - Button state management (send/copy/stop)
  * - Copy to clipboard
  * - Send to selected AIs (API mode)
+ * - Web search toggle (API mode, applies to each send)
+ * - Attachments (API mode, stored when sent)
  *
  * @module @app/prompt
  */
@@ -13,6 +15,8 @@
 let promptInput = null;
 let copyBtn = null;
 let sendBtn = null;
+let stopBtn = null;
+let webSearchToggle = null;
 let selectedAIs = new Set();
 let loadedWebviews = new Set();
 let logger = console;
@@ -24,6 +28,9 @@ let getCurrentSessionId = () => null;
 let updateWebviewStatus = () => {};
 let saveApiHistory = () => {};
 let handleApiChat = () => {};
+let hasActiveApiRequests = () => false;
+let getAttachmentCount = () => 0;
+let takeAttachments = async () => [];
 
 /**
  * Initialize Prompt module with dependencies
@@ -33,6 +40,8 @@ export function initPrompt(deps) {
   if (deps.promptInput) promptInput = deps.promptInput;
   if (deps.copyBtn) copyBtn = deps.copyBtn;
   if (deps.sendBtn) sendBtn = deps.sendBtn;
+  if (deps.stopBtn) stopBtn = deps.stopBtn;
+  if (deps.webSearchToggle) webSearchToggle = deps.webSearchToggle;
   if (deps.selectedAIs) selectedAIs = deps.selectedAIs;
   if (deps.loadedWebviews) loadedWebviews = deps.loadedWebviews;
   if (deps.logger) logger = deps.logger;
@@ -44,6 +53,20 @@ export function initPrompt(deps) {
   if (deps.updateWebviewStatus) updateWebviewStatus = deps.updateWebviewStatus;
   if (deps.saveApiHistory) saveApiHistory = deps.saveApiHistory;
   if (deps.handleApiChat) handleApiChat = deps.handleApiChat;
+  if (deps.hasActiveApiRequests) hasActiveApiRequests = deps.hasActiveApiRequests;
+  if (deps.getAttachmentCount) getAttachmentCount = deps.getAttachmentCount;
+  if (deps.takeAttachments) takeAttachments = deps.takeAttachments;
+
+  resetWebSearchToggle();
+}
+
+/**
+ * Set the web search toggle back to the default from settings
+ */
+export function resetWebSearchToggle() {
+  if (webSearchToggle) {
+    webSearchToggle.checked = window.OnePromptCore.getWebSearchSettings().enabled;
+  }
 }
 
 /**
@@ -73,12 +96,22 @@ export function updatePromptButtons() {
     // API Mode: show sendBtn, hide copyBtn
     copyBtn.style.display = 'none';
     sendBtn.style.display = 'flex';
-    sendBtn.disabled = !(hasPrompt && hasSelection);
+    sendBtn.disabled = !((hasPrompt || getAttachmentCount() > 0) && hasSelection);
   } else {
     // Web Mode: show copyBtn, hide sendBtn
     copyBtn.style.display = 'flex';
     sendBtn.style.display = 'none';
   }
+
+  // Web search and attachments only exist for API requests
+  document.querySelectorAll('.api-only-badge').forEach(badge => {
+    badge.style.display = isApiMode ? 'flex' : 'none';
+  });
+
+  // Global stop: only while API requests of this session are in flight
+  if (stopBtn) {
+    stopBtn.style.display = (isApiMode && hasActiveApiRequests()) ? 'flex' : 'none';
+  }
 }
 
 /**
@@ -149,8 +182,10 @@ export async function sendPromptToSelectedAIs() {
   if (!promptInput) return;
 
   const prompt = promptInput.value.trim();
+  const apiMode = getCurrentSession()?.mode === 'api';
+  const hasAttachments = apiMode && getAttachmentCount() > 0;
 
-  if (!prompt || selectedAIs.size === 0) {
+  if ((!prompt && !hasAttachments) || selectedAIs.size === 0) {
     return;
   }
 
@@ -165,10 +200,17 @@ export async function sendPromptToSelectedAIs() {
     const isApiMode = currentSession && currentSession.mode === 'api';
     const aiKeys = Array.from(selectedAIs);
 
+    // Read per-send options before anything async can change them
+    const sendOptions = { webSearch: webSearchToggle ? webSearchToggle.checked : undefined };
+
     // Clear prompt input IMMEDIATELY after send button click
     promptInput.value = '';
     updatePromptButtons();
 
+    // Store the attached files once, every AI references the same copies
+    const attachments = hasAttachments ? await takeAttachments() : [];
+    sendOptions.attachments = attachments;
+
     // Send prompt to all selected AIs
     const promises = aiKeys.map(async aiKey => {
       const webview = sessionWebviews[aiKey];
@@ -187,10 +229,10 @@ export async function sendPromptToSelectedAIs() {
         logger.log(`[${Date.now()}] Handling API chat for ${aiKey} in session ${capturedSessionId}...`);
 
         // Save USER message to history explicitly before calling handler
-        saveApiHistory(aiKey, 'user', prompt, capturedSessionId);
+        saveApiHistory(aiKey, 'user', prompt, capturedSessionId, attachments.length > 0 ? { attachments } : null);
 
         // Fire and forget - all requests start in parallel
-        handleApiChat(aiKey, prompt, webview, capturedSessionId);
+        handleApiChat(aiKey, prompt, webview, capturedSessionId, sendOptions);
       }
       // Web Mode: user copies prompt manually via copyBtn
     });
@@ -0,0 +1,425 @@
+/**
+ * Synthesis Module
+ *
+ * Judge mode in API mode: a judge model receives the original prompt and the latest
+ * answer of every panel, and merges them into one final response shown in a pane
+ * above the grid, with links back to the answers it was built from.
+ * - The judge is a panel of the session (its model and parameters) or a dedicated model
+ * - The last result is kept with the session: session.synthesis
+ *   = { content, judge: { aiKey, model, name }, sources: [{ aiKey, name, messageId, historyIndex }], usage, createdAt }
+ *
+ * @module @app/synthesis
+ */
+
+import { collectApiResponses, formatResponse, getPreviewResponses } from './cross-check.js';
+import { buildTemplateContext, renderTemplate } from '../services/template-engine.js';
+
+const JUDGE_STORAGE_KEY = 'oneprompt-judge-model';
+
+// Module state (initialized via initSynthesis)
+let pane = null;
+let logger = console;
+let t = (key) => key;
+let showNotification = () => {};
+let renderAssistantContent = (el, text) => { el.textContent = text; };
+let getCurrentSession = () => null;
+let getCurrentSessionWebviews = () => ({});
+let getSelectedAIs = () => [];
+let getApiServices = () => [];
+let getDisplayName = (aiKey) => aiKey;
+let getJudgeTemplate = () => '{{ORIGINAL_PROMPT}}\n\n{{RESPONSES}}';
+let saveSessionsToStorage = () => {};
+let hasActiveApiRequests = () => false;
+let recordUsage = null;
+let formatApiError = (error) => error?.message || String(error);
+let onStateChange = () => {};
+
+// Requests in progress and failures not stored with the session, by session id
+// { controller, text, judge } while running, { error } after a failure
+const runs = new Map();
+
+/**
+ * Initialize Synthesis module with dependencies
+ * @param {Object} deps - Dependencies
+ * @param {HTMLElement} deps.pane - Pane element above the grid
+ * @param {Function} [deps.onStateChange] - Called when a synthesis starts or ends
+ */
+export function initSynthesis(deps) {
+  if (deps.pane) pane = deps.pane;
+  if (deps.logger) logger = deps.logger;
+  if (deps.t) t = deps.t;
+  if (deps.showNotification) showNotification = deps.showNotification;
+  if (deps.renderAssistantContent) renderAssistantContent = deps.renderAssistantContent;
+  if (deps.getCurrentSession) getCurrentSession = deps.getCurrentSession;
+  if (deps.getCurrentSessionWebviews) getCurrentSessionWebviews = deps.getCurrentSessionWebviews;
+  if (deps.getSelectedAIs) getSelectedAIs = deps.getSelectedAIs;
+  if (deps.getApiServices) getApiServices = deps.getApiServices;
+  if (deps.getDisplayName) getDisplayName = deps.getDisplayName;
+  if (deps.getJudgeTemplate) getJudgeTemplate = deps.getJudgeTemplate;
+  if (deps.saveSessionsToStorage) saveSessionsToStorage = deps.saveSessionsToStorage;
+  if (deps.hasActiveApiRequests) hasActiveApiRequests = deps.hasActiveApiRequests;
+  if (deps.recordUsage) recordUsage = deps.recordUsage;
+  if (deps.formatApiError) formatApiError = deps.formatApiError;
+  if (deps.onStateChange) onStateChange = deps.onStateChange;
+}
+
+/**
+ * Judge prompt: the original request and every answer, in the judge template
+ * @param {string} template - Judge template (see services/template-engine.js)
+ * @param {string|null} originalPrompt
+ * @param {Array} responses - As returned by collectApiResponses
+ * @returns {string}
+ */
+export function buildJudgePrompt(template, originalPrompt, responses) {
+  const section = responses
+    .map(response => formatResponse(`### ${response.name}'s Response:`, response))
+    .join('\n\n');
+  const context = buildTemplateContext({
+    responses,
+    variables: {
+      ORIGINAL_PROMPT: originalPrompt || '',
+      RESPONSES: `\n${section}\n\n--- END OF RESPONSES ---\n`
+    }
+  });
+  return renderTemplate(template, context, 'judge');
+}
+
+/**
+ * Judge template rendered with the answers of the current session (or sample ones)
+ * @param {string} template
+ * @returns {{text: string, sample: boolean}}
+ */
+export function buildJudgePreview(template) {
+  const { responses, sample } = getPreviewResponses();
+  return { text: buildJudgePrompt(template, responses.find(response => response.prompt)?.prompt || null, responses), sample };
+}
+
+/**
+ * Models that can judge a session: its panels first, then every model of the API services
+ * @returns {Array<{aiKey: string, model: string|null, name: string, group: string|null}>}
+ *   model is null for a panel (it judges with its own model), group is the service of a dedicated model
+ */
+export function getJudgeChoices() {
+  const core = window.OnePromptCore;
+  const webviews = getCurrentSessionWebviews();
+  const panels = Array.from(getSelectedAIs())
+    .filter(aiKey => webviews[aiKey] && core.getProviderForService(aiKey))
+    .map(aiKey => ({ aiKey, model: null, name: getDisplayName(aiKey), group: null }));
+
+  const dedicated = [];
+  getApiServices().forEach(aiKey => {
+    core.getAvailableModels(aiKey).forEach(model => {
+      dedicated.push({ aiKey, model: model.id, name: model.name, group: getDisplayName(aiKey) });
+    });
+  });
+  return [...panels, ...dedicated];
+}
+
+/**
+ * Judge picked last time, if still offered
+ * @param {Array} choices - As returned by getJudgeChoices
+ * @returns {Object|null}
+ */
+function getStoredJudge(choices) {
+  let stored = null;
+  try {
+    stored = JSON.parse(localStorage.getItem(JUDGE_STORAGE_KEY) || 'null');
+  } catch (e) {
+    stored = null;
+  }
+  return choices.find(choice => choice.aiKey === stored?.aiKey && choice.model === (stored?.model ?? null)) ||
+    choices[0] || null;
+}
+
+/**
+ * Judge used by the next synthesis
+ * @returns {{aiKey: string, model: string|null, name: string, group: string|null}|null}
+ */
+export function getSelectedJudge() {
+  return getStoredJudge(getJudgeChoices());
+}
+
+/**
+ * Remember the judge for the next syntheses
+ * @param {{aiKey: string, model: string|null}} judge
+ */
+function storeJudge(judge) {
+  localStorage.setItem(JUDGE_STORAGE_KEY, JSON.stringify({ aiKey: judge.aiKey, model: judge.model }));
+}
+
+/**
+ * Merge the latest answers of the current session into one response
+ * @returns {Promise<boolean>} True when the judge answered
+ */
+export async function runSynthesis() {
+  const session = getCurrentSession();
+  if (!session || session.mode !== 'api' || runs.get(session.id)?.controller) return false;
+
+  if (hasActiveApiRequests(session.id)) {
+    showNotification(t('synthesis.busy'), 'error');
+    return false;
+  }
+
+  const webviews = getCurrentSessionWebviews();
+  const responses = collectApiResponses(session, Array.from(getSelectedAIs()).filter(aiKey => webviews[aiKey]));
+  if (responses.length < 2) {
+    showNotification(t('synthesis.notEnough'), 'error');
+    return false;
+  }
+
+  const judge = getSelectedJudge();
+  if (!judge) {
+    showNotification(t('synthesis.noJudge'), 'error');
+    return false;
+  }
+
+  const originalPrompt = responses.find(response => response.prompt)?.prompt || null;
+  const prompt = buildJudgePrompt(getJudgeTemplate(), originalPrompt, responses);
+  const run = { controller: new AbortController(), text: '', judge };
+  runs.set(session.id, run);
+  renderSynthesisPane();
+  onStateChange();
+
+  logger.log(`[Synthesis] ${judge.aiKey}${judge.model ? ` (${judge.model})` : ''} merging ${responses.length} answers`);
+  let usage = null;
+  let renderScheduled = false;
+  try {
+    const content = await window.OnePromptCore.makeAIRequest(judge.aiKey, [{ role: 'user', content: prompt }], {
+      model: judge.model || undefined,
+      params: judge.model ? undefined : session.generationParams?.[judge.aiKey],
+      webSearch: false,
+      signal: run.controller.signal,
+      onUsage: (reported) => { usage = reported; },
+      onDelta: (delta, fullText) => {
+        run.text = fullText;
+        if (renderScheduled) return;
+        renderScheduled = true;
+        requestAnimationFrame(() => {
+          renderScheduled = false;
+          updateStreamingBody(session.id);
+        });
+      }
+    });
+
+    session.synthesis = {
+      content,
+      judge: { aiKey: judge.aiKey, model: judge.model, name: getJudgeName(judge) },
+      sources: responses.map(({ aiKey, name, messageId, historyIndex }) => ({ aiKey, name, messageId, historyIndex })),
+      usage: usage && recordUsage ? recordUsage(session, judge.aiKey, usage) : null,
+      createdAt: Date.now()
+    };
+    runs.delete(session.id);
+    saveSessionsToStorage();
+    return true;
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      runs.delete(session.id);
+    } else {
+      logger.error('[Synthesis] Judge request failed:', error);
+      runs.set(session.id, { error: formatApiError(error, getJudgeName(judge)) });
+    }
+    return false;
+  } finally {
+    renderSynthesisPane();
+    onStateChange();
+  }
+}
+
+/**
+ * Stop the synthesis of a session
+ * @param {string} sessionId
+ */
+export function cancelSynthesis(sessionId) {
+  runs.get(sessionId)?.controller?.abort();
+}
+
+/**
+ * Whether a session has a synthesis in progress
+ * @param {string} sessionId
+ * @returns {boolean}
+ */
+export function isSynthesisRunning(sessionId) {
+  return !!runs.get(sessionId)?.controller;
+}
+
+/**
+ * Label of a judge: the panel name, or service and model
+ * @param {{aiKey: string, model: string|null, name: string, group: string|null}} judge
+ * @returns {string}
+ */
+export function getJudgeName(judge) {
+  return judge.group ? `${judge.group} · ${judge.name}` : judge.name;
+}
+
+/**
+ * Re-render the streamed text, when the pane shows that session
+ * @param {string} sessionId
+ */
+function updateStreamingBody(sessionId) {
+  const body = pane?.querySelector('.synthesis-body');
+  const run = runs.get(sessionId);
+  if (!body || pane.dataset.sessionId !== sessionId || !run?.controller) return;
+  renderAssistantContent(body, run.text);
+}
+
+/**
+ * Show the synthesis of the current session (hidden when there is none)
+ */
+export function renderSynthesisPane() {
+  if (!pane) return;
+  const session = getCurrentSession();
+  const run = session ? runs.get(session.id) : null;
+  pane.innerHTML = '';
+  if (!session || session.mode !== 'api' || (!session.synthesis && !run)) {
+    pane.style.display = 'none';
+    delete pane.dataset.sessionId;
+    return;
+  }
+  pane.style.display = '';
+  pane.dataset.sessionId = session.id;
+
+  pane.appendChild(createHeader(session, run));
+
+  const body = document.createElement('div');
+  body.className = 'synthesis-body';
+  if (run?.controller) {
+    body.classList.add('streaming');
+    if (run.text) renderAssistantContent(body, run.text);
+    else body.textContent = t('synthesis.running', { judge: getJudgeName(run.judge) });
+  } else if (run?.error) {
+    body.classList.add('synthesis-error');
+    body.textContent = run.error;
+  } else {
+    renderAssistantContent(body, session.synthesis.content);
+  }
+  pane.appendChild(body);
+
+  if (session.synthesis && !run) {
+    pane.appendChild(createSourcesRow(session.synthesis));
+  }
+}
+
+/**
+ * Title, judge picker, run/stop and close controls
+ * @param {Object} session
+ * @param {Object|null} run - Request in progress or failure of the session
+ * @returns {HTMLElement}
+ */
+function createHeader(session, run) {
+  const header = document.createElement('div');
+  header.className = 'synthesis-header';
+
+  const title = document.createElement('span');
+  title.className = 'synthesis-title';
+  title.textContent = t('synthesis.title');
+  header.appendChild(title);
+
+  const choices = getJudgeChoices();
+  const current = getStoredJudge(choices);
+  const select = document.createElement('select');
+  select.className = 'settings-select synthesis-judge';
+  select.title = t('synthesis.judge');
+  select.disabled = !!run?.controller;
+  const groups = new Map();
+  choices.forEach((choice, index) => {
+    const groupLabel = choice.group || t('synthesis.judge.panels');
+    if (!groups.has(groupLabel)) {
+      const group = document.createElement('optgroup');
+      group.label = groupLabel;
+      groups.set(groupLabel, group);
+      select.appendChild(group);
+    }
+    const option = document.createElement('option');
+    option.value = index;
+    option.textContent = choice.name;
+    option.selected = choice === current;
+    groups.get(groupLabel).appendChild(option);
+  });
+  select.addEventListener('change', () => storeJudge(choices[Number(select.value)]));
+  header.appendChild(select);
+
+  const runBtn = document.createElement('button');
+  runBtn.className = 'btn-secondary synthesis-run';
+  if (run?.controller) {
+    runBtn.textContent = t('synthesis.stop');
+    runBtn.addEventListener('click', () => cancelSynthesis(session.id));
+  } else {
+    runBtn.textContent = t('synthesis.run');
+    runBtn.addEventListener('click', () => runSynthesis());
+  }
+  header.appendChild(runBtn);
+
+  const closeBtn = document.createElement('button');
+  closeBtn.className = 'synthesis-close';
+  closeBtn.textContent = '×';
+  closeBtn.title = t('synthesis.close');
+  closeBtn.addEventListener('click', () => {
+    cancelSynthesis(session.id);
+    runs.delete(session.id);
+    delete session.synthesis;
+    saveSessionsToStorage();
+    renderSynthesisPane();
+  });
+  header.appendChild(closeBtn);
+  return header;
+}
+
+/**
+ * Judge and links to the answers the synthesis was built from
+ * @param {Object} synthesis - session.synthesis
+ * @returns {HTMLElement}
+ */
+function createSourcesRow(synthesis) {
+  const row = document.createElement('div');
+  row.className = 'synthesis-sources';
+  row.appendChild(document.createTextNode(`${t('synthesis.sources')}: `));
+  synthesis.sources.forEach(source => {
+    const link = document.createElement('button');
+    link.className = 'api-inline-action';
+    link.textContent = source.name;
+    link.addEventListener('click', () => showSourceAnswer(source));
+    row.appendChild(link);
+  });
+
+  const judge = document.createElement('span');
+  judge.className = 'synthesis-judge-name';
+  judge.textContent = t('synthesis.by', { judge: synthesis.judge.name });
+  if (synthesis.usage?.model) judge.title = synthesis.usage.model;
+  row.appendChild(judge);
+  return row;
+}
+
+/**
+ * Position of a source answer in the active path of its panel, -1 when it is not shown anymore
+ * (edited away, on another branch or replaced by another version). Sources stored by older
+ * versions have no message id: their index is trusted when the answer text still matches
+ * @param {{aiKey: string, messageId?: string, historyIndex: number, content?: string}} source
+ * @returns {number}
+ */
+function findSourceIndex(source) {
+  const history = getCurrentSession()?.apiChatHistory?.[source.aiKey] || [];
+  if (source.messageId) return history.findIndex(entry => entry.id === source.messageId);
+  const entry = history[source.historyIndex];
+  const matches = entry?.role === 'assistant' && (source.content === undefined || entry.content.trim() === source.content);
+  return matches ? source.historyIndex : -1;
+}
+
+/**
+ * Scroll a panel to the answer a synthesis used and highlight it
+ * @param {{aiKey: string, messageId?: string, historyIndex: number, content?: string}} source
+ */
+export function showSourceAnswer(source) {
+  const index = findSourceIndex(source);
+  const panel = getCurrentSessionWebviews()[source.aiKey];
+  const bubble = index < 0 ? null : panel?.querySelector(`.api-message.assistant[data-history-index="${index}"]`);
+  if (!bubble) {
+    showNotification(t('synthesis.sourceMissing'), 'error');
+    return;
+  }
+  bubble.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  bubble.classList.remove('synthesis-highlight');
+  // Restart the animation when the same answer is shown twice in a row
+  void bubble.offsetWidth;
+  bubble.classList.add('synthesis-highlight');
+  bubble.addEventListener('animationend', () => bubble.classList.remove('synthesis-highlight'), { once: true });
+}
@@ -6,7 +6,8 @@
  * in private repos via Vite aliases or injection.
  *
  * IN OPEN SOURCE:
- * - BYOK (Bring Your Own Key) - API keys stored in localStorage
+ * - BYOK (Bring Your Own Key) - API keys encrypted with the OS keychain
+ *   (localStorage when encryption is unavailable)
  * - No credit system
  * - No tracking
  *
@@ -24,6 +25,726 @@
 
   const logger = window.OnePromptLogger || console;
 
+// ============================================================
+// PROVIDER ADAPTERS
+// One adapter per API provider. A new provider only needs an adapter
+// passed to OnePromptCore.registerProvider() - settings cards, the
+// services modal and API_SERVICES are all derived from the registry.
+// ============================================================
+
+/**
+ * @typedef {Object} ProviderAdapter
+ * @property {string} id - Service key used in sessions and aiConfigs (chatgpt, claude, ...)
+ * @property {string} name - Display name shown in settings
+ * @property {string} storageId - Suffix of the oneprompt-api-* / oneprompt-model-* localStorage keys
+ * @property {string} [logo] - Logo path for settings and sidebar
+ * @property {string} color - Assistant bubble colour
+ * @property {Array<{id: string, label: string, i18nKey?: string, type: string, placeholder?: string, required?: boolean}>} authFields
+ * @property {Array<{id: string, name: string, pricing?: {input: number, output: number}, parameters?: Object, contextWindow?: number}>} models - Static model list,
+ *   pricing in USD per 1M tokens, parameters overrides the provider spec for that model (false = unsupported),
+ *   contextWindow overrides the provider one
+ * @property {string} defaultModel
+ * @property {number} contextWindow - Input + output tokens a model accepts, for models that do not declare their own
+ * @property {{webSearch: boolean, vision: boolean, streaming: boolean, thinking?: boolean}} capabilities
+ *   thinking: the stream can carry reasoning output (see supportsThinking)
+ * @property {string[]} [attachments] - Attachment kinds sent natively ('image', 'pdf'); text files are always inlined
+ * @property {ParameterSpec} [parameters] - Generation parameters the provider accepts
+ * @property {Function} [getFamilyParameters] - (modelId) => parameter overrides (as in models) or null,
+ *   for models outside the static list (found by model discovery), by model family
+ * @property {number} [defaultThinkingBudget] - Reasoning budget requested when thinking output is on and none is set,
+ *   for providers whose models only think with a budget
+ * @property {Function} [validateParams] - (params, spec, warnings) => void, provider-specific rules on validated params
+ * @property {Function} buildRequest - ({ auth, model, messages, systemPrompt, service, params, webSearch, thinking }) => { url, headers, body }
+ *   webSearch is { maxUses } when the provider web search tool should be enabled, null otherwise,
+ *   thinking is true when reasoning output should be requested
+ * @property {Function} [parseEvent] - (eventName, data) => { delta?, thinking?, text?, error?, usage?, citations?, blockEnd?, separator? } for one stream event,
+ *   error is { message, code?, type? } (type forces the ApiError type, e.g. contentFiltered),
+ *   separator marks a break in the answer (e.g. a tool call): the next text starts on a new line
+ * @property {Function} [parseResponse] - (data) => { text, thinking?, usage?, citations? }, for providers without streaming
+ * @property {Function} [classifyError] - ({ status, code, message }) => ApiError type or null, provider-specific rules
+ * @property {Function} [buildModelsRequest] - ({ auth, service }) => { url, headers }, the provider model-list endpoint
+ * @property {Function} [parseModels] - (data) => Array<{id, name}>, chat models of a model-list response
+ * @property {boolean} [template] - Backs user-defined instances (custom endpoints) instead of being a service itself
+ */
+
+/**
+ * A web source cited by a response. Where the footnote goes:
+ * - start/end: offsets in the response text (start set = the range is the inline citation itself)
+ * - text: the cited passage, located in the final text
+ * - neither: end of the current content block (the adapter returns blockEnd when it closes)
+ * cited: false marks a consulted but uncited result, only listed when nothing is cited
+ * @typedef {Object} Citation
+ * @property {string} url
+ * @property {string} [title]
+ * @property {number} [start]
+ * @property {number} [end]
+ * @property {string} [text]
+ * @property {boolean} [cited]
+ */
+
+/**
+ * Kinds of API failure, each shown with its own message and suggested action (api.error.<type>)
+ */
+const API_ERROR_TYPES = [
+  'auth', 'rateLimit', 'quota', 'contextLength', 'contentFiltered',
+  'network', 'server', 'timeout', 'invalidResponse', 'notConfigured', 'unknown'
+];
+
+/**
+ * Error thrown by API requests, classified so the UI never has to parse messages
+ */
+class ApiError extends Error {
+  /**
+   * @param {string} type - One of API_ERROR_TYPES
+   * @param {string} message - Provider message (or a generic one)
+   * @param {Object} [details]
+   * @param {number|null} [details.status] - HTTP status, null when no response was received
+   * @param {string|null} [details.code] - Provider error code (invalid_api_key, overloaded_error, RESOURCE_EXHAUSTED, ...)
+   * @param {string|null} [details.provider] - Provider or endpoint name
+   */
+  constructor(type, message, { status = null, code = null, provider = null } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.type = API_ERROR_TYPES.includes(type) ? type : 'unknown';
+    this.status = status;
+    this.code = code;
+    this.provider = provider;
+  }
+}
+
+/**
+ * Provider-independent classification from the HTTP status, error code and message
+ * Adapters with a classifyError hook are asked first
+ * @param {{status: number|null, code: string|null, message: string}} error
+ * @returns {string} One of API_ERROR_TYPES
+ */
+function classifyApiError({ status, code, message }) {
+  const text = `${code || ''} ${message || ''}`;
+  if (/invalid_api_key|authentication_error|permission_error|API_KEY_INVALID|PERMISSION_DENIED|UNAUTHENTICATED/.test(text)) return 'auth';
+  if (/insufficient_quota|billing|credit balance/i.test(text)) return 'quota';
+  if (/context_length_exceeded|context length|context window|prompt is too long|maximum number of tokens/i.test(text)) return 'contextLength';
+  if (/content_filter|content_policy|SAFETY|PROHIBITED_CONTENT/.test(text)) return 'contentFiltered';
+  if (/rate_limit/.test(text)) return 'rateLimit';
+  if (/overloaded|server_error|api_error|UNAVAILABLE|INTERNAL/.test(text)) return 'server';
+  if (/DEADLINE_EXCEEDED|timeout/i.test(text)) return 'timeout';
+
+  if (status === 401 || status === 403) return 'auth';
+  if (status === 402) return 'quota';
+  if (status === 408 || status === 504) return 'timeout';
+  if (status === 413) return 'contextLength';
+  if (status === 429) return 'rateLimit';
+  if (status >= 500) return 'server';
+  return 'unknown';
+}
+
+/**
+ * Split a history message into text and inline files for a provider
+ * Text files are inlined into the text, files the provider cannot read become a short note
+ * @param {{content: string, attachments?: Array<{name: string, mimeType: string, kind: string, data: string|null}>}} message
+ * @param {string[]} [kinds] - Attachment kinds the provider reads natively
+ * @returns {{text: string, media: Array<{name: string, mimeType: string, kind: string, data: string}>}}
+ */
+function prepareContent(message, kinds = []) {
+  const media = [];
+  const extras = [];
+  (message.attachments || []).forEach(attachment => {
+    if (!attachment.data) {
+      extras.push(`[Attachment no longer available: ${attachment.name}]`);
+    } else if (attachment.kind === 'text') {
+      const bytes = Uint8Array.from(atob(attachment.data), char => char.charCodeAt(0));
+      extras.push(`File: ${attachment.name}\n\`\`\`\n${new TextDecoder().decode(bytes)}\n\`\`\``);
+    } else if (kinds.includes(attachment.kind)) {
+      media.push(attachment);
+    } else {
+      extras.push(`[Attachment not supported by this service: ${attachment.name}]`);
+    }
+  });
+  return { text: [...extras, message.content].filter(Boolean).join('\n\n'), media };
+}
+
+/**
+ * Supported generation parameters; a missing key means the parameter is not supported
+ * @typedef {Object} ParameterSpec
+ * @property {{min: number, max: number, step: number}} [temperature]
+ * @property {{min: number, max: number, step: number}} [topP]
+ * @property {{min: number, max: number|null}} [maxTokens]
+ * @property {{type: 'effort', options: string[]}|{type: 'budget', min: number, max: number, allowOff: boolean}} [reasoning]
+ */
+
+/** @type {ProviderAdapter} */
+const openAIProvider = {
+  id: 'chatgpt',
+  name: 'OpenAI',
+  storageId: 'openai',
+  logo: 'ai-services/chatgpt.png',
+  color: '#10a37f',
+  authFields: [
+    { id: 'apiKey', label: 'OpenAI API Key', i18nKey: 'settings.apiKeys.openai', type: 'password', placeholder: 'sk-...', required: true }
+  ],
+  models: [
+    {
+      id: 'gpt-5.2', name: 'GPT-5.2', pricing: { input: 1.75, output: 14 }, contextWindow: 400000,
+      parameters: { temperature: false, topP: false, reasoning: { type: 'effort', options: ['none', 'low', 'medium', 'high', 'xhigh'] } }
+    },
+    {
+      id: 'gpt-5.2-pro', name: 'GPT-5.2 Pro', pricing: { input: 21, output: 168 }, contextWindow: 400000,
+      parameters: { temperature: false, topP: false, reasoning: { type: 'effort', options: ['medium', 'high', 'xhigh'] } }
+    },
+    {
+      id: 'gpt-5.1', name: 'GPT-5.1', pricing: { input: 1.25, output: 10 }, contextWindow: 400000,
+      parameters: { temperature: false, topP: false, reasoning: { type: 'effort', options: ['none', 'low', 'medium', 'high'] } }
+    },
+    {
+      id: 'gpt-5', name: 'GPT-5', pricing: { input: 1.25, output: 10 }, contextWindow: 400000,
+      parameters: { temperature: false, topP: false, reasoning: { type: 'effort', options: ['minimal', 'low', 'medium', 'high'] } }
+    },
+    {
+      id: 'gpt-5-mini', name: 'GPT-5 Mini', pricing: { input: 0.25, output: 2 }, contextWindow: 400000,
+      parameters: { temperature: false, topP: false, reasoning: { type: 'effort', options: ['minimal', 'low', 'medium', 'high'] } }
+    }
+  ],
+  defaultModel: 'gpt-5.2',
+  // Older models found by model discovery (gpt-4o, gpt-4.1-mini, ...)
+  contextWindow: 128000,
+  capabilities: { webSearch: true, vision: true, streaming: true, thinking: true },
+  attachments: ['image', 'pdf'],
+  // Spec of the chat models; reasoning models reject sampling parameters and declare
+  // their reasoning effort, hence the per-model overrides above
+  parameters: {
+    temperature: { min: 0, max: 2, step: 0.1 },
+    topP: { min: 0, max: 1, step: 0.05 },
+    maxTokens: { min: 16, max: 128000 }
+  },
+
+  // Discovered models: the GPT-5 and o-series reasoning models take an effort and no sampling,
+  // the chat models (gpt-4o, gpt-4.1, gpt-5-chat...) keep the provider spec
+  getFamilyParameters(modelId) {
+    if (/^(gpt-5|o\d)/.test(modelId) && !/chat/.test(modelId)) {
+      return { temperature: false, topP: false, reasoning: { type: 'effort', options: ['low', 'medium', 'high'] } };
+    }
+    return null;
+  },
+
+  // Responses API
+  buildRequest({ auth, model, messages, systemPrompt, params = {}, webSearch = null, thinking = false }) {
+    // The reasoning itself stays hidden, only a summary of it can be streamed
+    const reasoning = params.reasoning || thinking
+      ? { effort: params.reasoning, summary: thinking ? 'auto' : undefined }
+      : undefined;
+    return {
+      url: 'https://api.openai.com/v1/responses',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${auth.apiKey}`
+      },
+      body: {
+        model: model,
+        input: [
+          { role: 'system', content: systemPrompt },
+          ...messages.map(msg => ({ role: msg.role, content: this.formatContent(msg) }))
+        ],
+        tools: webSearch ? [{ type: "web_search" }] : undefined,
+        temperature: params.temperature,
+        top_p: params.topP,
+        max_output_tokens: params.maxTokens,
+        reasoning,
+        stream: true
+      }
+    };
+  },
+
+  buildModelsRequest({ auth }) {
+    return {
+      url: 'https://api.openai.com/v1/models',
+      headers: { 'Authorization': `Bearer ${auth.apiKey}` }
+    };
+  },
+
+  // The list mixes every model family, keep the ones the Responses API can chat with
+  parseModels(data) {
+    return (data.data || [])
+      .map(model => model.id)
+      .filter(id => /^(gpt-|o\d|chatgpt-)/.test(id))
+      .filter(id => !/(audio|realtime|transcribe|tts|image|embedding|search|instruct|moderation)/.test(id))
+      .sort((a, b) => b.localeCompare(a))
+      .map(id => ({ id, name: id }));
+  },
+
+  parseEvent(eventName, data) {
+    const type = data.type || eventName;
+    if (type === 'response.output_text.delta' && data.delta) {
+      return { delta: data.delta };
+    }
+    if (type === 'response.reasoning_summary_text.delta' && data.delta) {
+      return { thinking: data.delta };
+    }
+    // Summaries come in parts (one per reasoning step)
+    if (type === 'response.reasoning_summary_part.added' && data.summary_index > 0) {
+      return { thinking: '\n\n' };
+    }
+    if (type === 'response.output_text.annotation.added' && data.annotation) {
+      return { citations: this.toCitations([data.annotation]) };
+    }
+    if (type === 'response.completed') {
+      // Some models only deliver the final text in the completed event
+      const messageOutput = data.response?.output?.find(item => item.type === 'message');
+      const usage = data.response?.usage;
+      return {
+        text: messageOutput?.content?.[0]?.text || '',
+        citations: this.toCitations(messageOutput?.content?.[0]?.annotations),
+        usage: usage ? { inputTokens: usage.input_tokens, outputTokens: usage.output_tokens } : null
+      };
+    }
+    if (type === 'response.failed' || type === 'error') {
+      const error = data.response?.error || data.error || data;
+      return { error: { message: error.message || 'OpenAI stream failed', code: error.code || error.type || null } };
+    }
+    if (type === 'response.incomplete' && data.response?.incomplete_details?.reason === 'content_filter') {
+      return { error: { message: 'The response was stopped by the content filter', code: 'content_filter', type: 'contentFiltered' } };
+    }
+    return null;
+  },
+
+  /**
+   * Plain string, or input_image / input_file parts when the message has attachments
+   * @param {Object} message
+   * @returns {string|Array}
+   */
+  formatContent(message) {
+    const { text, media } = prepareContent(message, this.attachments);
+    if (media.length === 0) return text;
+    const parts = media.map(file => file.kind === 'image'
+      ? { type: 'input_image', image_url: `data:${file.mimeType};base64,${file.data}` }
+      : { type: 'input_file', filename: file.name, file_data: `data:${file.mimeType};base64,${file.data}` });
+    if (text) parts.push({ type: 'input_text', text });
+    return parts;
+  },
+
+  /**
+   * url_citation annotations span the inline "([site](url))" link the model writes
+   * @param {Array} [annotations]
+   * @returns {Citation[]}
+   */
+  toCitations(annotations = []) {
+    return (annotations || [])
+      .filter(annotation => annotation.type === 'url_citation' && annotation.url)
+      .map(annotation => ({
+        url: annotation.url,
+        title: annotation.title,
+        start: annotation.start_index,
+        end: annotation.end_index
+      }));
+  }
+};
+
+/** @type {ProviderAdapter} */
+const geminiProvider = {
+  id: 'gemini',
+  name: 'Google Gemini',
+  storageId: 'gemini',
+  logo: 'ai-services/gemini.png',
+  color: '#1b72e8',
+  authFields: [
+    { id: 'apiKey', label: 'Google Gemini API Key', i18nKey: 'settings.apiKeys.gemini', type: 'password', placeholder: 'AIza...', required: true }
+  ],
+  models: [
+    {
+      id: 'gemini-3-flash-preview', name: 'Gemini 3 Flash (Preview)', pricing: { input: 0.5, output: 3 },
+      parameters: { reasoning: { type: 'effort', options: ['minimal', 'low', 'medium', 'high'] } }
+    },
+    {
+      id: 'gemini-3-pro-preview', name: 'Gemini 3 Pro (Preview)', pricing: { input: 2, output: 12 },
+      parameters: { reasoning: { type: 'effort', options: ['low', 'high'] } }
+    },
+    {
+      id: 'gemini-2.5-flash', name: 'Gemini 2.5 Flash', pricing: { input: 0.3, output: 2.5 },
+      parameters: { reasoning: { type: 'budget', min: 1, max: 24576, allowOff: true } }
+    },
+    {
+      id: 'gemini-2.5-pro', name: 'Gemini 2.5 Pro', pricing: { input: 1.25, output: 10 },
+      parameters: { reasoning: { type: 'budget', min: 128, max: 32768, allowOff: false } }
+    }
+  ],
+  defaultModel: 'gemini-3-flash-preview',
+  contextWindow: 1048576,
+  capabilities: { webSearch: true, vision: true, streaming: true, thinking: true },
+  attachments: ['image', 'pdf'],
+  // Gemini 3 takes a thinking level, Gemini 2.5 a thinking budget (see models)
+  parameters: {
+    temperature: { min: 0, max: 2, step: 0.1 },
+    topP: { min: 0, max: 1, step: 0.05 },
+    maxTokens: { min: 1, max: 65536 }
+  },
+
+  // Discovered models: variants of the listed families think the same way, older ones do not think
+  getFamilyParameters(modelId) {
+    if (/^gemini-3/.test(modelId)) return { reasoning: { type: 'effort', options: ['low', 'high'] } };
+    if (/^gemini-2\.5/.test(modelId)) return { reasoning: { type: 'budget', min: 512, max: 24576, allowOff: true } };
+    return null;
+  },
+
+  buildRequest({ auth, model, messages, systemPrompt, params = {}, webSearch = null, thinking = false }) {
+    let thinkingConfig;
+    if (typeof params.reasoning === 'string') {
+      thinkingConfig = { thinkingLevel: params.reasoning };
+    } else if (typeof params.reasoning === 'number') {
+      thinkingConfig = { thinkingBudget: params.reasoning };
+    }
+    // Thought summaries, streamed as parts flagged with thought: true
+    if (thinking) thinkingConfig = { ...thinkingConfig, includeThoughts: true };
+
+    return {
+      url: `https://generativelanguage.googleapis.com/v1beta/models/${model}:streamGenerateContent?alt=sse`,
+      headers: {
+        'Content-Type': 'application/json',
+        'x-goog-api-key': auth.apiKey
+      },
+      body: {
+        contents: messages.map(msg => ({
+          role: msg.role === 'assistant' ? 'model' : 'user',
+          parts: this.formatParts(msg)
+        })),
+        systemInstruction: { parts: [{ text: systemPrompt }] },
+        generationConfig: {
+          maxOutputTokens: params.maxTokens || 8192,
+          temperature: params.temperature,
+          topP: params.topP,
+          thinkingConfig
+        },
+        tools: webSearch ? [{ google_search: {} }] : undefined
+      }
+    };
+  },
+
+  /**
+   * Text part, preceded by inline_data parts for attachments
+   * @param {Object} message
+   * @returns {Array}
+   */
+  formatParts(message) {
+    const { text, media } = prepareContent(message, this.attachments);
+    const parts = media.map(file => ({ inline_data: { mime_type: file.mimeType, data: file.data } }));
+    if (text || parts.length === 0) parts.push({ text });
+    return parts;
+  },
+
+  // An invalid key is a 400 INVALID_ARGUMENT, free-tier "quota" errors are per-minute rate limits
+  classifyError({ status, message }) {
+    if (/API key not valid|API key expired/i.test(message)) return 'auth';
+    if (status === 429 && !/billing/i.test(message)) return 'rateLimit';
+    return null;
+  },
+
+  buildModelsRequest({ auth }) {
+    return {
+      url: 'https://generativelanguage.googleapis.com/v1beta/models?pageSize=1000',
+      headers: { 'x-goog-api-key': auth.apiKey }
+    };
+  },
+
+  // Names come as models/<id>, embedding and imagen models cannot generate content
+  parseModels(data) {
+    return (data.models || [])
+      .filter(model => (model.supportedGenerationMethods || []).includes('generateContent'))
+      .map(model => ({ id: model.name.replace(/^models\//, ''), name: model.displayName || model.name }))
+      .filter(model => model.id.startsWith('gemini-'));
+  },
+
+  parseEvent(eventName, data) {
+    if (data.error) {
+      return { error: { message: data.error.message, code: data.error.status || null } };
+    }
+    const blockReason = data.promptFeedback?.blockReason;
+    const finishReason = data.candidates?.[0]?.finishReason;
+    if (blockReason || ['SAFETY', 'PROHIBITED_CONTENT', 'BLOCKLIST', 'SPII', 'RECITATION'].includes(finishReason)) {
+      return { error: { message: 'The response was blocked by Gemini safety filters', code: blockReason || finishReason, type: 'contentFiltered' } };
+    }
+    const parts = data.candidates?.[0]?.content?.parts || [];
+    const delta = parts
+      .filter(part => part.text && !part.thought)
+      .map(part => part.text)
+      .join('');
+    const thinking = parts
+      .filter(part => part.text && part.thought)
+      .map(part => part.text)
+      .join('');
+    // usageMetadata is cumulative, the last chunk carries the final counts (thinking is billed as output)
+    const meta = data.usageMetadata;
+    const usage = meta ? {
+      inputTokens: meta.promptTokenCount || 0,
+      outputTokens: (meta.candidatesTokenCount || 0) + (meta.thoughtsTokenCount || 0)
+    } : null;
+    return { delta, thinking, usage, citations: this.toCitations(data.candidates?.[0]?.groundingMetadata) };
+  },
+
+  /**
+   * Grounding supports point at chunks (sources) for a segment of the answer.
+   * Segment offsets are UTF-8 bytes, so the segment text is used to place the footnote
+   * @param {Object} [grounding] - groundingMetadata
+   * @returns {Citation[]}
+   */
+  toCitations(grounding) {
+    const chunks = (grounding?.groundingChunks || []).map(chunk => chunk.web).filter(Boolean);
+    if (chunks.length === 0) return [];
+
+    const citations = [];
+    (grounding.groundingSupports || []).forEach(support => {
+      (support.groundingChunkIndices || []).forEach(index => {
+        const chunk = chunks[index];
+        if (chunk?.uri) citations.push({ url: chunk.uri, title: chunk.title, text: support.segment?.text });
+      });
+    });
+    chunks.forEach(chunk => {
+      if (chunk.uri) citations.push({ url: chunk.uri, title: chunk.title, cited: false });
+    });
+    return citations;
+  }
+};
+
+/** @type {ProviderAdapter} */
+const anthropicProvider = {
+  id: 'claude',
+  name: 'Anthropic',
+  storageId: 'anthropic',
+  logo: 'ai-services/claude.png',
+  color: '#d97757',
+  authFields: [
+    { id: 'apiKey', label: 'Anthropic API Key', i18nKey: 'settings.apiKeys.anthropic', type: 'password', placeholder: 'sk-ant-...', required: true }
+  ],
+  models: [
+    { id: 'claude-sonnet-4-5', name: 'Claude Sonnet 4.5', pricing: { input: 3, output: 15 } },
+    {
+      id: 'claude-opus-4-6', name: 'Claude Opus 4.6', pricing: { input: 5, output: 25 },
+      parameters: { maxTokens: { max: 128000 }, reasoning: { max: 127999 } }
+    },
+    { id: 'claude-haiku-4-5', name: 'Claude Haiku 4.5', pricing: { input: 1, output: 5 } }
+  ],
+  defaultModel: 'claude-sonnet-4-5',
+  contextWindow: 200000,
+  // Thinking blocks only come with extended thinking, i.e. when a thinking budget is set
+  capabilities: { webSearch: true, vision: true, streaming: true, thinking: true },
+  attachments: ['image', 'pdf'],
+  parameters: {
+    temperature: { min: 0, max: 1, step: 0.1 },
+    topP: { min: 0, max: 1, step: 0.05 },
+    maxTokens: { min: 1, max: 64000 },
+    reasoning: { type: 'budget', min: 1024, max: 63999, allowOff: true }
+  },
+  // Claude thinks only with a budget, showing its thinking needs one
+  defaultThinkingBudget: 4096,
+
+  // Discovered models: extended thinking came with Claude 3.7, older models have no thinking budget
+  getFamilyParameters(modelId) {
+    return /^claude-3-(?!7)/.test(modelId) ? { reasoning: false } : null;
+  },
+
+  /**
+   * Extended thinking rules: the budget must stay below max_tokens, temperature
+   * cannot be changed and top_p is limited to 0.95-1. These models also accept
+   * only one of temperature and top_p.
+   */
+  validateParams(params, spec, warnings) {
+    if (params.reasoning) {
+      const maxTokens = params.maxTokens || 8192;
+      if (params.reasoning >= maxTokens) {
+        params.maxTokens = Math.min(params.reasoning + 1024, spec.maxTokens.max);
+        if (params.reasoning >= params.maxTokens) params.reasoning = params.maxTokens - 1;
+        warnings.push(`max tokens raised to ${params.maxTokens} to fit the thinking budget`);
+      }
+      if (params.temperature !== undefined) {
+        delete params.temperature;
+        warnings.push('temperature is ignored with extended thinking');
+      }
+      if (params.topP !== undefined && params.topP < 0.95) {
+        delete params.topP;
+        warnings.push('top_p below 0.95 is ignored with extended thinking');
+      }
+    }
+    if (params.temperature !== undefined && params.topP !== undefined) {
+      delete params.topP;
+      warnings.push('top_p is ignored when temperature is set');
+    }
+  },
+
+  buildRequest({ auth, model, messages, systemPrompt, params = {}, webSearch = null }) {
+    return {
+      url: 'https://api.anthropic.com/v1/messages',
+      headers: {
+        'x-api-key': auth.apiKey,
+        'anthropic-version': '2023-06-01',
+        'content-type': 'application/json'
+      },
+      body: {
+        model: model,
+        max_tokens: params.maxTokens || 8192,
+        temperature: params.temperature,
+        top_p: params.topP,
+        thinking: params.reasoning ? { type: 'enabled', budget_tokens: params.reasoning } : undefined,
+        system: systemPrompt,
+        messages: messages.map(msg => ({ role: msg.role, content: this.formatContent(msg) })),
+        tools: webSearch ? [{
+          type: "web_search_20250305",
+          name: "web_search",
+          max_uses: webSearch.maxUses
+        }] : undefined,
+        stream: true
+      }
+    };
+  },
+
+  /**
+   * Plain string, or image / document blocks followed by the text when the message has attachments
+   * @param {Object} message
+   * @returns {string|Array}
+   */
+  formatContent(message) {
+    const { text, media } = prepareContent(message, this.attachments);
+    if (media.length === 0) return text;
+    const blocks = media.map(file => ({
+      type: file.kind === 'image' ? 'image' : 'document',
+      source: { type: 'base64', media_type: file.mimeType, data: file.data }
+    }));
+    if (text) blocks.push({ type: 'text', text });
+    return blocks;
+  },
+
+  buildModelsRequest({ auth }) {
+    return {
+      url: 'https://api.anthropic.com/v1/models?limit=1000',
+      headers: { 'x-api-key': auth.apiKey, 'anthropic-version': '2023-06-01' }
+    };
+  },
+
+  parseModels(data) {
+    return (data.data || []).map(model => ({ id: model.id, name: model.display_name || model.id }));
+  },
+
+  parseEvent(eventName, data) {
+    if (data.type === 'content_block_delta' && data.delta?.type === 'text_delta') {
+      return { delta: data.delta.text };
+    }
+    if (data.type === 'content_block_delta' && data.delta?.type === 'thinking_delta') {
+      return { thinking: data.delta.thinking };
+    }
+    // Citations of a text block arrive before its text, the footnote goes where the block ends
+    if (data.type === 'content_block_delta' && data.delta?.type === 'citations_delta') {
+      const citation = data.delta.citation;
+      return citation?.url ? { citations: [{ url: citation.url, title: citation.title }] } : null;
+    }
+    if (data.type === 'content_block_start' && data.content_block?.type === 'web_search_tool_result') {
+      const results = Array.isArray(data.content_block.content) ? data.content_block.content : [];
+      return {
+        citations: results
+          .filter(result => result.type === 'web_search_result' && result.url)
+          .map(result => ({ url: result.url, title: result.title, cited: false })),
+        separator: true
+      };
+    }
+    // Text before and after a tool call are separate blocks, cited passages are consecutive text blocks
+    if (data.type === 'content_block_start' && data.content_block && data.content_block.type !== 'text') {
+      return { separator: true };
+    }
+    if (data.type === 'content_block_stop') {
+      return { blockEnd: true };
+    }
+    if (data.type === 'message_start' && data.message?.usage) {
+      const usage = data.message.usage;
+      return {
+        usage: {
+          inputTokens: (usage.input_tokens || 0) + (usage.cache_creation_input_tokens || 0) + (usage.cache_read_input_tokens || 0),
+          outputTokens: usage.output_tokens || 0
+        }
+      };
+    }
+    if (data.type === 'message_delta' && data.delta?.stop_reason === 'refusal') {
+      return { error: { message: 'Claude declined to answer', code: 'refusal', type: 'contentFiltered' } };
+    }
+    if (data.type === 'message_delta' && data.usage) {
+      // output_tokens here is cumulative for the whole message
+      return { usage: { outputTokens: data.usage.output_tokens || 0 } };
+    }
+    if (data.type === 'error') {
+      return { error: { message: data.error?.message || 'Anthropic stream failed', code: data.error?.type || null } };
+    }
+    return null;
+  }
+};
+
+/**
+ * Generic chat completions adapter behind user-defined endpoints
+ * (Ollama, LM Studio, vLLM, llama.cpp server). Base URL, key and model
+ * come from the custom endpoint itself.
+ * @type {ProviderAdapter}
+ */
+const openAICompatibleProvider = {
+  id: 'openai-compatible',
+  name: 'OpenAI-compatible',
+  storageId: 'openai-compatible',
+  color: '#6b7280',
+  template: true,
+  authFields: [
+    { id: 'apiKey', label: 'API key (optional)', i18nKey: 'settings.customEndpoints.apiKey', type: 'password', required: false }
+  ],
+  models: [],
+  defaultModel: null,
+  // Conservative default for local servers, endpoints can declare their own (see getContextWindow)
+  contextWindow: 8192,
+  // Reasoning servers (vLLM, LM Studio, Ollama, DeepSeek) stream it next to the content
+  capabilities: { webSearch: false, vision: false, streaming: true, thinking: true },
+  parameters: {
+    temperature: { min: 0, max: 2, step: 0.1 },
+    topP: { min: 0, max: 1, step: 0.05 },
+    maxTokens: { min: 1, max: null }
+  },
+
+  buildRequest({ auth, model, messages, systemPrompt, service, params = {} }) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (auth.apiKey) headers['Authorization'] = `Bearer ${auth.apiKey}`;
+    return {
+      url: `${service.baseUrl.replace(/\/+$/, '')}/chat/completions`,
+      headers,
+      body: {
+        model: model,
+        messages: [
+          { role: 'system', content: systemPrompt },
+          // No native attachments: text files are inlined, other files become a note
+          ...messages.map(msg => ({ role: msg.role, content: prepareContent(msg).text }))
+        ],
+        temperature: params.temperature,
+        top_p: params.topP,
+        max_tokens: params.maxTokens,
+        stream: true,
+        stream_options: { include_usage: true }
+      }
+    };
+  },
+
+  buildModelsRequest({ auth, service }) {
+    const headers = {};
+    if (auth.apiKey) headers['Authorization'] = `Bearer ${auth.apiKey}`;
+    return { url: `${service.baseUrl.replace(/\/+$/, '')}/models`, headers };
+  },
+
+  parseModels(data) {
+    return (data.data || []).map(model => ({ id: model.id, name: model.id }));
+  },
+
+  parseEvent(eventName, data) {
+    if (data.error) {
+      return { error: { message: data.error.message || String(data.error), code: data.error.code || data.error.type || null } };
+    }
+    if (data.choices?.[0]?.finish_reason === 'content_filter') {
+      return { error: { message: 'The response was stopped by the content filter', code: 'content_filter', type: 'contentFiltered' } };
+    }
+    // With include_usage the last chunk has empty choices and the totals
+    const usage = data.usage
+      ? { inputTokens: data.usage.prompt_tokens || 0, outputTokens: data.usage.completion_tokens || 0 }
+      : null;
+    const delta = data.choices?.[0]?.delta;
+    return { delta: delta?.content || '', thinking: delta?.reasoning_content || delta?.reasoning || '', usage };
+  }
+};
+
 /**
  * OnePromptCore - The Bridge
  *
@@ -31,93 +752,779 @@
  */
 const OnePromptCore = {
   /**
-   * Feature flags - indicate which features are available
+   * Feature flags - indicate which features are available
+   */
+  features: {
+    byok: true,          // BYOK always enabled in open source
+    credits: false,      // Credit system (private only)
+    auth: false,         // Authentication (private only)
+    analytics: false,    // PostHog tracking (private only)
+  },
+
+  /**
+   * App configuration
+   */
+  config: {
+    appName: 'OnePrompt',
+    windowTitle: 'OnePrompt',
+  },
+
+  // ============================================================
+  // PROVIDER REGISTRY
+  // ============================================================
+
+  /**
+   * Registered provider adapters, keyed by id
+   * @type {Object<string, ProviderAdapter>}
+   */
+  providers: {},
+
+  /**
+   * Register (or replace) a provider adapter
+   * @param {ProviderAdapter} adapter
+   */
+  registerProvider(adapter) {
+    if (!adapter || !adapter.id || typeof adapter.buildRequest !== 'function') {
+      throw new Error('Invalid provider adapter');
+    }
+    this.providers[adapter.id] = adapter;
+  },
+
+  /**
+   * Get a registered adapter by id
+   * @param {string} id
+   * @returns {ProviderAdapter|null}
+   */
+  getProvider(id) {
+    return this.providers[id] || null;
+  },
+
+  /**
+   * Get the adapters that are services on their own, in registration order
+   * (templates such as the OpenAI-compatible one are excluded)
+   * @returns {ProviderAdapter[]}
+   */
+  getProviders() {
+    return Object.values(this.providers).filter(provider => !provider.template);
+  },
+
+  /**
+   * Resolve the adapter that handles a service key
+   * @param {string} aiKey - chatgpt, claude, gemini, custom-<id>
+   * @returns {ProviderAdapter|null}
+   */
+  getProviderForService(aiKey) {
+    if (this.getCustomApiService(aiKey)) {
+      return this.getProvider('openai-compatible');
+    }
+    const provider = this.getProvider(this.getBaseServiceKey(aiKey));
+    return provider && !provider.template ? provider : null;
+  },
+
+  // ============================================================
+  // MODEL INSTANCES
+  // Extra panels of a session running another model of a service
+  // (instance-<id> keys). The renderer registers the instances of all
+  // sessions; auth, model lists and saved parameters come from the
+  // base service, the model from the instance.
+  // ============================================================
+
+  /**
+   * Registered model instances, keyed by instance key
+   * @type {Object<string, {id: string, provider: string, model: string, name: string}>}
+   */
+  modelInstances: {},
+
+  /**
+   * Replace the registered model instances
+   * @param {Array<{id: string, provider: string, model: string, name: string}>} instances
+   */
+  setModelInstances(instances) {
+    this.modelInstances = {};
+    (instances || []).forEach(instance => {
+      this.modelInstances[instance.id] = instance;
+    });
+  },
+
+  /**
+   * Get a registered model instance
+   * @param {string} aiKey
+   * @returns {{id: string, provider: string, model: string, name: string}|null}
+   */
+  getModelInstance(aiKey) {
+    return this.modelInstances[aiKey] || null;
+  },
+
+  /**
+   * Service a key stands for: the base service of a model instance, the key itself otherwise
+   * @param {string} aiKey
+   * @returns {string}
+   */
+  getBaseServiceKey(aiKey) {
+    const instance = this.getModelInstance(aiKey);
+    return instance ? instance.provider : aiKey;
+  },
+
+  // ============================================================
+  // API KEY MANAGEMENT (BYOK)
+  // Keys are encrypted by the main process with Electron safeStorage
+  // and cached here once decrypted, so reads stay synchronous. Without
+  // an OS keychain (or outside Electron) they stay in localStorage.
+  // ============================================================
+
+  /**
+   * Decrypted keys by localStorage name (oneprompt-api-*), when encryption is on
+   * @type {Object<string, string>}
+   */
+  secureKeys: {},
+
+  /**
+   * Where keys are stored
+   * @type {{encrypted: boolean, reason: 'unavailable'|'notElectron'|'error'|null}}
+   */
+  secureStorage: { encrypted: false, reason: 'notElectron' },
+
+  /**
+   * Load the encrypted keys and move plaintext keys from localStorage into them
+   * Must run before the first key read (renderer init)
+   * @returns {Promise<{encrypted: boolean, reason: string|null}>}
+   */
+  async initSecureStorage() {
+    this.migrateCustomApiKeys();
+
+    const api = window.electronAPI;
+    if (!api || typeof api.loadSecureKeys !== 'function') {
+      this.secureStorage = { encrypted: false, reason: 'notElectron' };
+      return this.secureStorage;
+    }
+
+    let result;
+    try {
+      result = await api.loadSecureKeys();
+    } catch (error) {
+      logger.error('[OnePromptCore] Could not load encrypted API keys:', error);
+      this.secureStorage = { encrypted: false, reason: 'error' };
+      return this.secureStorage;
+    }
+
+    if (!result.available) {
+      logger.warn('[OnePromptCore] OS keychain unavailable, API keys stay unencrypted in localStorage');
+      this.secureStorage = { encrypted: false, reason: 'unavailable' };
+      return this.secureStorage;
+    }
+
+    this.secureKeys = result.keys || {};
+    this.secureStorage = { encrypted: true, reason: null };
+
+    // One-time migration. localStorage keys are also the ones written while
+    // encryption was unavailable, so they win over the encrypted copy
+    const plaintext = Object.keys(localStorage).filter(name => name.startsWith('oneprompt-api-'));
+    for (const name of plaintext) {
+      const value = localStorage.getItem(name);
+      const saved = await api.setSecureKey(name, value).catch(() => ({ success: false }));
+      if (saved.success) {
+        this.secureKeys[name] = value;
+        localStorage.removeItem(name);
+      } else {
+        logger.error(`[OnePromptCore] Could not encrypt ${name}, keeping it in localStorage`);
+      }
+    }
+    if (plaintext.length > 0) logger.log(`[OnePromptCore] Moved ${plaintext.length} API key(s) to encrypted storage`);
+
+    return this.secureStorage;
+  },
+
+  /**
+   * Move the keys of custom endpoints out of their settings JSON (older versions
+   * stored them there) into oneprompt-api-<serviceId>, where the keychain migration picks them up
+   */
+  migrateCustomApiKeys() {
+    let services;
+    try {
+      services = JSON.parse(localStorage.getItem('oneprompt-custom-api-services') || '[]');
+    } catch (e) {
+      return;
+    }
+    if (!Array.isArray(services) || !services.some(service => 'apiKey' in service)) return;
+
+    services.forEach(service => {
+      if (service.apiKey && !localStorage.getItem(`oneprompt-api-${service.id}`)) {
+        localStorage.setItem(`oneprompt-api-${service.id}`, service.apiKey);
+      }
+      delete service.apiKey;
+    });
+    localStorage.setItem('oneprompt-custom-api-services', JSON.stringify(services));
+    logger.log('[OnePromptCore] Moved custom endpoint API keys out of the endpoint settings');
+  },
+
+  /**
+   * Where API keys are stored
+   * @returns {{encrypted: boolean, reason: 'unavailable'|'notElectron'|'error'|null}}
+   */
+  getSecureStorageStatus() {
+    return this.secureStorage;
+  },
+
+  /**
+   * Read a stored key, encrypted store first (a failed migration leaves it in localStorage)
+   * @param {string} storageKey - oneprompt-api-*
+   * @returns {string|null}
+   */
+  readStoredKey(storageKey) {
+    if (this.secureStorage.encrypted && this.secureKeys[storageKey]) return this.secureKeys[storageKey];
+    return localStorage.getItem(storageKey);
+  },
+
+  /**
+   * Write a stored key, empty values remove it
+   * A value whose encrypted write fails is kept in localStorage, so it is not lost
+   * (the next start retries the migration)
+   * @param {string} storageKey - oneprompt-api-*
+   * @param {string} value
+   */
+  writeStoredKey(storageKey, value) {
+    if (!this.secureStorage.encrypted) {
+      if (value) {
+        localStorage.setItem(storageKey, value);
+      } else {
+        localStorage.removeItem(storageKey);
+      }
+      return;
+    }
+
+    // Held in memory while the encrypted write is pending, written to localStorage only if it fails
+    if (value) {
+      this.secureKeys[storageKey] = value;
+    } else {
+      delete this.secureKeys[storageKey];
+      localStorage.removeItem(storageKey);
+    }
+    const fallback = (error) => {
+      logger.error(`[OnePromptCore] Could not encrypt ${storageKey}, keeping it in localStorage:`, error);
+      // Unless a newer value was written meanwhile
+      if (value && this.secureKeys[storageKey] === value) localStorage.setItem(storageKey, value);
+    };
+    window.electronAPI.setSecureKey(storageKey, value || '')
+      .then(result => {
+        if (!result.success) {
+          fallback(result.error);
+          return;
+        }
+        // Drops the copy of an earlier failed write
+        if (value && this.secureKeys[storageKey] === value) localStorage.removeItem(storageKey);
+      })
+      .catch(fallback);
+  },
+
+  /**
+   * Get a user-defined OpenAI-compatible endpoint
+   * @param {string} aiKey - custom-<id>
+   * @returns {Object|null} { id, name, baseUrl, model, color, contextWindow } (the key is stored apart, see getAuthValue)
+   */
+  getCustomApiService(aiKey) {
+    const serviceKey = this.getBaseServiceKey(aiKey);
+    if (typeof serviceKey !== 'string' || !serviceKey.startsWith('custom-')) return null;
+    try {
+      const services = JSON.parse(localStorage.getItem('oneprompt-custom-api-services') || '[]');
+      return services.find(service => service.id === serviceKey) || null;
+    } catch (e) {
+      return null;
+    }
+  },
+
+  /**
+   * Suffix of the per-service localStorage keys (models, parameters, connection status)
+   * Custom endpoints share one adapter, so they use their service id.
+   * Model instances resolve to their base service
+   * @param {string} aiKey
+   * @returns {string|null}
+   */
+  getServiceStorageId(aiKey) {
+    const provider = this.getProviderForService(aiKey);
+    if (!provider) return null;
+    return provider.template ? this.getBaseServiceKey(aiKey) : provider.storageId;
+  },
+
+  /**
+   * Storage name of an auth field (localStorage or encrypted store)
+   * The apiKey field keeps the historical oneprompt-api-<storageId> name
+   * @param {ProviderAdapter} provider
+   * @param {string} fieldId
+   * @returns {string}
+   */
+  getAuthStorageKey(provider, fieldId) {
+    return fieldId === 'apiKey'
+      ? `oneprompt-api-${provider.storageId}`
+      : `oneprompt-api-${provider.storageId}-${fieldId}`;
+  },
+
+  /**
+   * Get an auth field value for an AI service
+   * @param {string} aiKey - chatgpt, claude, gemini, custom-<id>
+   * @param {string} fieldId - Auth field id declared by the adapter
+   * @returns {string|null}
+   */
+  getAuthValue(aiKey, fieldId) {
+    const customService = this.getCustomApiService(aiKey);
+    if (customService) {
+      return fieldId === 'apiKey' ? this.readStoredKey(`oneprompt-api-${customService.id}`) : customService[fieldId] || null;
+    }
+
+    const provider = this.getProviderForService(aiKey);
+    return provider ? this.readStoredKey(this.getAuthStorageKey(provider, fieldId)) : null;
+  },
+
+  /**
+   * Save an auth field value for an AI service
+   * Custom endpoints are edited through their own settings cards, which save
+   * their key here (oneprompt-api-<serviceId>, encrypted like the others)
+   * @param {string} aiKey
+   * @param {string} fieldId
+   * @param {string} value - Empty values remove the field
+   */
+  setAuthValue(aiKey, fieldId, value) {
+    const customService = this.getCustomApiService(aiKey);
+    if (customService) {
+      if (fieldId !== 'apiKey') return;
+      this.writeStoredKey(`oneprompt-api-${customService.id}`, value);
+      this.clearConnectionStatus(aiKey);
+      return;
+    }
+
+    const provider = this.getProviderForService(aiKey);
+    if (!provider || provider.template) return;
+
+    this.writeStoredKey(this.getAuthStorageKey(provider, fieldId), value);
+    this.clearConnectionStatus(aiKey);
+  },
+
+  /**
+   * Get the API key for an AI service
+   * @param {string} aiKey - chatgpt, claude, gemini, custom-<id>
+   * @returns {string|null}
+   */
+  getApiKey(aiKey) {
+    return this.getAuthValue(aiKey, 'apiKey');
+  },
+
+  /**
+   * Save the API key for an AI service
+   * @param {string} aiKey - chatgpt, claude, gemini, custom-<id>
+   * @param {string} key - The API key
+   */
+  setApiKey(aiKey, key) {
+    this.setAuthValue(aiKey, 'apiKey', key);
+  },
+
+  /**
+   * Get the selected model for an AI service
+   * @param {string} aiKey
+   * @returns {string}
+   */
+  getSelectedModel(aiKey) {
+    const instance = this.getModelInstance(aiKey);
+    if (instance) return instance.model;
+
+    const customService = this.getCustomApiService(aiKey);
+    if (customService) return customService.model || null;
+
+    const provider = this.getProviderForService(aiKey);
+    if (!provider) return null;
+    return localStorage.getItem(`oneprompt-model-${provider.storageId}`) || provider.defaultModel;
+  },
+
+  /**
+   * Save the selected model for an AI service
+   * @param {string} aiKey
+   * @param {string} modelId
+   */
+  setSelectedModel(aiKey, modelId) {
+    // Instances have a fixed model, never overwrite the base service selection
+    if (this.getModelInstance(aiKey)) return;
+    const provider = this.getProviderForService(aiKey);
+    if (provider && !provider.template && modelId) {
+      localStorage.setItem(`oneprompt-model-${provider.storageId}`, modelId);
+    }
+  },
+
+  // ============================================================
+  // MODEL DISCOVERY
+  // Model lists fetched from the provider endpoints, cached in
+  // localStorage. The static adapter lists stay the offline fallback.
+  // ============================================================
+
+  /**
+   * Auth field values of a service, keyed by field id
+   * @param {string} aiKey
+   * @param {ProviderAdapter} provider
+   * @returns {Object}
+   */
+  getAuth(aiKey, provider) {
+    const auth = {};
+    provider.authFields.forEach(field => {
+      auth[field.id] = this.getAuthValue(aiKey, field.id);
+    });
+    return auth;
+  },
+
+  /**
+   * Storage key of the fetched model list of a service
+   * @param {string} aiKey
+   * @returns {string|null}
+   */
+  getModelsCacheKey(aiKey) {
+    const storageId = this.getServiceStorageId(aiKey);
+    return storageId ? `oneprompt-models-${storageId}` : null;
+  },
+
+  /**
+   * Model list fetched by the last refresh
+   * @param {string} aiKey
+   * @returns {{fetchedAt: number, models: Array<{id: string, name: string}>}|null} null when never fetched
+   */
+  getCachedModels(aiKey) {
+    const storageKey = this.getModelsCacheKey(aiKey);
+    if (!storageKey) return null;
+    try {
+      const cache = JSON.parse(localStorage.getItem(storageKey) || 'null');
+      return cache && Array.isArray(cache.models) ? cache : null;
+    } catch (e) {
+      return null;
+    }
+  },
+
+  /**
+   * Forget the fetched model list of a service
+   * @param {string} aiKey
+   */
+  clearCachedModels(aiKey) {
+    const storageKey = this.getModelsCacheKey(aiKey);
+    if (storageKey) localStorage.removeItem(storageKey);
+  },
+
+  /**
+   * Models to offer for a service: the fetched list (known models keep their static
+   * pricing and parameter overrides), or the static list when never fetched
+   * @param {string} aiKey
+   * @returns {Array<{id: string, name: string}>}
+   */
+  getAvailableModels(aiKey) {
+    const provider = this.getProviderForService(aiKey);
+    if (!provider) return [];
+    const cache = this.getCachedModels(aiKey);
+    if (!cache) return provider.models;
+    // Known models first, in the curated order, then the new ones as listed by the provider
+    const fetchedIds = new Set(cache.models.map(model => model.id));
+    const known = provider.models.filter(model => fetchedIds.has(model.id));
+    const others = cache.models.filter(model => !known.some(entry => entry.id === model.id));
+    return [...known, ...others];
+  },
+
+  /**
+   * Whether a model is still offered by the provider
+   * Always true without a fetched list, the static list cannot tell
+   * @param {string} aiKey
+   * @param {string} modelId
+   * @returns {boolean}
+   */
+  isModelAvailable(aiKey, modelId) {
+    const cache = this.getCachedModels(aiKey);
+    return !cache || cache.models.some(model => model.id === modelId);
+  },
+
+  /**
+   * Fetch the model list of a service with its stored credentials and cache it
+   * @param {string} aiKey
+   * @returns {Promise<{fetchedAt: number, models: Array<{id: string, name: string}>}>}
+   * @throws {ApiError} When the service is not configured or the request fails
+   */
+  async refreshModels(aiKey) {
+    const provider = this.getProviderForService(aiKey);
+    if (!provider || typeof provider.buildModelsRequest !== 'function') {
+      throw new ApiError('notConfigured', 'Model discovery is not supported for this service');
+    }
+
+    const service = this.getCustomApiService(aiKey);
+    const missingAuth = provider.authFields.some(field => field.required && !this.getAuthValue(aiKey, field.id));
+    if (missingAuth || (provider.template && !service?.baseUrl)) {
+      throw new ApiError('notConfigured', provider.template ? 'Endpoint not configured' : 'API key not configured', { code: 'not_configured' });
+    }
+
+    const providerName = service?.name || provider.name;
+    const request = provider.buildModelsRequest({ auth: this.getAuth(aiKey, provider), service });
+    let models;
+    try {
+      const res = await fetch(request.url, { headers: request.headers });
+      if (!res.ok) {
+        await this.throwResponseError(res, providerName, provider);
+      }
+      models = provider.parseModels(await res.json());
+    } catch (error) {
+      throw this.toApiError(error, providerName);
+    }
+    if (models.length === 0) {
+      throw new ApiError('invalidResponse', 'The provider returned no chat models', { provider: providerName });
+    }
+
+    const cache = { fetchedAt: Date.now(), models };
+    localStorage.setItem(this.getModelsCacheKey(aiKey), JSON.stringify(cache));
+    return cache;
+  },
+
+  // ============================================================
+  // CONNECTION TEST
+  // A model-list request is the cheapest authenticated call every
+  // provider offers, and it tells whether the selected model is reachable
+  // ============================================================
+
+  /**
+   * Storage key of the last connection test of a service
+   * @param {string} aiKey
+   * @returns {string|null}
    */
-  features: {
-    byok: true,          // BYOK always enabled in open source
-    credits: false,      // Credit system (private only)
-    auth: false,         // Authentication (private only)
-    analytics: false,    // PostHog tracking (private only)
+  getConnectionStatusKey(aiKey) {
+    const storageId = this.getServiceStorageId(aiKey);
+    return storageId ? `oneprompt-connection-${storageId}` : null;
   },
 
   /**
-   * App configuration
+   * Result of the last connection test
+   * @param {string} aiKey
+   * @returns {{status: 'valid'|'invalid'|'noModelAccess'|'network'|'error', checkedAt: number, message?: string}|null} null when never tested
    */
-  config: {
-    appName: 'OnePrompt',
-    windowTitle: 'OnePrompt',
+  getConnectionStatus(aiKey) {
+    const storageKey = this.getConnectionStatusKey(aiKey);
+    if (!storageKey) return null;
+    let result;
+    try {
+      result = JSON.parse(localStorage.getItem(storageKey) || 'null');
+    } catch (e) {
+      return null;
+    }
+    // The key worked: model access follows the model selected since then
+    if (result && (result.status === 'valid' || result.status === 'noModelAccess')) {
+      const model = this.getSelectedModel(aiKey);
+      return model && !this.isModelAvailable(aiKey, model)
+        ? { ...result, status: 'noModelAccess', message: model }
+        : { ...result, status: 'valid', message: undefined };
+    }
+    return result;
+  },
+
+  /**
+   * Forget the last connection test (the credentials changed)
+   * @param {string} aiKey
+   */
+  clearConnectionStatus(aiKey) {
+    const storageKey = this.getConnectionStatusKey(aiKey);
+    if (storageKey) localStorage.removeItem(storageKey);
+  },
+
+  /**
+   * Check the stored credentials with a minimal authenticated call
+   * The fetched model list is cached as a refresh would
+   * @param {string} aiKey
+   * @returns {Promise<{status: 'valid'|'invalid'|'noModelAccess'|'network'|'error', checkedAt: number, message?: string}>}
+   */
+  async testConnection(aiKey) {
+    let result;
+    try {
+      const cache = await this.refreshModels(aiKey);
+      const model = this.getSelectedModel(aiKey);
+      const hasModel = !model || cache.models.some(entry => entry.id === model);
+      result = hasModel ? { status: 'valid' } : { status: 'noModelAccess', message: model };
+    } catch (error) {
+      const statusByType = { auth: 'invalid', notConfigured: 'invalid', network: 'network', timeout: 'network' };
+      result = { status: statusByType[error.type] || 'error', message: error.message };
+    }
+
+    result.checkedAt = Date.now();
+    localStorage.setItem(this.getConnectionStatusKey(aiKey), JSON.stringify(result));
+    return result;
   },
 
   // ============================================================
-  // API KEY MANAGEMENT (BYOK)
+  // GENERATION PARAMETERS
+  // { temperature, topP, maxTokens, reasoning } - reasoning is an effort
+  // level (string) or a thinking budget in tokens (number, 0 = off)
   // ============================================================
 
   /**
-   * Get the API key for an AI service
-   * @param {string} aiKey - chatgpt, claude, gemini
+   * Parameters supported by a model: the provider spec with the model overrides applied
+   * @param {string} aiKey
+   * @param {string} [modelId] - Defaults to the selected model
+   * @returns {ParameterSpec}
+   */
+  getModelParameters(aiKey, modelId = null) {
+    const provider = this.getProviderForService(aiKey);
+    if (!provider || !provider.parameters) return {};
+
+    const id = modelId || this.getSelectedModel(aiKey);
+    const listed = provider.models.find(model => model.id === id);
+    // Models outside the static list are described by their family
+    const overrides = (listed ? listed.parameters : provider.getFamilyParameters?.(id)) || {};
+    const spec = {};
+    Object.keys({ ...provider.parameters, ...overrides }).forEach(name => {
+      const base = provider.parameters[name];
+      const override = overrides[name];
+      if (override === false) return;
+      if (override && base && override.type === undefined) {
+        spec[name] = { ...base, ...override };
+      } else if (override || base) {
+        spec[name] = override || base;
+      }
+    });
+    return spec;
+  },
+
+  /**
+   * Storage key of the generation settings of a service
+   * @param {string} aiKey
    * @returns {string|null}
    */
-  getApiKey(aiKey) {
-    const keyMap = {
-      chatgpt: 'oneprompt-api-openai',
-      claude: 'oneprompt-api-anthropic',
-      gemini: 'oneprompt-api-gemini'
-    };
-    const storageKey = keyMap[aiKey];
-    return storageKey ? localStorage.getItem(storageKey) : null;
+  getGenerationSettingsKey(aiKey) {
+    const storageId = this.getServiceStorageId(aiKey);
+    return storageId ? `oneprompt-params-${storageId}` : null;
   },
 
   /**
-   * Save the API key for an AI service
-   * @param {string} aiKey - chatgpt, claude, gemini
-   * @param {string} key - The API key
+   * Get the saved generation parameters of a service (unvalidated)
+   * @param {string} aiKey
+   * @returns {Object} Only the parameters the user set
    */
-  setApiKey(aiKey, key) {
-    const keyMap = {
-      chatgpt: 'oneprompt-api-openai',
-      claude: 'oneprompt-api-anthropic',
-      gemini: 'oneprompt-api-gemini'
-    };
-    const storageKey = keyMap[aiKey];
-    if (storageKey) {
-      if (key) {
-        localStorage.setItem(storageKey, key);
-      } else {
-        localStorage.removeItem(storageKey);
-      }
+  getGenerationSettings(aiKey) {
+    const storageKey = this.getGenerationSettingsKey(aiKey);
+    if (!storageKey) return {};
+    try {
+      const params = JSON.parse(localStorage.getItem(storageKey) || '{}');
+      return params && typeof params === 'object' ? params : {};
+    } catch (e) {
+      return {};
     }
   },
 
   /**
-   * Get the selected model for an AI service
+   * Save the generation parameters of a service
    * @param {string} aiKey
-   * @returns {string}
+   * @param {Object} params - Empty values are dropped (provider default)
    */
-  getSelectedModel(aiKey) {
-    const modelMap = {
-      chatgpt: { key: 'oneprompt-model-openai', default: 'gpt-5.2' },
-      claude: { key: 'oneprompt-model-anthropic', default: 'claude-sonnet-4-5' },
-      gemini: { key: 'oneprompt-model-gemini', default: 'gemini-3-flash-preview' }
-    };
-    const config = modelMap[aiKey];
-    return config ? (localStorage.getItem(config.key) || config.default) : null;
+  setGenerationSettings(aiKey, params) {
+    const storageKey = this.getGenerationSettingsKey(aiKey);
+    if (!storageKey) return;
+
+    const cleaned = this.compactParams(params);
+    if (Object.keys(cleaned).length > 0) {
+      localStorage.setItem(storageKey, JSON.stringify(cleaned));
+    } else {
+      localStorage.removeItem(storageKey);
+    }
   },
 
   /**
-   * Save the selected model for an AI service
+   * Drop unset parameters (null, undefined, empty string)
+   * @param {Object} [params]
+   * @returns {Object}
+   */
+  compactParams(params = {}) {
+    const cleaned = {};
+    Object.entries(params || {}).forEach(([name, value]) => {
+      if (value !== null && value !== undefined && value !== '') cleaned[name] = value;
+    });
+    return cleaned;
+  },
+
+  /**
+   * Validate parameters against what a model supports
+   * Unsupported parameters are dropped and out-of-range values clamped
    * @param {string} aiKey
-   * @param {string} modelId
+   * @param {Object} params
+   * @param {string} [modelId] - Defaults to the selected model
+   * @returns {{params: Object, warnings: string[]}}
    */
-  setSelectedModel(aiKey, modelId) {
-    const modelMap = {
-      chatgpt: 'oneprompt-model-openai',
-      claude: 'oneprompt-model-anthropic',
-      gemini: 'oneprompt-model-gemini'
-    };
-    const storageKey = modelMap[aiKey];
-    if (storageKey && modelId) {
-      localStorage.setItem(storageKey, modelId);
+  validateGenerationParams(aiKey, params, modelId = null) {
+    const spec = this.getModelParameters(aiKey, modelId);
+    const result = {};
+    const warnings = [];
+
+    Object.entries(this.compactParams(params)).forEach(([name, value]) => {
+      const rule = spec[name];
+      if (!rule) {
+        warnings.push(`${name} is not supported by this model`);
+        return;
+      }
+
+      if (name === 'reasoning' && rule.type === 'effort') {
+        if (rule.options.includes(value)) {
+          result.reasoning = value;
+        } else {
+          warnings.push(`reasoning effort "${value}" is not supported by this model`);
+        }
+        return;
+      }
+
+      const number = Number(value);
+      if (!Number.isFinite(number)) {
+        warnings.push(`${name} must be a number`);
+        return;
+      }
+      if (name === 'reasoning' && number === 0) {
+        if (rule.allowOff) {
+          result.reasoning = 0;
+        } else {
+          warnings.push('thinking cannot be turned off for this model');
+        }
+        return;
+      }
+
+      const isInteger = name === 'maxTokens' || name === 'reasoning';
+      let clamped = isInteger ? Math.round(number) : number;
+      clamped = Math.max(clamped, rule.min);
+      if (rule.max !== null && rule.max !== undefined) clamped = Math.min(clamped, rule.max);
+      if (clamped !== number) warnings.push(`${name} adjusted to ${clamped}`);
+      result[name] = clamped;
+    });
+
+    const provider = this.getProviderForService(aiKey);
+    if (provider && typeof provider.validateParams === 'function') {
+      provider.validateParams(result, spec, warnings);
     }
+    return { params: result, warnings };
+  },
+
+  // ============================================================
+  // CONTEXT WINDOW
+  // How much history a request may carry; the selection itself is
+  // done by the context-window service in the renderer
+  // ============================================================
+
+  /**
+   * Tokens a model accepts (input + output)
+   * @param {string} aiKey
+   * @param {string} [modelId] - Defaults to the selected model
+   * @returns {number}
+   */
+  getContextWindow(aiKey, modelId = null) {
+    const provider = this.getProviderForService(aiKey);
+    if (!provider) return 0;
+
+    const customWindow = parseInt(this.getCustomApiService(aiKey)?.contextWindow, 10);
+    if (customWindow > 0) return customWindow;
+
+    const id = modelId || this.getSelectedModel(aiKey);
+    return provider.models.find(model => model.id === id)?.contextWindow || provider.contextWindow || 0;
+  },
+
+  /**
+   * Context settings: an optional cap on the tokens sent per request (cost control)
+   * and whether older turns are summarized instead of dropped
+   * @returns {{maxTokens: number|null, summarize: boolean}}
+   */
+  getContextSettings() {
+    const maxTokens = parseInt(localStorage.getItem('oneprompt-context-max-tokens'), 10);
+    return {
+      maxTokens: maxTokens > 0 ? Math.max(maxTokens, 1000) : null,
+      summarize: localStorage.getItem('oneprompt-context-summarize') === 'true'
+    };
   },
 
   // ============================================================
@@ -133,8 +1540,18 @@ const OnePromptCore = {
    * @returns {Promise<{canProceed: boolean, error?: string, credits?: number}>}
    */
   async checkCanMakeRequest(aiKey) {
-    const apiKey = this.getApiKey(aiKey);
-    if (!apiKey) {
+    const customService = this.getCustomApiService(aiKey);
+    if (customService) {
+      // Local servers usually need no key, only an address and a model
+      if (!customService.baseUrl || !this.getSelectedModel(aiKey)) {
+        return { canProceed: false, error: 'Endpoint not configured' };
+      }
+      return { canProceed: true };
+    }
+
+    const provider = this.getProviderForService(aiKey);
+    const missingAuth = !provider || provider.authFields.some(field => field.required && !this.getAuthValue(aiKey, field.id));
+    if (missingAuth) {
       return { canProceed: false, error: 'API key not configured' };
     }
     return { canProceed: true };
@@ -170,10 +1587,23 @@ const OnePromptCore = {
   // ============================================================
 
   /**
-   * Get the system prompt with user's language
+   * Default instructions when neither the user nor the session set any
+   */
+  defaultInstructions: 'You are a helpful AI assistant.',
+
+  /**
+   * Global custom instructions from settings
+   * @returns {string} Empty when not set
+   */
+  getCustomInstructions() {
+    return (localStorage.getItem('oneprompt-custom-instructions') || '').trim();
+  },
+
+  /**
+   * Instruction asking the model to answer in the user's language
    * @returns {string}
    */
-  getSystemPrompt() {
+  getLanguageInstruction() {
     const lang = localStorage.getItem('oneprompt-language') || 'en';
     const languageNames = {
       en: 'English',
@@ -185,116 +1615,519 @@ const OnePromptCore = {
       tr: 'Turkish'
     };
     const languageName = languageNames[lang] || 'English';
-    return `You are a helpful AI assistant. Always respond in ${languageName} unless the user explicitly asks for a different language.`;
+    return `Always respond in ${languageName} unless the user explicitly asks for a different language.`;
   },
 
   /**
-   * Make an API call to OpenAI
-   * @param {string} apiKey
-   * @param {string} model
-   * @param {Array} messages
-   * @param {string} systemPrompt
-   * @returns {Promise<string>}
+   * Get the system prompt with user's language
+   * Instructions are taken from the argument (session/per-AI override), else the
+   * global custom instructions, else the default; the language instruction is always appended
+   * @param {string|null} [instructions] - Override for this request
+   * @param {string|null} [contextSummary] - Summary of the turns no longer sent, pinned after the instructions
+   * @returns {string}
    */
-  async callOpenAI(apiKey, model, messages, systemPrompt) {
-    const inputMessages = [
-      { role: 'system', content: systemPrompt },
-      ...messages.map(msg => ({ role: msg.role, content: msg.content }))
-    ];
+  getSystemPrompt(instructions = null, contextSummary = null) {
+    const base = (instructions || '').trim() || this.getCustomInstructions() || this.defaultInstructions;
+    const summary = contextSummary
+      ? `\n\nSummary of the earlier part of this conversation (those messages are no longer included):\n${contextSummary}`
+      : '';
+    return `${base}${summary}\n\n${this.getLanguageInstruction()}`;
+  },
 
-    const res = await fetch('https://api.openai.com/v1/responses', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${apiKey}`
-      },
-      body: JSON.stringify({
-        model: model,
-        input: inputMessages,
-        tools: [{ type: "web_search" }]
-      })
-    });
+  /**
+   * Read a Server-Sent Events stream and dispatch each parsed event
+   * @param {Response} res - fetch Response with a streaming body
+   * @param {Function} onEvent - Called with (eventName, data) for every event
+   */
+  async readEventStream(res, onEvent) {
+    const reader = res.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    const dispatch = (rawEvent) => {
+      let eventName = 'message';
+      const dataLines = [];
+      rawEvent.split('\n').forEach(line => {
+        if (line.startsWith('event:')) {
+          eventName = line.slice(6).trim();
+        } else if (line.startsWith('data:')) {
+          dataLines.push(line.slice(5).trimStart());
+        }
+      });
+      if (dataLines.length === 0) return;
+
+      const rawData = dataLines.join('\n');
+      if (rawData === '[DONE]') return;
+
+      let data;
+      try {
+        data = JSON.parse(rawData);
+      } catch (e) {
+        logger.warn('[OnePromptCore] Skipping malformed stream event:', rawData);
+        return;
+      }
+      onEvent(eventName, data);
+    };
 
-    const data = await res.json();
-    if (data.error) throw new Error(data.error.message);
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
 
-    if (data.output_text) {
-      return data.output_text;
-    } else if (data.output && Array.isArray(data.output)) {
-      const messageOutput = data.output.find(item => item.type === 'message');
-      if (messageOutput && messageOutput.content && messageOutput.content[0]) {
-        return messageOutput.content[0].text;
+      buffer += decoder.decode(value, { stream: true }).replace(/\r\n/g, '\n');
+
+      let boundary = buffer.indexOf('\n\n');
+      while (boundary !== -1) {
+        dispatch(buffer.slice(0, boundary));
+        buffer = buffer.slice(boundary + 2);
+        boundary = buffer.indexOf('\n\n');
       }
     }
-    throw new Error('Invalid response from OpenAI');
+
+    if (buffer.trim()) {
+      dispatch(buffer);
+    }
+  },
+
+  // ============================================================
+  // ERRORS
+  // Requests throw ApiError (see API_ERROR_TYPES), classified here
+  // once so the UI can pick a message and an action from the type
+  // ============================================================
+
+  ApiError,
+  API_ERROR_TYPES,
+
+  /**
+   * Build a classified error
+   * @param {ProviderAdapter|null} provider - Asked first through its classifyError hook
+   * @param {{status?: number|null, code?: string|null, message: string, type?: string}} error - type skips classification
+   * @param {string} providerName
+   * @returns {ApiError}
+   */
+  createApiError(provider, { status = null, code = null, message, type = null }, providerName) {
+    const details = { status, code, message };
+    const resolvedType = type
+      || (provider && typeof provider.classifyError === 'function' ? provider.classifyError(details) : null)
+      || classifyApiError(details);
+    return new ApiError(resolvedType, message, { status, code, provider: providerName });
+  },
+
+  /**
+   * Turn an exception thrown by fetch or stream reading into an ApiError
+   * Aborts are returned unchanged, callers check their signal
+   * @param {Error} error
+   * @param {string} providerName
+   * @returns {Error}
+   */
+  toApiError(error, providerName) {
+    if (error instanceof ApiError || error?.name === 'AbortError') return error;
+    const message = error?.message || String(error);
+    if (error?.name === 'TimeoutError') {
+      return new ApiError('timeout', message, { provider: providerName });
+    }
+    // Headers only take Latin-1, a key pasted with stray characters fails before any request
+    if (message.includes('ISO-8859-1')) {
+      return new ApiError('auth', message, { code: 'invalid_key_characters', provider: providerName });
+    }
+    if (error instanceof SyntaxError) {
+      return new ApiError('invalidResponse', message, { provider: providerName });
+    }
+    if (error instanceof TypeError) {
+      const offline = typeof navigator !== 'undefined' && navigator.onLine === false;
+      return new ApiError('network', message, { code: offline ? 'offline' : null, provider: providerName });
+    }
+    return new ApiError('unknown', message, { provider: providerName });
   },
 
   /**
-   * Make an API call to Anthropic Claude
+   * Throw the provider error carried by a non-OK response
+   * @param {Response} res
+   * @param {string} providerName - Used in the fallback message
+   * @param {ProviderAdapter} [provider] - For provider-specific classification
    */
-  async callAnthropic(apiKey, model, messages, systemPrompt) {
-    const res = await fetch('https://api.anthropic.com/v1/messages', {
-      method: 'POST',
-      headers: {
-        'x-api-key': apiKey,
-        'anthropic-version': '2023-06-01',
-        'content-type': 'application/json'
-      },
-      body: JSON.stringify({
-        model: model,
-        max_tokens: 8192,
-        system: systemPrompt,
-        messages: messages,
-        tools: [{
-          type: "web_search_20250305",
-          name: "web_search",
-          max_uses: 5
-        }]
-      })
+  async throwResponseError(res, providerName, provider = null) {
+    throw await this.readResponseError(res, providerName, provider);
+  },
+
+  /**
+   * Classified provider error carried by a non-OK response (reads the body)
+   * @param {Response} res
+   * @param {string} providerName - Used in the fallback message
+   * @param {ProviderAdapter} [provider] - For provider-specific classification
+   * @returns {Promise<ApiError>}
+   */
+  async readResponseError(res, providerName, provider = null) {
+    let message = `${providerName} request failed (${res.status})`;
+    let code = null;
+    try {
+      const data = await res.json();
+      const error = Array.isArray(data) ? data[0]?.error : data.error;
+      if (error?.message) message = error.message;
+      // OpenAI: code/type, Anthropic: type, Gemini: details reason/status
+      const reason = Array.isArray(error?.details) ? error.details.find(detail => detail.reason)?.reason : null;
+      code = reason || (typeof error?.code === 'string' ? error.code : null) || error?.type || error?.status || null;
+    } catch (e) {
+      // Body is not JSON, keep the generic message
+    }
+    return this.createApiError(provider, { status: res.status, code, message }, providerName);
+  },
+
+  /**
+   * Retry settings for rate-limited or overloaded providers
+   * @returns {{attempts: number, maxDelayMs: number}} attempts includes the first request
+   */
+  getRetrySettings() {
+    const attempts = parseInt(localStorage.getItem('oneprompt-retry-attempts'), 10);
+    const maxDelay = parseInt(localStorage.getItem('oneprompt-retry-max-delay'), 10);
+    return {
+      attempts: Number.isFinite(attempts) ? Math.min(Math.max(attempts, 1), 10) : 4,
+      maxDelayMs: (Number.isFinite(maxDelay) ? Math.min(Math.max(maxDelay, 1), 300) : 30) * 1000
+    };
+  },
+
+  /**
+   * Web search defaults: whether new prompts search the web, and the
+   * per-request search limit (honoured by providers that support one, e.g. Anthropic max_uses)
+   * @returns {{enabled: boolean, maxUses: number}}
+   */
+  getWebSearchSettings() {
+    const maxUses = parseInt(localStorage.getItem('oneprompt-web-search-max-uses'), 10);
+    return {
+      enabled: localStorage.getItem('oneprompt-web-search-enabled') !== 'false',
+      maxUses: Number.isFinite(maxUses) ? Math.min(Math.max(maxUses, 1), 20) : 5
+    };
+  },
+
+  /**
+   * Reasoning output settings: whether it is requested and shown (off by default,
+   * summaries can add output tokens) and whether cross-check includes it
+   * @returns {{enabled: boolean, includeInCrossCheck: boolean}}
+   */
+  getThinkingSettings() {
+    return {
+      enabled: localStorage.getItem('oneprompt-thinking-enabled') === 'true',
+      includeInCrossCheck: localStorage.getItem('oneprompt-thinking-cross-check') === 'true'
+    };
+  },
+
+  /**
+   * Whether a model can return its reasoning: the provider streams it and the model
+   * reasons (has a reasoning parameter). Custom endpoints cannot tell, their servers
+   * simply stream it or not
+   * @param {string} aiKey
+   * @param {string} [modelId] - Defaults to the selected model
+   * @returns {boolean}
+   */
+  supportsThinking(aiKey, modelId = null) {
+    const provider = this.getProviderForService(aiKey);
+    if (!provider?.capabilities?.thinking) return false;
+    if (provider.template) return true;
+    return !!this.getModelParameters(aiKey, modelId).reasoning;
+  },
+
+  /**
+   * Whether a failed response is worth retrying: rate limits, server errors (Anthropic's 529
+   * "overloaded" included) and timeouts. A 429 can also be a billing failure (OpenAI's
+   * insufficient_quota), classified as quota and never retried
+   * @param {ApiError} error - As returned by readResponseError
+   * @returns {boolean}
+   */
+  isRetryableError(error) {
+    return ['rateLimit', 'server', 'timeout'].includes(error.type);
+  },
+
+  /**
+   * Delay before the next attempt
+   * Honours retry-after-ms / Retry-After, otherwise exponential backoff with jitter
+   * @param {Response} res - The failed response
+   * @param {number} attempt - Attempt that just failed (1-based)
+   * @param {number} maxDelayMs - Delay cap
+   * @returns {number|null} Milliseconds to wait, null when the server asks for more than the cap
+   */
+  getRetryDelay(res, attempt, maxDelayMs) {
+    let serverDelayMs = null;
+    const retryAfterMs = parseFloat(res.headers.get('retry-after-ms'));
+    const retryAfter = res.headers.get('retry-after');
+
+    if (Number.isFinite(retryAfterMs)) {
+      serverDelayMs = retryAfterMs;
+    } else if (retryAfter) {
+      // Either delta-seconds or an HTTP date
+      const seconds = parseFloat(retryAfter);
+      serverDelayMs = Number.isFinite(seconds) ? seconds * 1000 : Date.parse(retryAfter) - Date.now();
+    }
+
+    if (serverDelayMs !== null && Number.isFinite(serverDelayMs)) {
+      return serverDelayMs > maxDelayMs ? null : Math.max(serverDelayMs, 0);
+    }
+
+    // 1s, 2s, 4s, ... with jitter in the upper half so parallel panels spread out
+    const backoff = Math.min(1000 * 2 ** (attempt - 1), maxDelayMs);
+    return Math.round(backoff / 2 + Math.random() * backoff / 2);
+  },
+
+  /**
+   * Wait, rejecting with an AbortError if the signal fires first
+   * @param {number} ms
+   * @param {AbortSignal} [signal]
+   * @returns {Promise<void>}
+   */
+  sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(new DOMException('The operation was aborted.', 'AbortError'));
+        return;
+      }
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(new DOMException('The operation was aborted.', 'AbortError'));
+      };
+      const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+      signal?.addEventListener('abort', onAbort, { once: true });
     });
+  },
+
+  /**
+   * Execute a request through a provider adapter
+   * @param {ProviderAdapter} provider
+   * @param {Object} context - { auth, model, messages, systemPrompt, service, params, webSearch, thinking } passed to buildRequest
+   * @param {Object} [options]
+   * @param {Function} [options.onDelta] - Called with (delta, fullText) as tokens arrive
+   * @param {Function} [options.onThinking] - Called with (delta, fullThinking) as reasoning arrives (context.thinking only)
+   * @param {AbortSignal} [options.signal] - Aborts the request (and any retry wait) when signalled
+   * @param {Function} [options.onRetry] - Called with { attempt, maxAttempts, delayMs, status } before waiting
+   * @param {Function} [options.onUsage] - Called with { inputTokens, outputTokens } once the response is complete
+   * @param {Function} [options.onCitations] - Called with { sources, footnotes } once the response is complete
+   * @returns {Promise<string>}
+   * @throws {ApiError} Classified failure (an AbortError when the signal aborts)
+   */
+  async callProvider(provider, context, options = {}) {
+    const providerName = context.service?.name || provider.name;
+    try {
+      return await this.requestProvider(provider, context, options, providerName);
+    } catch (error) {
+      throw this.toApiError(error, providerName);
+    }
+  },
+
+  /**
+   * Body of callProvider, whose errors are converted to ApiError by the caller
+   * @param {ProviderAdapter} provider
+   * @param {Object} context
+   * @param {Object} options - See callProvider
+   * @param {string} providerName
+   * @returns {Promise<string>}
+   */
+  async requestProvider(provider, context, options, providerName) {
+    const { signal, onRetry = null, onUsage = null, onCitations = null } = options;
+    const request = provider.buildRequest(context);
+    const { attempts, maxDelayMs } = this.getRetrySettings();
+
+    for (let attempt = 1; ; attempt++) {
+      const res = await fetch(request.url, {
+        method: 'POST',
+        signal,
+        headers: request.headers,
+        body: JSON.stringify(request.body)
+      });
+
+      let delayMs = null;
+      let stream = null;
+      if (!res.ok) {
+        const error = await this.readResponseError(res, providerName, provider);
+        delayMs = attempt < attempts && this.isRetryableError(error)
+          ? this.getRetryDelay(res, attempt, maxDelayMs)
+          : null;
+        if (delayMs === null) throw error;
+      } else if (provider.capabilities?.streaming) {
+        stream = await this.readProviderStream(res, provider, context, options);
+        // Overload and rate limit errors can also arrive in the stream of a 200 response,
+        // retried like the status codes as long as no answer text was shown
+        if (stream.error && !stream.text && attempt < attempts && this.isRetryableStreamError(stream.error)) {
+          delayMs = this.getRetryDelay(res, attempt, maxDelayMs);
+        }
+      }
+
+      if (delayMs !== null) {
+        const reason = stream ? stream.error.code : res.status;
+        logger.warn(`[OnePromptCore] ${providerName} returned ${reason}, retrying in ${delayMs}ms (attempt ${attempt + 1}/${attempts})`);
+        if (onRetry) onRetry({ attempt: attempt + 1, maxAttempts: attempts, delayMs, status: res.status });
+        await this.sleep(delayMs, signal);
+        continue;
+      }
 
-    const data = await res.json();
-    if (data.error) throw new Error(data.error.message);
+      const invalidResponse = () => new ApiError('invalidResponse', `Invalid response from ${providerName}`, {
+        status: res.status,
+        provider: providerName
+      });
 
-    if (data.content && data.content.length > 0) {
-      const textBlocks = data.content.filter(block => block.type === 'text');
-      if (textBlocks.length > 0) {
-        return textBlocks.map(b => b.text).join('\n');
+      if (!stream) {
+        const citations = this.createCitationCollector();
+        let result;
+        try {
+          result = provider.parseResponse(await res.json());
+        } catch (e) {
+          throw invalidResponse();
+        }
+        if (!result?.text) throw invalidResponse();
+        if (result.thinking && context.thinking && options.onThinking) options.onThinking(result.thinking, result.thinking);
+        if (result.usage && onUsage) onUsage(result.usage);
+        if (result.citations) citations.add(result.citations);
+        const collected = citations.finish(result.text);
+        if (collected && onCitations) onCitations(collected);
+        return result.text;
       }
+
+      if (stream.error) throw this.createApiError(provider, stream.error, providerName);
+      if (!stream.text) throw invalidResponse();
+      if (stream.usage && onUsage) onUsage(stream.usage);
+      const collected = stream.citations.finish(stream.text);
+      if (collected && onCitations) onCitations(collected);
+      return stream.text;
     }
-    throw new Error('Invalid response from Anthropic');
   },
 
   /**
-   * Make an API call to Google Gemini
+   * Read the event stream of one response through the provider adapter
+   * @param {Response} res
+   * @param {ProviderAdapter} provider
+   * @param {Object} context
+   * @param {Object} options - See callProvider (onDelta, onThinking)
+   * @returns {Promise<{text: string, error: Object|null, usage: Object|null, citations: Object}>}
+   *   error is { message, code?, type? }, citations the collector of the response
    */
-  async callGemini(apiKey, model, messages, systemPrompt) {
-    const geminiContents = messages.map(msg => ({
-      role: msg.role === 'assistant' ? 'model' : 'user',
-      parts: [{ text: msg.content }]
-    }));
+  async readProviderStream(res, provider, context, options) {
+    const { onDelta = null, onThinking = null } = options;
+    const citations = this.createCitationCollector();
+    let text = '';
+    let thinking = '';
+    let streamError = null;
+    let usage = null;
+    let separate = false;
 
-    const res = await fetch(`https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'x-goog-api-key': apiKey
-      },
-      body: JSON.stringify({
-        contents: geminiContents,
-        systemInstruction: { parts: [{ text: systemPrompt }] },
-        generationConfig: { maxOutputTokens: 8192 },
-        tools: [{ google_search: {} }]
-      })
+    await this.readEventStream(res, (eventName, data) => {
+      const result = provider.parseEvent(eventName, data);
+      if (!result) return;
+
+      // Usage can arrive in several events, later values win per field
+      if (result.usage) usage = { ...usage, ...result.usage };
+      if (result.citations) citations.add(result.citations);
+      if (result.blockEnd) citations.endBlock(text.length);
+      if (result.separator) separate = true;
+      // Reasoning is never part of the answer text, and only passed on when requested
+      if (result.thinking && context.thinking) {
+        thinking += result.thinking;
+        if (onThinking) onThinking(result.thinking, thinking);
+      }
+
+      if (result.error) {
+        streamError = result.error;
+      } else if (result.delta) {
+        // Same line break the non-streaming responses joined their text blocks with
+        const delta = separate && text ? `\n${result.delta}` : result.delta;
+        separate = false;
+        text += delta;
+        if (onDelta) onDelta(delta, text);
+      } else if (result.text && !text) {
+        text = result.text;
+      }
     });
 
-    const data = await res.json();
-    if (data.error) throw new Error(data.error.message);
+    // Adapters may still return a plain message
+    const error = typeof streamError === 'string' ? { message: streamError } : streamError;
+    return { text, error, usage, citations };
+  },
 
-    if (!data.candidates || !data.candidates[0] || !data.candidates[0].content) {
-      throw new Error('Invalid response from Gemini');
-    }
-    return data.candidates[0].content.parts[0].text;
+  /**
+   * Whether an error event of a stream is worth retrying: Anthropic's overloaded_error,
+   * rate_limit_error and api_error (the same failures as 529, 429 and 500)
+   * @param {{code?: string}} error
+   * @returns {boolean}
+   */
+  isRetryableStreamError(error) {
+    return ['overloaded_error', 'rate_limit_error', 'api_error'].includes(error?.code);
+  },
+
+  /**
+   * Collects the citations of one response into a numbered source list
+   * and footnote positions (see Citation for how each one is placed)
+   * @returns {{add: Function, endBlock: Function, finish: Function}}
+   */
+  createCitationCollector() {
+    const sources = [];
+    const consulted = [];
+    const footnotes = [];
+    let pending = [];
+    let anchored = [];
+
+    const sourceIndex = (list, citation) => {
+      let index = list.findIndex(source => source.url === citation.url);
+      if (index === -1) {
+        list.push({ url: citation.url, title: citation.title || '' });
+        index = list.length - 1;
+      } else if (!list[index].title && citation.title) {
+        list[index].title = citation.title;
+      }
+      return index;
+    };
+
+    const addFootnote = (footnote) => {
+      const duplicate = footnotes.some(existing =>
+        existing.source === footnote.source && existing.end === footnote.end && existing.start === footnote.start);
+      if (!duplicate) footnotes.push(footnote);
+    };
+
+    return {
+      add(citations) {
+        citations.forEach(citation => {
+          if (citation.cited === false) {
+            sourceIndex(consulted, citation);
+            return;
+          }
+          const source = sourceIndex(sources, citation);
+          if (typeof citation.end === 'number') {
+            addFootnote({ source, start: citation.start, end: citation.end });
+          } else if (citation.text) {
+            anchored.push({ source, text: citation.text });
+          } else {
+            pending.push(source);
+          }
+        });
+      },
+
+      endBlock(textLength) {
+        pending.forEach(source => addFootnote({ source, end: textLength }));
+        pending = [];
+      },
+
+      /**
+       * @param {string} text - Final response text
+       * @returns {{sources: Array<{url: string, title: string}>, footnotes: Array<{source: number, start?: number, end: number}>}|null}
+       */
+      finish(text) {
+        this.endBlock(text.length);
+        anchored.forEach(({ source, text: passage }) => {
+          const index = text.indexOf(passage);
+          if (index !== -1) addFootnote({ source, end: index + passage.length });
+        });
+        anchored = [];
+
+        footnotes.forEach(footnote => {
+          footnote.end = Math.min(Math.max(footnote.end, 0), text.length);
+          // Only replace ranges that really are an inline markdown link
+          if (footnote.start !== undefined && !text.slice(footnote.start, footnote.end).includes('](')) {
+            delete footnote.start;
+          }
+        });
+
+        if (sources.length > 0) return { sources, footnotes };
+        if (consulted.length > 0) return { sources: consulted, footnotes: [] };
+        return null;
+      }
+    };
   },
 
   /**
@@ -332,34 +2165,70 @@ const OnePromptCore = {
    * Main function to make an AI call
    * This is the main override point in private repos
    *
-   * @param {string} aiKey - chatgpt, claude, gemini
+   * @param {string} aiKey - chatgpt, claude, gemini, custom-<id>
    * @param {Array} messages - Array of {role, content}
-   * @returns {Promise<string>} - The AI response
+   * @param {Object} [options]
+   * @param {Function} [options.onDelta] - Streaming callback (delta, fullText)
+   * @param {Function} [options.onThinking] - Reasoning callback (delta, fullThinking), when the thinking setting is on
+   * @param {AbortSignal} [options.signal] - Cancels the request (rejects with an AbortError)
+   * @param {Function} [options.onRetry] - Called before each automatic retry (429/5xx, overloaded streams)
+   * @param {Function} [options.onUsage] - Called with { model, inputTokens, outputTokens } when the provider reports usage
+   * @param {string} [options.instructions] - Session or per-AI instructions replacing the global ones
+   * @param {Object} [options.params] - Session generation parameters, merged over the saved ones
+   * @param {Function} [options.onCitations] - Called with { sources, footnotes } when the answer cites web sources
+   * @param {boolean} [options.webSearch] - Enable the provider web search tool (defaults to the web search setting)
+   * @param {string} [options.contextSummary] - Summary of older turns left out of messages
+   * @param {string} [options.model] - Model for this request only (defaults to the selected one)
+   * @returns {Promise<string>} - The complete AI response once the stream ends
    */
-  async makeAIRequest(aiKey, messages) {
+  async makeAIRequest(aiKey, messages, options = {}) {
     // 1. Check if can proceed (credits in private, API key in open source)
     const check = await this.checkCanMakeRequest(aiKey);
     if (!check.canProceed) {
-      throw new Error(check.error);
+      throw new ApiError('notConfigured', check.error, { code: 'not_configured' });
     }
 
-    // 2. Get API key and model
-    const apiKey = this.getApiKey(aiKey);
-    const model = this.getSelectedModel(aiKey);
-    const systemPrompt = this.getSystemPrompt();
+    // 2. Resolve the provider adapter and its settings
+    const provider = this.getProviderForService(aiKey);
+    if (!provider) {
+      throw new ApiError('notConfigured', 'API support for this service is not yet implemented');
+    }
 
-    // 3. Execute the call
-    let responseText;
-
-    if (aiKey === 'chatgpt') {
-      responseText = await this.callOpenAI(apiKey, model, messages, systemPrompt);
-    } else if (aiKey === 'claude') {
-      responseText = await this.callAnthropic(apiKey, model, messages, systemPrompt);
-    } else if (aiKey === 'gemini') {
-      responseText = await this.callGemini(apiKey, model, messages, systemPrompt);
-    } else {
-      throw new Error('API support for this service is not yet implemented');
+    const auth = this.getAuth(aiKey, provider);
+    const model = options.model || this.getSelectedModel(aiKey);
+    const thinking = this.getThinkingSettings().enabled && this.supportsThinking(aiKey, model);
+    const requested = this.compactParams({ ...this.getGenerationSettings(aiKey), ...this.compactParams(options.params) });
+    if (thinking && provider.defaultThinkingBudget && requested.reasoning === undefined) {
+      requested.reasoning = provider.defaultThinkingBudget;
     }
+    const { params, warnings } = this.validateGenerationParams(aiKey, requested, model);
+    if (warnings.length > 0) {
+      logger.warn(`[API] ${provider.name} parameters:`, warnings.join('; '));
+    }
+
+    const webSearchSettings = this.getWebSearchSettings();
+    const useWebSearch = (options.webSearch ?? webSearchSettings.enabled) && provider.capabilities?.webSearch;
+
+    const context = {
+      auth,
+      model,
+      messages,
+      systemPrompt: this.getSystemPrompt(options.instructions, options.contextSummary),
+      service: this.getCustomApiService(aiKey),
+      params,
+      webSearch: useWebSearch ? { maxUses: webSearchSettings.maxUses } : null,
+      thinking
+    };
+
+    // 3. Execute the call
+    const responseText = await this.callProvider(provider, context, {
+      onDelta: options.onDelta || null,
+      onThinking: options.onThinking || null,
+      signal: options.signal,
+      onRetry: options.onRetry || null,
+      onUsage: options.onUsage ? (usage) => options.onUsage({ model: context.model, ...usage }) : null,
+      onCitations: options.onCitations || null
+    });
 
     // 4. Consume credit (no-op in open source)
     await this.consumeCredit(aiKey);
@@ -449,4 +2318,9 @@ const OnePromptCore = {
 // otherwise create a new one.
 window.OnePromptCore = Object.assign(window.OnePromptCore || {}, OnePromptCore);
 
+// Built-in providers (registration order is the order of API_SERVICES)
+[openAIProvider, geminiProvider, anthropicProvider, openAICompatibleProvider].forEach(provider => {
+  window.OnePromptCore.registerProvider(provider);
+});
+
 })(); // End IIFE
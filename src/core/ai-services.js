@@ -9,17 +9,185 @@
 // ============================================================
 
 /**
- * List of AI services that support API mode
- * Add/remove services here to update all repos at once
+ * Services backed by a provider adapter registered in OnePromptCore (core-bridge.js)
+ * @returns {string[]} Adapter ids in registration order
  */
-export const API_SERVICES = ['chatgpt', 'gemini', 'claude'];
+function getRegisteredProviderIds() {
+  const core = window.OnePromptCore;
+  if (!core || typeof core.getProviders !== 'function') {
+    return ['chatgpt', 'gemini', 'claude'];
+  }
+  return core.getProviders().map(provider => provider.id);
+}
+
+/**
+ * List of AI services that support API mode (built-in adapters at startup)
+ * To add a service, register a provider adapter in core-bridge.js
+ */
+export const API_SERVICES = getRegisteredProviderIds();
 
 /**
- * Get all API services
+ * Get all API services, including adapters registered after startup
+ * and user-defined custom endpoints
  * @returns {string[]} Array of API service keys
  */
 export function getApiServices() {
-  return [...API_SERVICES];
+  return [...getRegisteredProviderIds(), ...getCustomApiServices().map(service => service.id)];
+}
+
+/**
+ * Build the aiConfigs entry for a registered provider that main.js does not know
+ * (main.js only ships configs for services that also have a web mode)
+ * @param {Object} provider - Provider adapter
+ * @returns {Object} Config compatible with the ones from main.js
+ */
+export function buildProviderServiceConfig(provider) {
+  return {
+    name: provider.name,
+    url: null,
+    icon: `<span class="custom-service-icon" style="background: ${provider.color};">${provider.name.charAt(0).toUpperCase()}</span>`,
+    logo: provider.logo || null,
+    color: provider.color,
+    apiOnly: true
+  };
+}
+
+// ============================================================
+// CUSTOM API SERVICES
+// User-defined OpenAI-compatible endpoints (Ollama, LM Studio, vLLM, llama.cpp server)
+// ============================================================
+
+/**
+ * localStorage key holding the custom endpoint list
+ */
+export const CUSTOM_API_SERVICES_KEY = 'oneprompt-custom-api-services';
+
+/**
+ * Prefix of every custom endpoint key (distinguishes them from built-in services)
+ */
+export const CUSTOM_SERVICE_PREFIX = 'custom-';
+
+/**
+ * Get the configured custom endpoints
+ * Their API keys are stored apart, see OnePromptCore.getApiKey()
+ * @returns {Array<{id: string, name: string, baseUrl: string, model: string, color: string, contextWindow?: string}>}
+ */
+export function getCustomApiServices() {
+  try {
+    const list = JSON.parse(localStorage.getItem(CUSTOM_API_SERVICES_KEY) || '[]');
+    return Array.isArray(list) ? list : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+/**
+ * Persist the custom endpoint list
+ * @param {Array} services
+ */
+export function saveCustomApiServices(services) {
+  localStorage.setItem(CUSTOM_API_SERVICES_KEY, JSON.stringify(services));
+}
+
+/**
+ * Check if a service key belongs to a custom endpoint
+ * @param {string} aiKey
+ * @returns {boolean}
+ */
+export function isCustomApiService(aiKey) {
+  return typeof aiKey === 'string' && aiKey.startsWith(CUSTOM_SERVICE_PREFIX);
+}
+
+/**
+ * Create a new custom endpoint with sensible local defaults
+ * @returns {Object} The new (unsaved) endpoint
+ */
+export function createCustomApiService() {
+  return {
+    id: `${CUSTOM_SERVICE_PREFIX}${Date.now()}`,
+    name: 'Local model',
+    baseUrl: 'http://localhost:11434/v1',
+    model: '',
+    color: '#6b7280'
+  };
+}
+
+/**
+ * Build the aiConfigs entry for a custom endpoint
+ * Name and colour are user input and end up in innerHTML, so they are sanitized here
+ * @param {Object} service - Custom endpoint
+ * @returns {Object} Config compatible with the ones from main.js
+ */
+export function buildCustomServiceConfig(service) {
+  const name = (service.name || '').replace(/[<>"'&]/g, '').trim() || 'Custom';
+  const color = /^#[0-9a-f]{6}$/i.test(service.color) ? service.color : '#6b7280';
+  return {
+    name,
+    url: null,
+    icon: `<span class="custom-service-icon" style="background: ${color};">${name.charAt(0).toUpperCase()}</span>`,
+    logo: null,
+    color,
+    custom: true,
+    apiOnly: true
+  };
+}
+
+// ============================================================
+// MODEL INSTANCES
+// Extra API panels of a session running another model of a service,
+// e.g. GPT-5.2 next to GPT-5 Mini. Stored in session.modelInstances
+// and registered in OnePromptCore, which resolves them to their service.
+// ============================================================
+
+/**
+ * Prefix of every model instance key
+ */
+export const MODEL_INSTANCE_PREFIX = 'instance-';
+
+/**
+ * Check if a service key belongs to a model instance
+ * @param {string} aiKey
+ * @returns {boolean}
+ */
+export function isModelInstance(aiKey) {
+  return typeof aiKey === 'string' && aiKey.startsWith(MODEL_INSTANCE_PREFIX);
+}
+
+/**
+ * Create a model instance of a service
+ * @param {string} provider - Base service key (chatgpt, claude, custom-<id>, ...)
+ * @param {string} model - Model id
+ * @param {string} name - Display name
+ * @returns {{id: string, provider: string, model: string, name: string}}
+ */
+export function createModelInstance(provider, model, name) {
+  return {
+    id: `${MODEL_INSTANCE_PREFIX}${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+    provider,
+    model,
+    name
+  };
+}
+
+/**
+ * Build the aiConfigs entry for a model instance from its base service config
+ * The name is user input and ends up in innerHTML, so it is sanitized here
+ * @param {Object} instance - Model instance
+ * @param {Object} [baseConfig] - aiConfigs entry of the base service
+ * @returns {Object} Config compatible with the ones from main.js
+ */
+export function buildModelInstanceConfig(instance, baseConfig = {}) {
+  const name = (instance.name || instance.model || '').replace(/[<>"'&]/g, '').trim() || 'Model';
+  const color = baseConfig.color || '#6b7280';
+  return {
+    name,
+    url: null,
+    icon: baseConfig.icon || `<span class="custom-service-icon" style="background: ${color};">${name.charAt(0).toUpperCase()}</span>`,
+    logo: baseConfig.logo || null,
+    color,
+    instanceOf: instance.provider,
+    apiOnly: true
+  };
 }
 
 // ============================================================
@@ -17,7 +17,7 @@ const STORAGE_KEYS = {
 const DEFAULT_CONFIG = {
   defaultServices: ['perplexity', 'copilot'],
   defaultMode: 'web',
-  maxHistoryPerAI: 6 // Number of messages to keep when trimming
+  maxHistoryPerAI: 6 // Messages always kept per AI when trimming for storage
 };
 
 // Module state
@@ -72,6 +72,12 @@ export function createSession(name = null, selectedAIsSet = null, mode = null) {
     mode: initialMode || null,
     chatUrls: {},
     apiChatHistory: {},
+    apiContextSummaries: {},
+    apiTrimmedMessages: {},
+    systemPrompt: null,
+    systemPrompts: {},
+    generationParams: {},
+    modelInstances: [],
     promptDraft: '',
     createdAt: Date.now()
   };
@@ -177,16 +183,18 @@ export function saveSessionsToStorage(captureUrlsFn = null) {
     if (error.name === 'QuotaExceededError' || error.name === 'NS_ERROR_DOM_QUOTA_REACHED') {
       logger.warn('Storage quota exceeded. Attempting to trim history...');
 
-      const freed = trimAllApiHistory();
-
-      if (freed) {
+      // Trim the largest conversations one at a time until the sessions fit
+      let saved = false;
+      while (!saved && trimLargestApiHistory()) {
         try {
           localStorage.setItem(STORAGE_KEYS.SESSIONS, JSON.stringify(sessions));
+          saved = true;
           logger.log('Sessions saved after trimming.');
         } catch (retryError) {
-          logger.error('Still failed after trimming:', retryError);
+          if (retryError.name !== 'QuotaExceededError' && retryError.name !== 'NS_ERROR_DOM_QUOTA_REACHED') break;
         }
       }
+      if (!saved) logger.error('Still failed after trimming');
     }
   }
 }
@@ -247,26 +255,70 @@ export function loadSessionsFromStorage(options = {}) {
 }
 
 /**
- * Trim API history for all sessions to prevent storage quota issues
- * @param {number} maxMessages - Maximum messages to keep per AI
- * @returns {boolean} True if any history was trimmed
+ * Drop the stored alternatives of a history: branch tails and unselected answer versions
+ * (tree format of services/chat-branches.js). The active path is left as it is
+ * @param {Array} history - Active path, updated in place
  */
-export function trimAllApiHistory(maxMessages = DEFAULT_CONFIG.maxHistoryPerAI) {
-  let freed = false;
-  
+function pruneAlternatives(history) {
+  history.forEach((entry, index) => {
+    if (!entry.branches && !entry.versions) return;
+    const { branches, versions, ...rest } = entry;
+    history[index] = rest;
+  });
+}
+
+/**
+ * Free storage in the largest conversation, least valuable data first:
+ * 1. stored branches and older answer versions (not shown unless switched to)
+ * 2. messages the pinned context summary already covers (never sent again)
+ * 3. the oldest half of the history; the cut is recorded in apiTrimmedMessages so the panel shows it
+ * Called until the sessions fit
+ * @param {number} minMessages - Messages always kept per AI in the last step
+ * @returns {boolean} True if something was removed
+ */
+export function trimLargestApiHistory(minMessages = DEFAULT_CONFIG.maxHistoryPerAI) {
+  const histories = [];
   sessions.forEach(session => {
-    if (session.apiChatHistory) {
-      Object.keys(session.apiChatHistory).forEach(aiKey => {
-        const history = session.apiChatHistory[aiKey];
-        if (history.length > maxMessages) {
-          session.apiChatHistory[aiKey] = history.slice(-maxMessages);
-          freed = true;
-        }
-      });
-    }
+    Object.entries(session.apiChatHistory || {}).forEach(([aiKey, history]) => {
+      histories.push({ session, aiKey, history, size: JSON.stringify(history).length });
+    });
   });
-  
-  return freed;
+  histories.sort((a, b) => b.size - a.size);
+
+  const branched = histories.find(({ history }) => history.some(entry => entry.branches || entry.versions));
+  if (branched) {
+    pruneAlternatives(branched.history);
+    logger.warn(`[trimLargestApiHistory] Removed the stored branches of ${branched.aiKey} in ${branched.session.id}`);
+    return true;
+  }
+
+  const summarized = histories.find(({ session, aiKey, history }) =>
+    history.length > 0 && session.apiContextSummaries?.[aiKey]?.coveredCount > 0);
+  if (summarized) {
+    const { session, aiKey, history } = summarized;
+    const summary = session.apiContextSummaries[aiKey];
+    const removed = Math.min(summary.coveredCount, history.length);
+    session.apiChatHistory[aiKey] = history.slice(removed);
+    // The summary now stands for messages no longer stored
+    summary.coveredCount = 0;
+    logger.warn(`[trimLargestApiHistory] Removed ${removed} summarized messages of ${aiKey} in ${session.id}`);
+    return true;
+  }
+
+  const largest = histories.find(({ history }) => history.length > minMessages);
+  if (!largest) return false;
+
+  const { session, aiKey, history } = largest;
+  let removed = Math.min(Math.floor(history.length / 2), history.length - minMessages);
+  // Keep the history starting with a user message
+  if (history[removed]?.role === 'assistant' && history.length - removed > minMessages) removed++;
+  session.apiChatHistory[aiKey] = history.slice(removed);
+
+  if (!session.apiTrimmedMessages) session.apiTrimmedMessages = {};
+  session.apiTrimmedMessages[aiKey] = (session.apiTrimmedMessages[aiKey] || 0) + removed;
+
+  logger.warn(`[trimLargestApiHistory] Removed ${removed} messages of ${aiKey} in ${session.id}`);
+  return true;
 }
 
 /**
@@ -10,9 +10,6 @@
 // Logger alias (loaded from utils/logger-renderer.js, disables logs in production)
 const logger = window.OnePromptLogger || console;
 
-// API History limit (sliding window: 6 user/assistant exchanges = 12 messages)
-export const API_HISTORY_LIMIT = 12;
-
 // Session/Tab management
 export let sessions = [];
 export let currentSessionId = null;
@@ -43,10 +40,20 @@ export let webviewZoomLevels = {}; // Map aiKey -> zoomLevel
 // Default Cross-Check prompt template
 export const DEFAULT_CROSS_CHECK_TEMPLATE = `I've collected responses from several AIs, including yours, regarding my last request:
 
-{{OTHER_RESPONSES}}
+{{ALL_RESPONSES}}
 
 Compare them objectively. Be honest and acknowledge if another AI provided a better or more accurate answer. Respond in the same language as my original request.`;
 
+// Default Synthesis (judge) prompt template
+export const DEFAULT_JUDGE_TEMPLATE = `I asked several AIs the same request:
+
+{{ORIGINAL_PROMPT}}
+
+Here are their responses:
+{{RESPONSES}}
+
+Merge them into one final response. Keep what they agree on, settle their disagreements (say which answer you follow and why), and leave out anything none of them supports. Name the AI a point comes from in square brackets, e.g. [Claude]. Respond in the same language as my original request.`;
+
 // AI display names for cross-check prompts
 export const AI_DISPLAY_NAMES = {
   chatgpt: 'ChatGPT',
@@ -68,11 +75,19 @@ export function setCurrentSessionId(id) {
 
 /**
  * Get cross-check template from localStorage or use default
+ * (the template selected in the library, mirrored by services/crosscheck-templates.js)
  */
 export function getCrossCheckTemplate() {
   return localStorage.getItem('oneprompt-crosscheck-template') || DEFAULT_CROSS_CHECK_TEMPLATE;
 }
 
+/**
+ * Get synthesis (judge) template from localStorage or use default
+ */
+export function getJudgeTemplate() {
+  return localStorage.getItem('oneprompt-judge-template') || DEFAULT_JUDGE_TEMPLATE;
+}
+
 /**
  * Create a new session object
  */
@@ -103,6 +118,12 @@ export function createNewSession(name = null, selectedAIsSet = null, mode = null
     mode: initialMode || null, // 'web' or 'api' or null
     chatUrls: {}, // Map aiKey -> URL
     apiChatHistory: {}, // Map aiKey -> Array of {role, content} for API mode
+    apiContextSummaries: {}, // Map aiKey -> { content, coveredCount, createdAt } summary of the oldest turns (API mode)
+    apiTrimmedMessages: {}, // Map aiKey -> number of oldest messages removed to free storage (API mode)
+    systemPrompt: null, // Session-wide instructions override (API mode)
+    systemPrompts: {}, // Map aiKey -> instructions override for that AI (API mode)
+    generationParams: {}, // Map aiKey -> generation parameters override (API mode)
+    modelInstances: [], // Extra panels running another model of a service (API mode)
     promptDraft: '', // Draft content of the prompt textarea
     createdAt: Date.now()
   };
@@ -1,4 +1,4 @@
-const { app, BrowserWindow, ipcMain, shell, Menu } = require('electron');
+const { app, BrowserWindow, ipcMain, shell, Menu, safeStorage } = require('electron');
 
 // IMPORTANT: Set app name BEFORE any other requires that might use app.getPath()
 // This determines the userData folder name in %APPDATA% (Windows) or ~/Library/Application Support/ (Mac)
@@ -95,6 +95,45 @@ const AI_CONFIGS = {
   }
 };
 
+// ============================================================
+// SECURE API KEY STORAGE
+// API keys (localStorage names oneprompt-api-*) encrypted with the OS keychain
+// through safeStorage and kept in userData/api-keys.json. Decrypted values only
+// travel to the renderer over IPC.
+// ============================================================
+
+const SECURE_KEY_PREFIX = 'oneprompt-api-';
+
+function getSecureKeysPath() {
+  return path.join(app.getPath('userData'), 'api-keys.json');
+}
+
+/**
+ * Whether keys can be encrypted with a real OS keychain
+ * On Linux without a keyring safeStorage falls back to a hardcoded password
+ * ('basic_text' backend), which is no better than plaintext
+ */
+function getSecureStorageStatus() {
+  if (!safeStorage.isEncryptionAvailable()) {
+    return { available: false, backend: null };
+  }
+  const backend = process.platform === 'linux' ? safeStorage.getSelectedStorageBackend() : null;
+  return { available: backend !== 'basic_text', backend };
+}
+
+function readSecureKeysFile() {
+  try {
+    const data = JSON.parse(fs.readFileSync(getSecureKeysPath(), 'utf8'));
+    return data && typeof data === 'object' ? data : {};
+  } catch (e) {
+    return {};
+  }
+}
+
+function writeSecureKeysFile(data) {
+  fs.writeFileSync(getSecureKeysPath(), JSON.stringify(data, null, 2), { mode: 0o600 });
+}
+
 function createMainWindow() {
   // Seleziona l'icona appropriata per la piattaforma
   // Note: assets/ is at project root, main.js is in src/electron/
@@ -252,6 +291,46 @@ app.whenReady().then(() => {
     }
   });
 
+  // Secure API key storage: status, decrypted keys and single key updates
+  ipcMain.handle('secure-keys-load', () => {
+    const status = getSecureStorageStatus();
+    if (!status.available) return { ...status, keys: {} };
+
+    const keys = {};
+    Object.entries(readSecureKeysFile()).forEach(([name, encrypted]) => {
+      try {
+        keys[name] = safeStorage.decryptString(Buffer.from(encrypted, 'base64'));
+      } catch (error) {
+        // Encrypted by another user or machine: drop it, the key must be entered again
+        logger.error(`Could not decrypt ${name}:`, error.message);
+      }
+    });
+    return { ...status, keys };
+  });
+
+  ipcMain.handle('secure-keys-set', (event, name, value) => {
+    if (typeof name !== 'string' || !name.startsWith(SECURE_KEY_PREFIX)) {
+      return { success: false, error: 'Invalid key name' };
+    }
+    if (!getSecureStorageStatus().available) {
+      return { success: false, error: 'Encryption unavailable' };
+    }
+
+    try {
+      const data = readSecureKeysFile();
+      if (value) {
+        data[name] = safeStorage.encryptString(String(value)).toString('base64');
+      } else {
+        delete data[name];
+      }
+      writeSecureKeysFile(data);
+      return { success: true };
+    } catch (error) {
+      logger.error('Error saving API key:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
   // Get App Version
   ipcMain.handle('get-app-version', () => {
     return app.getVersion();
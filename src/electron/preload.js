@@ -11,6 +11,10 @@ contextBridge.exposeInMainWorld('electronAPI', {
   // Apri URL esterno nel browser di default
   openExternal: (url) => ipcRenderer.invoke('open-external', url),
 
+  // API keys encrypted with the OS keychain (safeStorage)
+  loadSecureKeys: () => ipcRenderer.invoke('secure-keys-load'),
+  setSecureKey: (name, value) => ipcRenderer.invoke('secure-keys-set', name, value),
+
   // Get App Version
   getAppVersion: () => ipcRenderer.invoke('get-app-version'),
 
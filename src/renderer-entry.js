@@ -35,13 +35,30 @@ import * as webviewFactory from './ui/webview-factory.js';
 import * as sidebar from './ui/sidebar.js';
 import * as servicesModal from './ui/services-modal.js';
 import * as resizer from './ui/resizer.js';
+import * as customEndpoints from './ui/custom-endpoints.js';
+import * as providerSettings from './ui/provider-settings.js';
+import * as usageSettings from './ui/usage-settings.js';
+import * as generationParams from './ui/generation-params.js';
+import * as attachmentTray from './ui/attachment-tray.js';
+import * as modelInstances from './ui/model-instances.js';
+import * as crossCheckTemplatesUI from './ui/crosscheck-templates.js';
+import * as templateEditor from './ui/template-editor.js';
 
 // Import services
 import * as settings from './services/settings.js';
+import * as usage from './services/usage.js';
+import * as attachments from './services/attachments.js';
+import * as contextWindow from './services/context-window.js';
+import * as chatBranches from './services/chat-branches.js';
+import * as crossCheckTemplates from './services/crosscheck-templates.js';
+import * as templateEngine from './services/template-engine.js';
 
 // Import app modules (extracted from renderer.js)
 import * as apiChat from './app/api-chat.js';
 import * as prompt from './app/prompt.js';
+import * as crossCheck from './app/cross-check.js';
+import * as synthesis from './app/synthesis.js';
+import * as debate from './app/debate.js';
 
 // ============================================================
 // BACKWARD COMPATIBILITY LAYER
@@ -70,14 +87,31 @@ window.OnePromptUI.webviewFactory = webviewFactory;
 window.OnePromptUI.sidebar = sidebar;
 window.OnePromptUI.servicesModal = servicesModal;
 window.OnePromptUI.resizer = resizer;
+window.OnePromptUI.customEndpoints = customEndpoints;
+window.OnePromptUI.providerSettings = providerSettings;
+window.OnePromptUI.usageSettings = usageSettings;
+window.OnePromptUI.generationParams = generationParams;
+window.OnePromptUI.attachmentTray = attachmentTray;
+window.OnePromptUI.modelInstances = modelInstances;
+window.OnePromptUI.crossCheckTemplates = crossCheckTemplatesUI;
+window.OnePromptUI.templateEditor = templateEditor;
 
 // Expose services
 window.OnePromptServices.settings = settings;
+window.OnePromptServices.usage = usage;
+window.OnePromptServices.attachments = attachments;
+window.OnePromptServices.contextWindow = contextWindow;
+window.OnePromptServices.chatBranches = chatBranches;
+window.OnePromptServices.crossCheckTemplates = crossCheckTemplates;
+window.OnePromptServices.templateEngine = templateEngine;
 
 // Expose app modules (extracted from renderer.js)
 window.OnePromptApp = window.OnePromptApp || {};
 window.OnePromptApp.apiChat = apiChat;
 window.OnePromptApp.prompt = prompt;
+window.OnePromptApp.crossCheck = crossCheck;
+window.OnePromptApp.synthesis = synthesis;
+window.OnePromptApp.debate = debate;
 
 // Convenience aliases for most commonly used functions
 window.t = i18n.t;
@@ -20,6 +20,35 @@ const ServicesModalModule = (window.OnePromptUI && window.OnePromptUI.servicesMo
 // Resizer module alias (loaded from ui/resizer.js)
 const ResizerModule = (window.OnePromptUI && window.OnePromptUI.resizer) || null;
 
+// Custom Endpoints module alias (loaded from ui/custom-endpoints.js)
+const CustomEndpointsModule = (window.OnePromptUI && window.OnePromptUI.customEndpoints) || null;
+
+// Model Instances module alias (loaded from ui/model-instances.js)
+const ModelInstancesModule = (window.OnePromptUI && window.OnePromptUI.modelInstances) || null;
+
+// Provider Settings module alias (loaded from ui/provider-settings.js)
+const ProviderSettingsModule = (window.OnePromptUI && window.OnePromptUI.providerSettings) || null;
+
+// Generation Parameters module alias (loaded from ui/generation-params.js)
+const GenerationParamsModule = (window.OnePromptUI && window.OnePromptUI.generationParams) || null;
+
+// Attachments modules aliases (loaded from services/attachments.js and ui/attachment-tray.js)
+const AttachmentsModule = (window.OnePromptServices && window.OnePromptServices.attachments) || null;
+const AttachmentTrayModule = (window.OnePromptUI && window.OnePromptUI.attachmentTray) || null;
+
+// Usage modules aliases (loaded from services/usage.js and ui/usage-settings.js)
+const UsageModule = (window.OnePromptServices && window.OnePromptServices.usage) || null;
+const UsageSettingsModule = (window.OnePromptUI && window.OnePromptUI.usageSettings) || null;
+
+// Cross-check template library UI alias (loaded from ui/crosscheck-templates.js)
+const CrossCheckTemplatesModule = (window.OnePromptUI && window.OnePromptUI.crossCheckTemplates) || null;
+// Prompt template editor alias (loaded from ui/template-editor.js)
+const TemplateEditorModule = (window.OnePromptUI && window.OnePromptUI.templateEditor) || null;
+
+// Context Window module alias (loaded from services/context-window.js)
+const ContextWindowModule = (window.OnePromptServices && window.OnePromptServices.contextWindow) || null;
+const ChatBranchesModule = (window.OnePromptServices && window.OnePromptServices.chatBranches) || null;
+
 // Mode Selection module alias (loaded from core/mode-selection.js)
 const ModeSelectionModule = (window.OnePromptCore && window.OnePromptCore.modeSelection) || null;
 
@@ -29,6 +58,15 @@ const ApiChatModule = (window.OnePromptApp && window.OnePromptApp.apiChat) || nu
 // Prompt module alias (loaded from app/prompt.js)
 const PromptModule = (window.OnePromptApp && window.OnePromptApp.prompt) || null;
 
+// Cross-Check module alias (loaded from app/cross-check.js)
+const CrossCheckModule = (window.OnePromptApp && window.OnePromptApp.crossCheck) || null;
+
+// Synthesis module alias (loaded from app/synthesis.js)
+const SynthesisModule = (window.OnePromptApp && window.OnePromptApp.synthesis) || null;
+
+// Debate module alias (loaded from app/debate.js)
+const DebateModule = (window.OnePromptApp && window.OnePromptApp.debate) || null;
+
 // CRITICAL: Define window.selectMode early so that onclick handlers in mode-cards work
 // This must be defined BEFORE init() is called, which renders the mode selection screen
 window.selectMode = function (mode) {
@@ -168,9 +206,6 @@ let configuredAIs = new Set(JSON.parse(localStorage.getItem('oneprompt-configure
 // Default to ChatGPT, Gemini, and Claude for API mode
 let configuredApiAIs = new Set(JSON.parse(localStorage.getItem('oneprompt-configured-api-services') || '["chatgpt", "gemini", "claude"]'));
 
-// API History limit (sliding window: 6 user/assistant exchanges = 12 messages)
-const API_HISTORY_LIMIT = 12;
-
 // Webview zoom state - tracks the currently focused webview for zoom controls
 let focusedWebview = null;
 let webviewZoomLevels = {}; // Map aiKey → zoomLevel (persisted per webview)
@@ -178,15 +213,37 @@ let webviewZoomLevels = {}; // Map aiKey → zoomLevel (persisted per webview)
 // Default Cross-Check prompt template
 const DEFAULT_CROSS_CHECK_TEMPLATE = `I've collected responses from several AIs, including yours, regarding my last request:
 
-{{OTHER_RESPONSES}}
+{{ALL_RESPONSES}}
 
 Compare them objectively. Be honest and acknowledge if another AI provided a better or more accurate answer. Respond in the same language as my original request.`;
 
 // Get cross-check template from localStorage or use default
+// (the library of ui/crosscheck-templates.js mirrors the selected template to this key)
 function getCrossCheckTemplate() {
   return localStorage.getItem('oneprompt-crosscheck-template') || DEFAULT_CROSS_CHECK_TEMPLATE;
 }
 
+// Default Synthesis (judge) prompt template
+const DEFAULT_JUDGE_TEMPLATE = `I asked several AIs the same request:
+
+{{ORIGINAL_PROMPT}}
+
+Here are their responses:
+{{RESPONSES}}
+
+Merge them into one final response. Keep what they agree on, settle their disagreements (say which answer you follow and why), and leave out anything none of them supports. Name the AI a point comes from in square brackets, e.g. [Claude]. Respond in the same language as my original request.`;
+
+// Get synthesis (judge) template from localStorage or use default
+function getJudgeTemplate() {
+  return localStorage.getItem('oneprompt-judge-template') || DEFAULT_JUDGE_TEMPLATE;
+}
+
+// Revision rounds of a debate after the opening answers (1-10, default 2)
+function getDebateRounds() {
+  const rounds = parseInt(localStorage.getItem('oneprompt-debate-rounds'), 10);
+  return Number.isInteger(rounds) ? Math.min(10, Math.max(1, rounds)) : 2;
+}
+
 // AI display names for cross-check prompts
 const AI_DISPLAY_NAMES = {
   chatgpt: 'ChatGPT',
@@ -311,6 +368,15 @@ async function updateUILanguage() {
   const crossCheckBtn = document.getElementById('crossCheckBtn');
   if (crossCheckBtn) crossCheckBtn.title = t('crosscheck.tooltip');
 
+  const runCrossCheckBtn = document.getElementById('runCrossCheckBtn');
+  if (runCrossCheckBtn) runCrossCheckBtn.title = t('crosscheck.run.tooltip');
+
+  const synthesizeBtn = document.getElementById('synthesizeBtn');
+  if (synthesizeBtn) synthesizeBtn.title = t('synthesis.tooltip');
+
+  const debateBtn = document.getElementById('debateBtn');
+  if (debateBtn) debateBtn.title = t('debate.tooltip');
+
   // Update AI response textareas placeholders
   document.querySelectorAll('.ai-response-textarea').forEach(textarea => {
     const wrapper = textarea.closest('.webview-wrapper');
@@ -641,6 +707,8 @@ if (ResizerModule && promptInput) {
 }
 const copyBtn = document.getElementById('copyBtn');
 const sendBtn = document.getElementById('sendBtn');
+const stopBtn = document.getElementById('stopBtn');
+const webSearchToggle = document.getElementById('webSearchToggle');
 const webviewGrid = document.getElementById('webviewGrid');
 const sidebarNav = document.getElementById('sidebarNav');
 const tabBar = document.getElementById('tabBar');
@@ -681,6 +749,12 @@ async function init() {
     aiConfigs = await window.electronAPI.getAIConfigs();
     logger.log('AI Configs:', aiConfigs);
 
+    // Decrypt the API keys (and migrate plaintext ones) before anything reads them
+    await window.OnePromptCore.initSecureStorage();
+
+    // Add API-only providers and user-defined OpenAI-compatible endpoints
+    syncApiServiceConfigs();
+
     // Rimuovi servizi "coming soon" da configuredAIs se presenti
     const comingSoonServices = Object.entries(aiConfigs)
       .filter(([_, config]) => config.comingSoon)
@@ -795,7 +869,25 @@ async function init() {
         saveSessionsToStorage: saveSessionsToStorage,
         updateWebviewStatus: updateWebviewStatus,
         getSessionsArray: () => SessionsModule ? SessionsModule.getSessions() : sessions,
-        getCurrentSessionId: () => SessionsModule ? SessionsModule.getCurrentSessionId() : currentSessionId
+        getCurrentSessionId: () => SessionsModule ? SessionsModule.getCurrentSessionId() : currentSessionId,
+        onActiveRequestsChange: () => {
+          updatePromptButtons();
+          updateCrossCheckVisibility();
+        },
+        recordUsage: UsageModule ? UsageModule.recordUsage : undefined,
+        formatTokens: UsageModule ? UsageModule.formatTokens : undefined,
+        formatCost: UsageModule ? UsageModule.formatCost : undefined,
+        createGenerationParamsForm: GenerationParamsModule ? GenerationParamsModule.createGenerationParamsForm : undefined,
+        createAttachmentChip: AttachmentTrayModule ? AttachmentTrayModule.createAttachmentChip : undefined,
+        getAttachmentData: AttachmentsModule ? AttachmentsModule.getAttachmentData : undefined,
+        getContextBudget: ContextWindowModule ? ContextWindowModule.getContextBudget : undefined,
+        selectContext: ContextWindowModule ? ContextWindowModule.selectContext : undefined,
+        getSummaryStep: ContextWindowModule ? ContextWindowModule.getSummaryStep : undefined,
+        getBranchInfo: ChatBranchesModule ? ChatBranchesModule.getBranchInfo : undefined,
+        editMessage: ChatBranchesModule ? ChatBranchesModule.editMessage : undefined,
+        switchBranch: ChatBranchesModule ? ChatBranchesModule.switchBranch : undefined,
+        addResponseVersion: ChatBranchesModule ? ChatBranchesModule.addResponseVersion : undefined,
+        selectResponseVersion: ChatBranchesModule ? ChatBranchesModule.selectResponseVersion : undefined
       });
       logger.log('[init] ApiChat module initialized');
     }
@@ -806,6 +898,8 @@ async function init() {
         promptInput: promptInput,
         copyBtn: copyBtn,
         sendBtn: sendBtn,
+        stopBtn: stopBtn,
+        webSearchToggle: webSearchToggle,
         selectedAIs: selectedAIs,
         loadedWebviews: loadedWebviews,
         logger: logger,
@@ -816,11 +910,149 @@ async function init() {
         getCurrentSessionId: () => SessionsModule ? SessionsModule.getCurrentSessionId() : currentSessionId,
         updateWebviewStatus: updateWebviewStatus,
         saveApiHistory: ApiChatModule ? ApiChatModule.saveApiHistory : saveApiHistory,
-        handleApiChat: ApiChatModule ? ApiChatModule.handleApiChat : handleApiChat
+        handleApiChat: ApiChatModule ? ApiChatModule.handleApiChat : handleApiChat,
+        hasActiveApiRequests: ApiChatModule ? ApiChatModule.hasActiveApiRequests : undefined,
+        getAttachmentCount: AttachmentTrayModule ? AttachmentTrayModule.getAttachmentCount : undefined,
+        takeAttachments: AttachmentTrayModule ? AttachmentTrayModule.takeAttachments : undefined
       });
       logger.log('[init] Prompt module initialized');
     }
 
+    // Initialize Cross-Check module if available (automatic rounds in API mode)
+    if (CrossCheckModule && ApiChatModule) {
+      CrossCheckModule.initCrossCheck({
+        logger: logger,
+        t: t,
+        showNotification: showNotification,
+        getCurrentSession: getCurrentSession,
+        getCurrentSessionWebviews: getCurrentSessionWebviews,
+        getSelectedAIs: () => selectedAIs,
+        getDisplayName: (aiKey) => AI_DISPLAY_NAMES[aiKey] || aiConfigs[aiKey]?.name || aiKey,
+        getCrossCheckTemplate: getCrossCheckTemplate,
+        saveApiHistory: ApiChatModule.saveApiHistory,
+        handleApiChat: ApiChatModule.handleApiChat,
+        hasActiveApiRequests: ApiChatModule.hasActiveApiRequests
+      });
+      logger.log('[init] CrossCheck module initialized');
+    }
+
+    // Initialize Synthesis module if available (judge pane above the grid, API mode)
+    if (SynthesisModule && CrossCheckModule && ApiChatModule) {
+      SynthesisModule.initSynthesis({
+        pane: document.getElementById('synthesisPane'),
+        logger: logger,
+        t: t,
+        showNotification: showNotification,
+        renderAssistantContent: ApiChatModule.renderAssistantContent,
+        getCurrentSession: getCurrentSession,
+        getCurrentSessionWebviews: getCurrentSessionWebviews,
+        getSelectedAIs: () => selectedAIs,
+        getApiServices: AIServicesModule ? AIServicesModule.getApiServices : undefined,
+        getDisplayName: (aiKey) => AI_DISPLAY_NAMES[aiKey] || aiConfigs[aiKey]?.name || aiKey,
+        getJudgeTemplate: getJudgeTemplate,
+        saveSessionsToStorage: saveSessionsToStorage,
+        hasActiveApiRequests: ApiChatModule.hasActiveApiRequests,
+        recordUsage: UsageModule ? UsageModule.recordUsage : undefined,
+        formatApiError: ApiChatModule.formatApiError,
+        onStateChange: () => updateCrossCheckVisibility()
+      });
+      logger.log('[init] Synthesis module initialized');
+    }
+
+    // Initialize Debate module if available (multi-round debates between API panels)
+    if (DebateModule && SynthesisModule && ApiChatModule) {
+      DebateModule.initDebate({
+        pane: document.getElementById('debatePane'),
+        logger: logger,
+        t: t,
+        showNotification: showNotification,
+        renderAssistantContent: ApiChatModule.renderAssistantContent,
+        getCurrentSession: getCurrentSession,
+        getCurrentSessionWebviews: getCurrentSessionWebviews,
+        getSelectedAIs: () => selectedAIs,
+        getDebateRounds: getDebateRounds,
+        saveSessionsToStorage: saveSessionsToStorage,
+        saveApiHistory: ApiChatModule.saveApiHistory,
+        handleApiChat: ApiChatModule.handleApiChat,
+        hasActiveApiRequests: ApiChatModule.hasActiveApiRequests,
+        cancelAllApiRequests: ApiChatModule.cancelAllApiRequests,
+        recordUsage: UsageModule ? UsageModule.recordUsage : undefined,
+        formatApiError: ApiChatModule.formatApiError,
+        onStateChange: () => updateCrossCheckVisibility()
+      });
+      logger.log('[init] Debate module initialized');
+    }
+
+    // Initialize the attachment tray (API mode: drop, paste or pick files)
+    if (AttachmentTrayModule) {
+      AttachmentTrayModule.initAttachmentTray({
+        container: document.getElementById('attachmentTray'),
+        dropZone: document.querySelector('.prompt-bar'),
+        promptInput: promptInput,
+        fileInput: document.getElementById('attachmentInput'),
+        attachButton: document.getElementById('attachBtn'),
+        isEnabled: () => getCurrentSession()?.mode === 'api',
+        onChange: () => updatePromptButtons(),
+        showNotification: showNotification,
+        t: t
+      });
+      logger.log('[init] AttachmentTray module initialized');
+    }
+
+    // Drop stored files that no session references anymore (deleted sessions, trimmed history)
+    if (AttachmentsModule) {
+      const allSessions = SessionsModule ? SessionsModule.getSessions() : sessions;
+      AttachmentsModule.pruneAttachments(AttachmentsModule.getReferencedAttachmentIds(allSessions))
+        .then(count => { if (count > 0) logger.log(`[init] Pruned ${count} unreferenced attachments`); })
+        .catch(error => logger.warn('[init] Attachment cleanup failed:', error));
+    }
+
+    // Initialize custom endpoints settings if available
+    if (CustomEndpointsModule) {
+      CustomEndpointsModule.initCustomEndpoints({
+        listContainer: document.getElementById('customEndpointsList'),
+        addButton: document.getElementById('addCustomEndpointBtn'),
+        onChange: handleCustomEndpointChange,
+        t: t
+      });
+      logger.log('[init] CustomEndpoints module initialized');
+    }
+
+    // Initialize model instances section of the services modal if available
+    if (ModelInstancesModule) {
+      ModelInstancesModule.initModelInstances({
+        container: document.getElementById('modelInstancesSection'),
+        aiConfigs: aiConfigs,
+        getCurrentSession: getCurrentSession,
+        onChange: handleModelInstanceChange,
+        t: t
+      });
+      logger.log('[init] ModelInstances module initialized');
+    }
+
+    // Initialize usage settings tab if available
+    if (UsageSettingsModule) {
+      UsageSettingsModule.initUsageSettings({
+        container: document.getElementById('usageSettingsContent'),
+        aiConfigs: aiConfigs,
+        getCurrentSession: getCurrentSession,
+        t: t
+      });
+      logger.log('[init] UsageSettings module initialized');
+    }
+
+    // Initialize cross-check template library (settings manager and prompt bar picker)
+    if (CrossCheckTemplatesModule) {
+      CrossCheckTemplatesModule.initCrossCheckTemplates({
+        container: document.getElementById('crossCheckTemplatesContent'),
+        picker: document.getElementById('crossCheckTemplateSelect'),
+        showNotification: showNotification,
+        getPreview: CrossCheckModule ? CrossCheckModule.buildCrossCheckPreview : null,
+        t: t
+      });
+      logger.log('[init] CrossCheckTemplates module initialized');
+    }
+
     // Renderizza le tab
     renderTabs();
     logger.log('Tabs rendered');
@@ -893,6 +1125,99 @@ async function init() {
   }
 }
 
+// Merge API-only services (registered providers unknown to main.js, custom endpoints,
+// model instances of every session) into aiConfigs
+// aiConfigs is mutated in place because every module holds a reference to it
+function syncApiServiceConfigs() {
+  if (!AIServicesModule) return;
+
+  window.OnePromptCore.getProviders().forEach(provider => {
+    if (!aiConfigs[provider.id]) {
+      aiConfigs[provider.id] = AIServicesModule.buildProviderServiceConfig(provider);
+    }
+  });
+
+  Object.keys(aiConfigs).forEach(key => {
+    if (AIServicesModule.isCustomApiService(key)) {
+      delete aiConfigs[key];
+    }
+  });
+  AIServicesModule.getCustomApiServices().forEach(service => {
+    aiConfigs[service.id] = AIServicesModule.buildCustomServiceConfig(service);
+  });
+
+  // Instances are registered in OnePromptCore too, which resolves them to their service
+  Object.keys(aiConfigs).forEach(key => {
+    if (AIServicesModule.isModelInstance(key)) {
+      delete aiConfigs[key];
+    }
+  });
+  const instances = sessions.flatMap(session => session.modelInstances || []);
+  instances.forEach(instance => {
+    aiConfigs[instance.id] = AIServicesModule.buildModelInstanceConfig(instance, aiConfigs[instance.provider]);
+  });
+  window.OnePromptCore.setModelInstances(instances);
+}
+
+// React to model instances being added to or removed from the current session
+function handleModelInstanceChange({ type, instance }) {
+  const session = getCurrentSession();
+  if (!session) return;
+
+  if (type === 'add') {
+    session.modelInstances = [...(session.modelInstances || []), instance];
+    syncApiServiceConfigs();
+    selectedAIs.add(instance.id);
+  } else if (type === 'remove') {
+    session.modelInstances = (session.modelInstances || []).filter(item => item.id !== instance.id);
+    [session.apiChatHistory, session.apiContextSummaries, session.systemPrompts, session.generationParams].forEach(map => {
+      if (map) delete map[instance.id];
+    });
+    selectedAIs.delete(instance.id);
+
+    // The panel of a removed instance is never shown again, drop it
+    const sessionWebviews = getCurrentSessionWebviews();
+    delete sessionWebviews[instance.id];
+    const wrapper = document.querySelector(`.webview-wrapper[data-session-id="${session.id}"][data-ai-key="${instance.id}"]`);
+    if (wrapper) wrapper.remove();
+    syncApiServiceConfigs();
+  }
+
+  saveSelectedAIs();
+  renderSidebar();
+  renderWebviews();
+  updateCopyButton();
+  updatePromptButtons();
+}
+
+// React to custom endpoints being added, edited or removed in settings
+function handleCustomEndpointChange({ type, id }) {
+  syncApiServiceConfigs();
+
+  if (type === 'add') {
+    // New endpoints are enabled right away so they show up in the sidebar
+    configuredApiAIs.add(id);
+    localStorage.setItem('oneprompt-configured-api-services', JSON.stringify([...configuredApiAIs]));
+  } else if (type === 'remove') {
+    configuredApiAIs.delete(id);
+    localStorage.setItem('oneprompt-configured-api-services', JSON.stringify([...configuredApiAIs]));
+    if (selectedAIs.has(id)) {
+      selectedAIs.delete(id);
+      saveSelectedAIs();
+      renderWebviews();
+      updatePromptButtons();
+    }
+  } else if (type === 'update' && aiConfigs[id]) {
+    // Refresh name/colour in already open panel headers
+    const config = aiConfigs[id];
+    document.querySelectorAll(`.webview-wrapper[data-ai-key="${id}"] .webview-header-title`).forEach(title => {
+      title.innerHTML = `${config.icon} ${config.name}`;
+    });
+  }
+
+  renderSidebar();
+}
+
 // Save selected AIs in the current session
 function saveSelectedAIs() {
   const session = getCurrentSession();
@@ -1267,6 +1592,9 @@ function openServicesModal() {
   if (ServicesModalModule) {
     ServicesModalModule.openServicesModal();
   }
+  if (ModelInstancesModule) {
+    ModelInstancesModule.renderModelInstances();
+  }
 }
 
 // Chiudi modale servizi - delegates to module
@@ -1352,16 +1680,31 @@ if (closeLanguageModalBtn) {
 function openSettingsModal() {
   settingsModal.style.display = 'flex';
 
-  // Reload cross-check template from storage (to show last valid saved value)
-  const templateTextarea = document.getElementById('crossCheckPromptTemplate');
-  const errorMsg = document.getElementById('crossCheckPromptError');
-  if (templateTextarea) {
-    templateTextarea.value = getCrossCheckTemplate();
-    // Hide error message since we're loading a valid template
-    if (errorMsg) {
-      errorMsg.style.display = 'none';
+  // Reload synthesis template from storage (to show last valid saved value)
+  const judgeTextarea = document.getElementById('judgePromptTemplate');
+  if (judgeTextarea) {
+    judgeTextarea.value = getJudgeTemplate();
+    // Clears the errors and updates the preview with the session shown
+    if (judgeTemplateEditor) {
+      judgeTemplateEditor.refresh();
     }
   }
+  // Cross-check templates (last valid saved values, picks up language changes)
+  if (CrossCheckTemplatesModule) {
+    CrossCheckTemplatesModule.renderTemplateManager();
+    CrossCheckTemplatesModule.renderTemplatePicker();
+  }
+  // Re-render provider and custom endpoint cards (picks up language changes)
+  if (ProviderSettingsModule) {
+    ProviderSettingsModule.renderProviderSettings();
+  }
+  if (CustomEndpointsModule) {
+    CustomEndpointsModule.renderCustomEndpoints();
+  }
+  // Usage totals change with every response
+  if (UsageSettingsModule) {
+    UsageSettingsModule.renderUsageSettings();
+  }
 }
 // Expose to window for onclick handlers in translated strings
 window.openSettingsModal = openSettingsModal;
@@ -1569,6 +1912,13 @@ async function renderWebviews() {
           ${config.logo ? `<img src="${config.logo}" style="width: 16px; height: 16px; object-fit: contain;">` : config.icon}
           ${config.name}
         </div>
+        <span class="webview-status" id="status-${activeSessionId}-${aiKey}"></span>
+        <button class="webview-header-system-prompt" data-i18n-title="api.systemPrompt.title" title="${t('api.systemPrompt.title')}">
+          <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+            <path d="M12 20h9"></path>
+            <path d="M16.5 3.5a2.121 2.121 0 0 1 3 3L7 19l-4 1 1-4L16.5 3.5z"></path>
+          </svg>
+        </button>
         <div class="webview-header-close">
           <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round">
             <line x1="18" y1="6" x2="6" y2="18"></line>
@@ -1579,6 +1929,19 @@ async function renderWebviews() {
 
       wrapper.appendChild(header);
 
+      // System prompt and parameters button (API mode only, hidden by CSS for webviews)
+      const systemPromptBtn = header.querySelector('.webview-header-system-prompt');
+      if (ApiChatModule && ApiChatModule.hasPanelOverrides(getCurrentSession(), aiKey)) {
+        systemPromptBtn.classList.add('active');
+      }
+      systemPromptBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        const apiPanel = wrapper.querySelector('.api-panel');
+        if (apiPanel && ApiChatModule) {
+          ApiChatModule.toggleSystemPromptEditor(apiPanel);
+        }
+      });
+
       // Close button event listener
       const closeBtn = header.querySelector('.webview-header-close');
       closeBtn.addEventListener('click', (e) => {
@@ -1875,15 +2238,15 @@ async function createWebview(aiKey) {
 }
 
 // Update webview status in header - uses module if available
-function updateWebviewStatus(aiKey, status) {
+function updateWebviewStatus(aiKey, status, sessionId = null, label = null) {
   // Use module if available
   if (WebviewFactoryModule) {
-    WebviewFactoryModule.updateWebviewStatus(aiKey, status, currentSessionId);
+    WebviewFactoryModule.updateWebviewStatus(aiKey, status, sessionId || currentSessionId, label);
     return;
   }
   
   // Fallback: inline implementation
-  const statusEl = document.getElementById(`status-${currentSessionId}-${aiKey}`);
+  const statusEl = document.getElementById(`status-${sessionId || currentSessionId}-${aiKey}`);
   if (!statusEl) return;
 
   const statusMap = {
@@ -2099,6 +2462,11 @@ function setupEventListeners() {
   // Send button (API Mode)
   sendBtn.addEventListener('click', sendPromptToSelectedAIs);
 
+  // Stop button (API Mode) - cancel all in-flight requests of the current session
+  if (stopBtn && ApiChatModule) {
+    stopBtn.addEventListener('click', () => ApiChatModule.cancelAllApiRequests());
+  }
+
   // New session button
   newSessionBtn.addEventListener('click', createNewSessionAndSwitch);
 
@@ -2416,9 +2784,6 @@ function setupUpdateHandlers() {
 // Settings Elements & Logic
 function initSettings() {
   const defaultModeRadios = document.querySelectorAll('input[name="defaultMode"]');
-  const apiKeyOpenAI = document.getElementById('apiKeyOpenAI');
-  const apiKeyAnthropic = document.getElementById('apiKeyAnthropic');
-  const apiKeyGemini = document.getElementById('apiKeyGemini');
 
   // Settings Sidebar Navigation
   const settingsNavBtns = document.querySelectorAll('.settings-nav-btn');
@@ -2469,40 +2834,116 @@ function initSettings() {
     byokSection.style.display = 'none';
   }
 
-  // OpenAI
-  if (apiKeyOpenAI) {
-    apiKeyOpenAI.value = window.OnePromptCore.getApiKey('chatgpt') || '';
-    apiKeyOpenAI.addEventListener('input', (e) => window.OnePromptCore.setApiKey('chatgpt', e.target.value));
+  // One card per provider adapter registered in OnePromptCore
+  if (ProviderSettingsModule) {
+    ProviderSettingsModule.initProviderSettings({
+      container: document.getElementById('apiProvidersList'),
+      onConnectionChange: renderSidebar,
+      t: t
+    });
+  }
+
+  // Global custom instructions (read by OnePromptCore.getSystemPrompt)
+  const customInstructionsInput = document.getElementById('customInstructions');
+  if (customInstructionsInput) {
+    customInstructionsInput.value = localStorage.getItem('oneprompt-custom-instructions') || '';
+    customInstructionsInput.addEventListener('input', (e) => {
+      if (e.target.value.trim()) {
+        localStorage.setItem('oneprompt-custom-instructions', e.target.value);
+      } else {
+        localStorage.removeItem('oneprompt-custom-instructions');
+      }
+    });
+  }
+
+  // Web search default and Anthropic search limit (read by OnePromptCore.getWebSearchSettings)
+  const webSearchDefaultInput = document.getElementById('webSearchDefault');
+  const webSearchMaxUsesInput = document.getElementById('webSearchMaxUses');
+  const webSearchSettings = window.OnePromptCore.getWebSearchSettings();
+
+  if (webSearchDefaultInput) {
+    webSearchDefaultInput.checked = webSearchSettings.enabled;
+    webSearchDefaultInput.addEventListener('change', (e) => {
+      localStorage.setItem('oneprompt-web-search-enabled', String(e.target.checked));
+      if (PromptModule) PromptModule.resetWebSearchToggle();
+    });
+  }
+
+  if (webSearchMaxUsesInput) {
+    webSearchMaxUsesInput.value = webSearchSettings.maxUses;
+    webSearchMaxUsesInput.addEventListener('change', (e) => {
+      const value = Math.min(Math.max(parseInt(e.target.value, 10) || 1, 1), 20);
+      e.target.value = value;
+      localStorage.setItem('oneprompt-web-search-max-uses', String(value));
+    });
+  }
+
+  // History summarizing and token cap (read by OnePromptCore.getContextSettings)
+  const contextSummarizeInput = document.getElementById('contextSummarize');
+  const contextMaxTokensInput = document.getElementById('contextMaxTokens');
+  const contextSettings = window.OnePromptCore.getContextSettings();
+
+  if (contextSummarizeInput) {
+    contextSummarizeInput.checked = contextSettings.summarize;
+    contextSummarizeInput.addEventListener('change', (e) => {
+      localStorage.setItem('oneprompt-context-summarize', String(e.target.checked));
+    });
   }
 
-  const modelOpenAI = document.getElementById('modelOpenAI');
-  if (modelOpenAI) {
-    modelOpenAI.value = window.OnePromptCore.getSelectedModel('chatgpt') || 'gpt-5.2';
-    modelOpenAI.addEventListener('change', (e) => window.OnePromptCore.setSelectedModel('chatgpt', e.target.value));
+  if (contextMaxTokensInput) {
+    contextMaxTokensInput.value = contextSettings.maxTokens || '';
+    contextMaxTokensInput.addEventListener('change', (e) => {
+      const value = parseInt(e.target.value, 10);
+      if (value > 0) {
+        e.target.value = Math.max(value, 1000);
+        localStorage.setItem('oneprompt-context-max-tokens', String(Math.max(value, 1000)));
+      } else {
+        e.target.value = '';
+        localStorage.removeItem('oneprompt-context-max-tokens');
+      }
+    });
   }
 
-  // Anthropic
-  if (apiKeyAnthropic) {
-    apiKeyAnthropic.value = window.OnePromptCore.getApiKey('claude') || '';
-    apiKeyAnthropic.addEventListener('input', (e) => window.OnePromptCore.setApiKey('claude', e.target.value));
+  // Reasoning output (read by OnePromptCore.getThinkingSettings)
+  const thinkingEnabledInput = document.getElementById('thinkingEnabled');
+  const thinkingCrossCheckInput = document.getElementById('thinkingCrossCheck');
+  const thinkingSettings = window.OnePromptCore.getThinkingSettings();
+
+  if (thinkingEnabledInput) {
+    thinkingEnabledInput.checked = thinkingSettings.enabled;
+    thinkingEnabledInput.addEventListener('change', (e) => {
+      localStorage.setItem('oneprompt-thinking-enabled', String(e.target.checked));
+    });
   }
 
-  const modelAnthropic = document.getElementById('modelAnthropic');
-  if (modelAnthropic) {
-    modelAnthropic.value = window.OnePromptCore.getSelectedModel('claude') || 'claude-sonnet-4-5';
-    modelAnthropic.addEventListener('change', (e) => window.OnePromptCore.setSelectedModel('claude', e.target.value));
+  if (thinkingCrossCheckInput) {
+    thinkingCrossCheckInput.checked = thinkingSettings.includeInCrossCheck;
+    thinkingCrossCheckInput.addEventListener('change', (e) => {
+      localStorage.setItem('oneprompt-thinking-cross-check', String(e.target.checked));
+    });
   }
 
-  // Google Gemini
-  if (apiKeyGemini) {
-    apiKeyGemini.value = window.OnePromptCore.getApiKey('gemini') || '';
-    apiKeyGemini.addEventListener('input', (e) => window.OnePromptCore.setApiKey('gemini', e.target.value));
+  // Retry attempts and delay cap (read by OnePromptCore.getRetrySettings)
+  const retryAttemptsInput = document.getElementById('apiRetryAttempts');
+  const retryMaxDelayInput = document.getElementById('apiRetryMaxDelay');
+  const retrySettings = window.OnePromptCore.getRetrySettings();
+
+  if (retryAttemptsInput) {
+    retryAttemptsInput.value = retrySettings.attempts;
+    retryAttemptsInput.addEventListener('change', (e) => {
+      const value = Math.min(Math.max(parseInt(e.target.value, 10) || 1, 1), 10);
+      e.target.value = value;
+      localStorage.setItem('oneprompt-retry-attempts', String(value));
+    });
   }
 
-  const modelGemini = document.getElementById('modelGemini');
-  if (modelGemini) {
-    modelGemini.value = window.OnePromptCore.getSelectedModel('gemini') || 'gemini-3-flash-preview';
-    modelGemini.addEventListener('change', (e) => window.OnePromptCore.setSelectedModel('gemini', e.target.value));
+  if (retryMaxDelayInput) {
+    retryMaxDelayInput.value = Math.round(retrySettings.maxDelayMs / 1000);
+    retryMaxDelayInput.addEventListener('change', (e) => {
+      const value = Math.min(Math.max(parseInt(e.target.value, 10) || 1, 1), 300);
+      e.target.value = value;
+      localStorage.setItem('oneprompt-retry-max-delay', String(value));
+    });
   }
 }
 
@@ -2511,6 +2952,44 @@ initSettings();
 
 // Cross-Check Button Logic
 function initCrossCheckButton() {
+  // Run Cross-Check button (API mode) - send a cross-check round to every panel at once
+  const runCrossCheckBtn = document.getElementById('runCrossCheckBtn');
+  if (runCrossCheckBtn && CrossCheckModule) {
+    runCrossCheckBtn.addEventListener('click', () => {
+      CrossCheckModule.runCrossCheck().catch(error => {
+        logger.error('[CrossCheck] Round failed:', error);
+      });
+    });
+  }
+
+  // Synthesize button (API mode) - merge every answer into one response with the judge model
+  const synthesizeBtn = document.getElementById('synthesizeBtn');
+  if (synthesizeBtn && SynthesisModule) {
+    synthesizeBtn.addEventListener('click', () => {
+      SynthesisModule.runSynthesis().catch(error => {
+        logger.error('[Synthesis] Failed:', error);
+      });
+    });
+  }
+
+  // Debate button (API mode) - the prompt in the input is debated over several rounds
+  const debateBtn = document.getElementById('debateBtn');
+  if (debateBtn && DebateModule) {
+    debateBtn.addEventListener('click', () => {
+      const prompt = promptInput.value.trim();
+      if (!prompt) {
+        showNotification(t('debate.noPrompt'), 'error');
+        promptInput.focus();
+        return;
+      }
+      promptInput.value = '';
+      updatePromptButtons();
+      DebateModule.runDebate(prompt).catch(error => {
+        logger.error('[Debate] Failed:', error);
+      });
+    });
+  }
+
   const crossCheckBtn = document.getElementById('crossCheckBtn');
   if (!crossCheckBtn) return;
 
@@ -2523,7 +3002,7 @@ function initCrossCheckButton() {
     const currentSession = getCurrentSession();
     const isApiMode = currentSession && currentSession.mode === 'api';
 
-    // Collect responses based on mode
+    // Collect responses based on mode ({ aiKey, name, text, thinking }, text empty while there is none)
     const responses = [];
     const webviewWrappers = document.querySelectorAll('.webview-wrapper');
 
@@ -2535,26 +3014,29 @@ function initCrossCheckButton() {
         if (isApiMode) {
           // API Mode: Extract from chat bubbles (last assistant message)
           const chatContainer = wrapper.querySelector('.api-chat-container');
-          const aiName = AI_DISPLAY_NAMES[aiKey] || aiKey;
+          // Model instances and custom endpoints are named by their config
+          const aiName = AI_DISPLAY_NAMES[aiKey] || aiConfigs[aiKey]?.name || aiKey;
 
           if (chatContainer) {
             const assistantMessages = chatContainer.querySelectorAll('.api-message.assistant');
             if (assistantMessages.length > 0) {
               const lastMessage = assistantMessages[assistantMessages.length - 1];
               const responseText = lastMessage.textContent.trim();
-              if (responseText && aiKey) {
-                responses.push(`### ${aiName}'s Response:\n${responseText}`);
-              } else {
-                // No response text yet, add placeholder
-                responses.push(`### ${aiName}'s Response:\n`);
-              }
+              // Reasoning sits outside the bubble, added only when the setting asks for it
+              const thinkingBlock = lastMessage.previousElementSibling;
+              const thinkingText = window.OnePromptCore.getThinkingSettings().includeInCrossCheck &&
+                thinkingBlock?.classList.contains('api-message-thinking')
+                ? thinkingBlock.querySelector('.api-message-thinking-body')?.textContent.trim()
+                : '';
+              // Empty text while the answer has not arrived
+              responses.push({ aiKey, name: aiName, text: responseText, thinking: responseText ? thinkingText || null : null });
             } else {
               // No assistant messages yet, add placeholder
-              responses.push(`### ${aiName}'s Response:\n`);
+              responses.push({ aiKey, name: aiName, text: '', thinking: null });
             }
           } else if (aiKey) {
             // No chat container yet, add placeholder
-            responses.push(`### ${aiName}'s Response:\n`);
+            responses.push({ aiKey, name: aiName, text: '', thinking: null });
           }
         } else {
           // Web Mode: Extract from textarea (or use placeholder if empty)
@@ -2562,19 +3044,24 @@ function initCrossCheckButton() {
           if (textarea && aiKey) {
             const aiName = AI_DISPLAY_NAMES[aiKey] || aiKey;
             const responseText = textarea.value.trim() || textarea.placeholder;
-            responses.push(`### ${aiName}'s Response:\n${responseText}`);
+            responses.push({ aiKey, name: aiName, text: responseText, thinking: null });
           }
         }
       }
     });
 
-    // Format responses section
-    const responsesSection = responses.length > 0
-      ? '\n## Responses from Other AI Assistants:\n' + responses.join('\n\n') + '\n\n--- END OF RESPONSES ---\n'
-      : '';
+    if (responses.length === 0 || !CrossCheckModule) {
+      showNotification(t('crosscheck.noResponses'), 'error');
+      return;
+    }
 
-    // Replace {{OTHER_RESPONSES}} placeholder in template
-    const finalPrompt = template.replace('{{OTHER_RESPONSES}}', responsesSection);
+    // Render the template, every answer listed as another AI's (the prompt goes to all of them)
+    // In API mode the original request is read from the session history
+    const originalPrompt = isApiMode
+      ? CrossCheckModule.collectApiResponses(currentSession, responses.map(response => response.aiKey))
+        .find(response => response.prompt)?.prompt || null
+      : null;
+    const finalPrompt = CrossCheckModule.buildCrossCheckPrompt(template, null, responses, originalPrompt);
 
     // Insert into prompt input
     const promptInput = document.getElementById('promptInput');
@@ -2643,6 +3130,37 @@ function updateCrossCheckVisibility() {
     crossCheckBtn.style.display = crossCheckEnabled ? 'flex' : 'none';
   }
 
+  // Template picker - next to the Cross Check toggle, same condition
+  const templateSelect = document.getElementById('crossCheckTemplateSelect');
+  if (templateSelect) {
+    templateSelect.style.display = (crossCheckEnabled && CrossCheckTemplatesModule) ? 'block' : 'none';
+  }
+
+  // Run Cross-Check Button - API mode only, disabled while answers are still coming in
+  const runCrossCheckBtn = document.getElementById('runCrossCheckBtn');
+  if (runCrossCheckBtn) {
+    runCrossCheckBtn.style.display = (crossCheckEnabled && isApiMode && CrossCheckModule) ? 'flex' : 'none';
+    runCrossCheckBtn.disabled = !!(ApiChatModule && currentSession && ApiChatModule.hasActiveApiRequests(currentSession.id));
+  }
+
+  // Synthesize Button - same conditions, also disabled while the judge is answering
+  const synthesizeBtn = document.getElementById('synthesizeBtn');
+  if (synthesizeBtn) {
+    synthesizeBtn.style.display = (crossCheckEnabled && isApiMode && SynthesisModule) ? 'flex' : 'none';
+    synthesizeBtn.disabled = !!(runCrossCheckBtn?.disabled || (SynthesisModule && currentSession && SynthesisModule.isSynthesisRunning(currentSession.id)));
+  }
+
+  // Debate Button - same conditions, one debate at a time per session
+  const debateBtn = document.getElementById('debateBtn');
+  if (debateBtn) {
+    debateBtn.style.display = (crossCheckEnabled && isApiMode && DebateModule) ? 'flex' : 'none';
+    debateBtn.disabled = !!(runCrossCheckBtn?.disabled || (DebateModule && currentSession && DebateModule.isDebateRunning(currentSession.id)));
+  }
+
+  // Synthesis and debate panes of the session shown
+  if (SynthesisModule) SynthesisModule.renderSynthesisPane();
+  if (DebateModule) DebateModule.renderDebatePane();
+
   // AI Response Containers (textarea containers) - only show in WEB mode when enabled
   responseContainers.forEach(container => {
     container.style.display = (crossCheckEnabled && !isApiMode) ? 'block' : 'none';
@@ -2654,54 +3172,70 @@ function updateCrossCheckButtonVisibility() {
   updateCrossCheckVisibility();
 }
 
-// Initialize cross-check settings
-function initCrossCheckSettings() {
-  const templateTextarea = document.getElementById('crossCheckPromptTemplate');
-  const resetBtn = document.getElementById('resetCrossCheckPrompt');
-  const errorMsg = document.getElementById('crossCheckPromptError');
-
-  // Validation function - require {{OTHER_RESPONSES}} placeholder
-  function validateTemplate(text) {
-    return text.trim().length > 0 && text.includes('{{OTHER_RESPONSES}}');
-  }
-
-  if (templateTextarea) {
-    // Load saved template or default
-    templateTextarea.value = getCrossCheckTemplate();
+// Editor of the synthesis template (ui/template-editor.js), refreshed when the settings open
+let judgeTemplateEditor = null;
 
-    // Validate on load
-    if (errorMsg && !validateTemplate(templateTextarea.value)) {
-      errorMsg.style.display = 'block';
-    }
+// Bind a prompt template textarea to its storage key: saved only while it is valid
+// Returns the template editor (validation, syntax help and preview)
+function initTemplateSetting({ textarea, resetBtn, errorMsg, help, preview, storageKey, defaultTemplate, kind, getTemplate, getPreview }) {
+  if (!textarea || !TemplateEditorModule) return null;
 
-    // Save on change with validation
-    templateTextarea.addEventListener('input', (e) => {
-      const isValid = validateTemplate(e.target.value);
+  // Load saved template or default
+  textarea.value = getTemplate();
 
-      // Show/hide error message
-      if (errorMsg) {
-        errorMsg.style.display = isValid ? 'none' : 'block';
-      }
+  // Save to localStorage ONLY if valid
+  const editor = TemplateEditorModule.initTemplateEditor({
+    textarea,
+    errorMsg,
+    help,
+    preview,
+    kind,
+    getPreview,
+    t,
+    onValid: (template) => localStorage.setItem(storageKey, template)
+  });
 
-      // Save to localStorage ONLY if valid
-      if (isValid) {
-        localStorage.setItem('oneprompt-crosscheck-template', e.target.value);
-      }
+  if (resetBtn) {
+    resetBtn.addEventListener('click', () => {
+      localStorage.removeItem(storageKey);
+      textarea.value = defaultTemplate;
+      // Default template is always valid
+      editor.refresh();
     });
   }
+  return editor;
+}
 
-  if (resetBtn) {
-    resetBtn.addEventListener('click', () => {
-      localStorage.removeItem('oneprompt-crosscheck-template');
-      if (templateTextarea) {
-        templateTextarea.value = DEFAULT_CROSS_CHECK_TEMPLATE;
-        // Hide error on reset (default template is always valid)
-        if (errorMsg) {
-          errorMsg.style.display = 'none';
-        }
+// Initialize cross-check settings
+function initCrossCheckSettings() {
+  // Cross-check templates are managed by ui/crosscheck-templates.js
+
+  // Debate rounds
+  const debateRoundsInput = document.getElementById('debateRounds');
+  if (debateRoundsInput) {
+    debateRoundsInput.value = getDebateRounds();
+    debateRoundsInput.addEventListener('change', () => {
+      const rounds = parseInt(debateRoundsInput.value, 10);
+      if (Number.isInteger(rounds)) {
+        localStorage.setItem('oneprompt-debate-rounds', String(Math.min(10, Math.max(1, rounds))));
       }
+      debateRoundsInput.value = getDebateRounds();
     });
   }
+
+  // Synthesis (judge) prompt
+  judgeTemplateEditor = initTemplateSetting({
+    textarea: document.getElementById('judgePromptTemplate'),
+    resetBtn: document.getElementById('resetJudgePrompt'),
+    errorMsg: document.getElementById('judgePromptError'),
+    help: document.getElementById('judgePromptHelp'),
+    preview: document.getElementById('judgePromptPreview'),
+    storageKey: 'oneprompt-judge-template',
+    defaultTemplate: DEFAULT_JUDGE_TEMPLATE,
+    kind: 'judge',
+    getTemplate: getJudgeTemplate,
+    getPreview: SynthesisModule ? SynthesisModule.buildJudgePreview : null
+  });
 }
 
 // Initialize cross-check features
@@ -2773,9 +3307,11 @@ function createApiPanel(aiKey) {
       <div style="font-size: 3rem; margin-bottom: 1rem; display: flex; justify-content: center;">
         ${config.logo ? `<img src="${config.logo}" style="width: 48px; height: 48px; object-fit: contain;">` : config.icon}
       </div>
-      <h3 data-i18n="api.panel.title" data-i18n-options='{"service": "${config.name}"}'>${config.name} (API Mode)</h3>
+      <h3 data-i18n="api.panel.title"></h3>
       <p data-i18n="api.panel.waiting">Waiting for prompt...</p>
   `;
+  // The name is user input (custom endpoints): set through the DOM, never parsed as markup or JSON
+  welcome.querySelector('h3').dataset.i18nOptions = JSON.stringify({ service: config.name });
   // Translate welcome elements
   welcome.querySelectorAll('[data-i18n]').forEach(el => {
     const key = el.getAttribute('data-i18n');
@@ -2921,28 +3457,12 @@ function saveApiHistory(aiKey, role, content, sessionId = null) {
 
   session.apiChatHistory[aiKey].push({ role, content });
 
-  // Enforce sliding window limit (keep last N messages)
-  if (session.apiChatHistory[aiKey].length > API_HISTORY_LIMIT) {
-    session.apiChatHistory[aiKey] = session.apiChatHistory[aiKey].slice(-API_HISTORY_LIMIT);
-  }
-
   saveSessionsToStorage();
 }
 
-// Get system prompt with language instruction
+// Get system prompt with language instruction (built by the OnePromptCore bridge)
 function getSystemPromptWithLanguage() {
-  const lang = localStorage.getItem('oneprompt-language') || 'en';
-  const languageNames = {
-    en: 'English',
-    it: 'Italian',
-    es: 'Spanish',
-    fr: 'French',
-    de: 'German',
-    pt: 'Portuguese',
-    tr: 'Turkish'
-  };
-  const languageName = languageNames[lang] || 'English';
-  return `You are a helpful AI assistant. Always respond in ${languageName} unless the user explicitly asks for a different language.`;
+  return window.OnePromptCore.getSystemPrompt();
 }
 
 // Handle API Chat Logic - uses OnePromptCore bridge for API calls
@@ -2973,8 +3493,7 @@ async function handleApiChat(aiKey, prompt, panel, sessionId = null) {
   // Use targetSessionId to get the correct session's history
   const session = sessions.find(s => s.id === targetSessionId);
   const existingHistory = (session?.apiChatHistory?.[aiKey] || [])
-    .filter(msg => msg.role === 'user' || msg.role === 'assistant')
-    .slice(-API_HISTORY_LIMIT);
+    .filter(msg => msg.role === 'user' || msg.role === 'assistant');
 
   // Messages array for API call (history already includes the current prompt)
   const messages = existingHistory;
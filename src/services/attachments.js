@@ -0,0 +1,221 @@
+/**
+ * Attachments Service module
+ *
+ * Files attached to API prompts (images, PDFs, text/log files).
+ * - File contents live in IndexedDB, keyed by their SHA-256 hash, so the same file
+ *   sent to several AIs (or several times) is stored once
+ * - Session history only keeps small references: { id, name, mimeType, size, kind, thumbnail }
+ *
+ * @module @services/attachments
+ */
+
+import { forEachTreeMessage } from './chat-branches.js';
+
+const DB_NAME = 'oneprompt-attachments';
+const STORE_NAME = 'files';
+
+/**
+ * Largest accepted file (providers reject bigger inline payloads anyway)
+ */
+export const MAX_ATTACHMENT_SIZE = 20 * 1024 * 1024;
+
+/**
+ * Image types every provider accepts
+ */
+const IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp'];
+
+/**
+ * Extensions read as plain text when the OS reports no useful MIME type
+ */
+const TEXT_EXTENSIONS = [
+  'txt', 'log', 'md', 'csv', 'tsv', 'json', 'jsonl', 'xml', 'yaml', 'yml', 'toml', 'ini', 'env',
+  'html', 'css', 'js', 'mjs', 'ts', 'tsx', 'jsx', 'py', 'rb', 'go', 'rs', 'java', 'kt', 'c', 'h',
+  'cpp', 'hpp', 'cs', 'php', 'sh', 'sql', 'swift'
+];
+
+const THUMBNAIL_SIZE = 160;
+
+let dbPromise = null;
+
+/**
+ * Open (and create on first use) the attachments database
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, 1);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE_NAME, { keyPath: 'id' });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return dbPromise;
+}
+
+/**
+ * Run a request against the files store
+ * @param {'readonly'|'readwrite'} mode
+ * @param {Function} run - (store) => IDBRequest
+ * @returns {Promise<*>} The request result
+ */
+async function withStore(mode, run) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const request = run(db.transaction(STORE_NAME, mode).objectStore(STORE_NAME));
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Attachment kind of a file, null when no provider can read it
+ * @param {string} mimeType
+ * @param {string} name
+ * @returns {'image'|'pdf'|'text'|null}
+ */
+export function getAttachmentKind(mimeType, name = '') {
+  if (IMAGE_TYPES.includes(mimeType)) return 'image';
+  if (mimeType === 'application/pdf') return 'pdf';
+  if (mimeType.startsWith('text/') || /(json|xml|yaml|javascript)/.test(mimeType)) return 'text';
+
+  const extension = name.includes('.') ? name.split('.').pop().toLowerCase() : '';
+  return TEXT_EXTENSIONS.includes(extension) ? 'text' : null;
+}
+
+/**
+ * Base64 of an ArrayBuffer
+ * @param {ArrayBuffer} buffer
+ * @returns {string}
+ */
+function toBase64(buffer) {
+  const bytes = new Uint8Array(buffer);
+  let binary = '';
+  // Chunked to stay below the argument limit of String.fromCharCode
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+/**
+ * SHA-256 hex digest, used as the attachment id
+ * @param {ArrayBuffer} buffer
+ * @returns {Promise<string>}
+ */
+async function hashBuffer(buffer) {
+  const digest = await crypto.subtle.digest('SHA-256', buffer);
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Small JPEG preview of an image, stored in the history reference
+ * @param {string} dataUrl
+ * @returns {Promise<string|null>}
+ */
+function createThumbnail(dataUrl) {
+  return new Promise(resolve => {
+    const image = new Image();
+    image.onload = () => {
+      const scale = Math.min(1, THUMBNAIL_SIZE / Math.max(image.width, image.height));
+      const canvas = document.createElement('canvas');
+      canvas.width = Math.max(1, Math.round(image.width * scale));
+      canvas.height = Math.max(1, Math.round(image.height * scale));
+      canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+      resolve(canvas.toDataURL('image/jpeg', 0.7));
+    };
+    image.onerror = () => resolve(null);
+    image.src = dataUrl;
+  });
+}
+
+/**
+ * Read a dropped or pasted file
+ * @param {File} file
+ * @returns {Promise<{id: string, name: string, mimeType: string, size: number, kind: string, data: string, thumbnail: string|null}>}
+ * @throws {Error} When the file type is not supported or the file is too large
+ */
+export async function readAttachment(file) {
+  const name = file.name || 'attachment';
+  const kind = getAttachmentKind(file.type || '', name);
+  if (!kind) throw new Error('unsupported');
+  if (file.size > MAX_ATTACHMENT_SIZE) throw new Error('tooLarge');
+
+  const buffer = await file.arrayBuffer();
+  const mimeType = kind === 'text' ? 'text/plain' : file.type;
+  const data = toBase64(buffer);
+  const thumbnail = kind === 'image' ? await createThumbnail(`data:${mimeType};base64,${data}`) : null;
+
+  return { id: await hashBuffer(buffer), name, mimeType, size: file.size, kind, data, thumbnail };
+}
+
+/**
+ * Store attachment contents and return the history reference
+ * @param {Object} attachment - As returned by readAttachment
+ * @returns {Promise<{id: string, name: string, mimeType: string, size: number, kind: string, thumbnail: string|null}>}
+ */
+export async function saveAttachment(attachment) {
+  const { data, ...ref } = attachment;
+  await withStore('readwrite', store => store.put({ id: ref.id, mimeType: ref.mimeType, data }));
+  return ref;
+}
+
+/**
+ * Load the base64 contents of a stored attachment
+ * @param {string} id
+ * @returns {Promise<string|null>} null when the file is no longer stored
+ */
+export async function getAttachmentData(id) {
+  try {
+    const record = await withStore('readonly', store => store.get(id));
+    return record ? record.data : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Delete stored files no session references anymore
+ * @param {Iterable<string>} referencedIds
+ * @returns {Promise<number>} Number of deleted files
+ */
+export async function pruneAttachments(referencedIds) {
+  const keep = new Set(referencedIds);
+  const ids = await withStore('readonly', store => store.getAllKeys());
+  const orphans = ids.filter(id => !keep.has(id));
+  for (const id of orphans) {
+    await withStore('readwrite', store => store.delete(id));
+  }
+  return orphans.length;
+}
+
+/**
+ * Ids of every attachment referenced by a list of sessions (stored branches included)
+ * @param {Array} sessions
+ * @returns {Set<string>}
+ */
+export function getReferencedAttachmentIds(sessions) {
+  const ids = new Set();
+  sessions.forEach(session => {
+    Object.values(session.apiChatHistory || {}).forEach(history => {
+      forEachTreeMessage(history, entry => (entry.attachments || []).forEach(ref => ids.add(ref.id)));
+    });
+  });
+  return ids;
+}
+
+/**
+ * Human readable file size
+ * @param {number} bytes
+ * @returns {string}
+ */
+export function formatFileSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
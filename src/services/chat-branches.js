@@ -0,0 +1,143 @@
+/**
+ * Chat Branches Service module
+ *
+ * Conversation tree of an API chat. session.apiChatHistory[aiKey] stays the active path
+ * (what is shown and sent), the other branches hang off the user message where they fork:
+ *   entry.branches = { active: number, tails: Array<{messages: Array, summary: Object|null}|null> }
+ * tails[active] is null, its messages are the rest of the active path. Stored tails keep
+ * their own branches, so the whole tree is serialized with the session.
+ * Regenerated answers are versions of one assistant message instead of branches:
+ *   entry.versions = { selected: number, items: Array<entry> }
+ * the entry fields are a copy of items[selected], the version kept in the context.
+ *
+ * @module @services/chat-branches
+ */
+
+/**
+ * Branch position of a history entry
+ * @param {Array} history - Active path
+ * @param {number} index
+ * @returns {{active: number, total: number}|null} null when the entry has no alternatives
+ */
+export function getBranchInfo(history, index) {
+  const branches = history[index]?.branches;
+  if (!branches || branches.tails.length < 2) return null;
+  return { active: branches.active, total: branches.tails.length };
+}
+
+/**
+ * Detach the active path from index on, to be stored as a tail
+ * The pinned summary follows the tail when it covers some of its messages
+ * @param {Array} history - Active path, shortened in place
+ * @param {number} index
+ * @param {Object|null} summary - Pinned context summary of the service
+ * @returns {{tail: {messages: Array, summary: Object|null}, branches: Object}}
+ */
+function detachTail(history, index, summary) {
+  const messages = history.splice(index);
+  const { branches, ...first } = messages[0];
+  messages[0] = first;
+  return {
+    tail: { messages, summary: summary && summary.coveredCount > index ? summary : null },
+    branches: branches || { active: 0, tails: [null] }
+  };
+}
+
+/**
+ * Attach a stored tail at the end of the active path
+ * @param {Array} history - Active path, extended in place
+ * @param {Array} messages - Tail messages
+ * @param {Object} branches - Branch point state, carried by the first message
+ */
+function attachTail(history, messages, branches) {
+  history.push({ ...messages[0], branches }, ...messages.slice(1));
+}
+
+/**
+ * Summary to keep once the path changes from index on
+ * @param {Object|null} summary - Current summary
+ * @param {number} index
+ * @param {Object|null} stored - Summary stored with the branch being entered
+ * @returns {Object|null}
+ */
+function resolveSummary(summary, index, stored) {
+  if (stored) return stored;
+  return summary && summary.coveredCount > index ? null : summary;
+}
+
+/**
+ * Replace a user message with an edited copy, starting a new branch
+ * The old message and everything after it stay reachable with switchBranch
+ * @param {Array} history - Active path, updated in place (ends with the new message)
+ * @param {number} index - Index of the edited user message
+ * @param {Object} entry - The new user message
+ * @param {Object|null} summary - Pinned context summary of the service
+ * @returns {{summary: Object|null}} Summary to keep for the new path
+ */
+export function editMessage(history, index, entry, summary = null) {
+  const { tail, branches } = detachTail(history, index, summary);
+  const tails = [...branches.tails];
+  tails[branches.active] = tail;
+  tails.push(null);
+  attachTail(history, [entry], { active: tails.length - 1, tails });
+  return { summary: resolveSummary(summary, index, null) };
+}
+
+/**
+ * Make another branch of a fork the active path
+ * @param {Array} history - Active path, updated in place
+ * @param {number} index - Index of the user message where the branches fork
+ * @param {number} target - Branch to show
+ * @param {Object|null} summary - Pinned context summary of the service
+ * @returns {{summary: Object|null}|null} Summary to keep, null when there is no such branch
+ */
+export function switchBranch(history, index, target, summary = null) {
+  const info = getBranchInfo(history, index);
+  if (!info || target === info.active || target < 0 || target >= info.total) return null;
+
+  const { tail, branches } = detachTail(history, index, summary);
+  const tails = [...branches.tails];
+  const entering = tails[target];
+  tails[branches.active] = tail;
+  tails[target] = null;
+  attachTail(history, entering.messages, { active: target, tails });
+  return { summary: resolveSummary(summary, index, entering.summary) };
+}
+
+/**
+ * Add a regenerated answer as the selected version of the answer it replaces
+ * @param {Object} previous - Current assistant entry
+ * @param {Object} entry - New assistant entry
+ * @returns {Object} Entry to store in place of previous
+ */
+export function addResponseVersion(previous, entry) {
+  const { versions, ...first } = previous;
+  const items = [...(versions?.items || [first]), entry];
+  return { ...entry, versions: { selected: items.length - 1, items } };
+}
+
+/**
+ * Select which version of an answer the conversation continues from
+ * @param {Object} entry - Assistant entry with versions
+ * @param {number} target - Version index
+ * @returns {Object|null} Entry to store instead, null when there is no such version
+ */
+export function selectResponseVersion(entry, target) {
+  const items = entry.versions?.items || [];
+  if (!items[target] || target === entry.versions.selected) return null;
+  return { ...items[target], versions: { selected: target, items } };
+}
+
+/**
+ * Visit every message of the tree, stored branches included
+ * @param {Array} history - Active path
+ * @param {Function} visit - (entry) => void
+ */
+export function forEachTreeMessage(history, visit) {
+  (history || []).forEach(entry => {
+    visit(entry);
+    (entry.branches?.tails || []).forEach(tail => {
+      if (tail) forEachTreeMessage(tail.messages, visit);
+    });
+  });
+}
@@ -0,0 +1,179 @@
+/**
+ * Context Window Service module
+ *
+ * Decides how much of an API chat history is sent with each request.
+ * - Token counts are estimates (about 4 characters per token, attachments by kind and size),
+ *   the provider reports the real figures after the answer
+ * - The budget is the model context window minus the reserved output and the system prompt,
+ *   optionally capped by the user (see OnePromptCore.getContextSettings)
+ * - Older turns are either dropped or covered by a pinned summary
+ *   stored on the session: apiContextSummaries[aiKey] = { content, coveredCount, createdAt }
+ *
+ * @module @services/context-window
+ */
+
+/**
+ * Share of the window actually filled, estimates can be off by a few percent
+ */
+const SAFETY_MARGIN = 0.9;
+
+/**
+ * Output reserved when the max tokens parameter is not set
+ */
+const DEFAULT_OUTPUT_RESERVE = 8192;
+
+/**
+ * Share of the budget left to the recent turns after a summary, so the
+ * next turns fit without summarizing again right away
+ */
+const SUMMARY_TARGET = 0.6;
+
+/**
+ * Fixed per-message overhead (role, separators)
+ */
+const MESSAGE_OVERHEAD = 4;
+
+/**
+ * Approximate token count of a text
+ * CJK characters are close to one token each, other scripts about 4 characters per token
+ * @param {string} text
+ * @returns {number}
+ */
+export function estimateTokens(text) {
+  if (!text) return 0;
+  const wide = (text.match(/[\u3040-\u30ff\u3400-\u9fff\uac00-\ud7af]/g) || []).length;
+  return Math.ceil((text.length - wide) / 4 + wide);
+}
+
+/**
+ * Approximate token count of an attachment reference
+ * @param {{kind: string, size: number}} attachment
+ * @returns {number}
+ */
+function estimateAttachmentTokens(attachment) {
+  if (attachment.kind === 'image') return 1600;
+  // About 1,500 tokens for a ~50 KB PDF page
+  if (attachment.kind === 'pdf') return Math.ceil((attachment.size || 0) / 32);
+  return Math.ceil((attachment.size || 0) / 4);
+}
+
+/**
+ * Approximate token count of a history entry
+ * @param {{content: string, attachments?: Array}} message
+ * @returns {number}
+ */
+export function estimateMessageTokens(message) {
+  const attachments = (message.attachments || []).reduce((sum, ref) => sum + estimateAttachmentTokens(ref), 0);
+  return MESSAGE_OVERHEAD + estimateTokens(message.content) + attachments;
+}
+
+/**
+ * Tokens available for the history of a request
+ * @param {string} aiKey
+ * @param {Object} [options]
+ * @param {number} [options.maxTokens] - Output limit of the request (reserved from the window)
+ * @param {string} [options.systemPrompt] - System prompt sent with the request
+ * @param {string} [options.modelId] - Model of the request (defaults to the selected one)
+ * @returns {{contextWindow: number, budget: number}}
+ */
+export function getContextBudget(aiKey, options = {}) {
+  const core = window.OnePromptCore;
+  const contextWindow = core.getContextWindow(aiKey, options.modelId);
+  const reserve = options.maxTokens || Math.min(DEFAULT_OUTPUT_RESERVE, Math.floor(contextWindow / 4));
+  let budget = Math.floor((contextWindow - reserve) * SAFETY_MARGIN) - estimateTokens(options.systemPrompt);
+
+  const { maxTokens } = core.getContextSettings();
+  if (maxTokens) budget = Math.min(budget, maxTokens);
+  return { contextWindow, budget: Math.max(budget, 0) };
+}
+
+/**
+ * Pick the most recent messages that fit the budget
+ * Messages covered by the summary are never sent again (a summary can also cover
+ * messages already trimmed from storage, coveredCount 0), the window always
+ * starts with a user message and the latest message is always sent
+ * @param {Array} history - Stored history of the service
+ * @param {Object} options
+ * @param {number} options.budget - Tokens available (see getContextBudget)
+ * @param {{content: string, coveredCount: number}|null} [options.summary] - Pinned summary of the oldest messages
+ * @returns {{messages: Array, startIndex: number, usedTokens: number, budget: number,
+ *   summary: Object|null, summarizedCount: number, droppedCount: number}}
+ */
+export function selectContext(history, { budget, summary = null }) {
+  const coveredCount = summary ? Math.min(summary.coveredCount, history.length) : 0;
+  let usedTokens = summary ? estimateTokens(summary.content) : 0;
+
+  let startIndex = history.length;
+  while (startIndex > coveredCount) {
+    const tokens = estimateMessageTokens(history[startIndex - 1]);
+    if (startIndex < history.length && usedTokens + tokens > budget) break;
+    usedTokens += tokens;
+    startIndex--;
+  }
+  while (startIndex < history.length - 1 && history[startIndex].role !== 'user') {
+    usedTokens -= estimateMessageTokens(history[startIndex]);
+    startIndex++;
+  }
+
+  return {
+    messages: history.slice(startIndex),
+    startIndex,
+    usedTokens,
+    budget,
+    summary: summary || null,
+    summarizedCount: coveredCount,
+    droppedCount: startIndex - coveredCount
+  };
+}
+
+/**
+ * Next summarization request: folds the oldest unsummarized messages into the summary,
+ * within the budget, until the summary reaches target (computed on the first step)
+ * @param {Array} history
+ * @param {number} budget
+ * @param {{content: string, coveredCount: number}|null} summary - Current summary
+ * @param {number|null} [target] - Index the summary should reach, from the previous step
+ * @returns {{prompt: string, coveredCount: number, target: number}|null} null when nothing is left to summarize
+ */
+export function getSummaryStep(history, budget, summary = null, target = null) {
+  // Leave room for the next turns so the summary is not redone on every prompt
+  const end = target ?? selectContext(history, { budget: Math.floor(budget * SUMMARY_TARGET), summary }).startIndex;
+  const from = summary ? Math.min(summary.coveredCount, history.length) : 0;
+  if (from >= end) return null;
+
+  const chunk = [];
+  let tokens = 0;
+  for (let i = from; i < end; i++) {
+    tokens += estimateMessageTokens(history[i]);
+    if (chunk.length > 0 && tokens > budget * SUMMARY_TARGET) break;
+    chunk.push(history[i]);
+  }
+
+  return {
+    prompt: buildSummaryPrompt(summary?.content, chunk),
+    coveredCount: from + chunk.length,
+    target: end
+  };
+}
+
+/**
+ * Prompt asking the model to fold a chunk of conversation into the running summary
+ * Attachments are named, their contents were already discussed in the messages
+ * @param {string|null} previousSummary
+ * @param {Array} messages
+ * @returns {string}
+ */
+function buildSummaryPrompt(previousSummary, messages) {
+  const transcript = messages.map(message => {
+    const files = (message.attachments || []).map(ref => `[Attachment: ${ref.name}]`).join(' ');
+    return `${message.role === 'user' ? 'User' : 'Assistant'}: ${[files, message.content].filter(Boolean).join('\n')}`;
+  }).join('\n\n');
+
+  return [
+    'Update the summary of a conversation so it can replace the messages below in future requests.',
+    'Keep every fact, decision, requirement, name, number, code identifier and open question that later turns may rely on.',
+    'Write it as compact notes, in the language of the conversation, without commentary.',
+    previousSummary ? `Current summary:\n${previousSummary}` : 'There is no summary yet.',
+    `Messages to add:\n${transcript}`
+  ].join('\n\n');
+}
@@ -0,0 +1,293 @@
+/**
+ * Cross-Check Templates Service module
+ *
+ * Library of named cross-check prompt templates.
+ * - Built-in templates: the default one and the collection of the website (website/src/data/prompts.md),
+ *   bundled with the app and read-only
+ * - User templates: created, duplicated or imported, stored in localStorage
+ * - The selected template is mirrored to oneprompt-crosscheck-template, the single
+ *   template key older versions (and getCrossCheckTemplate in core/state.js) read
+ * Import and export use the prompts.md format: "## Name" sections separated by "---" lines,
+ * exported files carry the template format in their header (<!-- format: 2 -->).
+ * {{OTHER_RESPONSES}} used to hold the recipient's own answer too: the website collection, the
+ * templates saved by older versions and files without the format are read with {{ALL_RESPONSES}}
+ * in its place (see upgradeTemplate)
+ *
+ * @module @services/crosscheck-templates
+ */
+
+import websitePrompts from '../../website/src/data/prompts.md?raw';
+import { DEFAULT_CROSS_CHECK_TEMPLATE } from '../core/state.js';
+import { validateTemplate } from './template-engine.js';
+
+/**
+ * localStorage keys
+ */
+export const TEMPLATE_KEYS = {
+  LIBRARY: 'oneprompt-crosscheck-templates',
+  LEGACY: 'oneprompt-crosscheck-template'
+};
+
+/**
+ * Placeholder of the answers in the default template, named in the header of exported files
+ */
+export const TEMPLATE_PLACEHOLDER = '{{ALL_RESPONSES}}';
+
+export const DEFAULT_TEMPLATE_ID = 'default';
+
+// Template format of the stored library and exported files, 2: {{OTHER_RESPONSES}} without the own answer
+const TEMPLATE_FORMAT = 2;
+const FORMAT_PATTERN = /<!--\s*format:\s*(\d+)\s*-->/;
+
+/**
+ * Template written when {{OTHER_RESPONSES}} was the block of every answer, the recipient's own first
+ * @param {string} content
+ * @returns {string} The same template using {{ALL_RESPONSES}} for that block
+ */
+function upgradeTemplate(content) {
+  return content.replace(/\{\{\s*OTHER_RESPONSES\s*\}\}/g, '{{ALL_RESPONSES}}');
+}
+
+/**
+ * Whether a template can be used for a cross-check (see services/template-engine.js)
+ * @param {string} content
+ * @returns {boolean}
+ */
+export function isValidTemplate(content) {
+  return typeof content === 'string' && content.trim().length > 0 && validateTemplate(content, 'crossCheck').length === 0;
+}
+
+/**
+ * Parse templates in the prompts.md format
+ * Sections are separated by "---" lines, the first one is the file header;
+ * a section starting with "## " takes that line as its name.
+ * Files written before format 2 (no format in the header) are upgraded
+ * @param {string} markdown
+ * @returns {Array<{name: string, content: string}>} Valid templates only
+ */
+export function parseTemplateMarkdown(markdown) {
+  const [header, ...sections] = (markdown || '')
+    .replace(/\r\n/g, '\n')
+    .split(/^---[ \t]*$/m);
+  const format = Number(header.match(FORMAT_PATTERN)?.[1]) || 1;
+  return sections
+    .map(section => section.trim())
+    .map(section => (format < TEMPLATE_FORMAT ? upgradeTemplate(section) : section))
+    .filter(isValidTemplate)
+    .map(section => {
+      const lines = section.split('\n');
+      if (lines[0].startsWith('## ')) {
+        return { name: lines[0].slice(3).trim(), content: lines.slice(1).join('\n').trim() };
+      }
+      return { name: '', content: section };
+    });
+}
+
+/**
+ * Write templates in the prompts.md format
+ * @param {Array<{name: string, content: string}>} templates
+ * @returns {string}
+ */
+export function formatTemplateMarkdown(templates) {
+  const header = '# Cross-Check Prompt Templates\n\n'
+    + `Prompts for comparing AI responses. The answers are inserted by ${TEMPLATE_PLACEHOLDER} (the recipient's own first), `
+    + `{{OTHER_RESPONSES}} (the other AIs only) or a {{#each}} loop.\n\n<!-- format: ${TEMPLATE_FORMAT} -->\n`;
+  return [header, ...templates.map(template => `## ${template.name}\n\n${template.content.trim()}\n`)].join('\n---\n\n');
+}
+
+/**
+ * Built-in templates, the default one first
+ * @returns {Array<{id: string, name: string, content: string, builtIn: true}>}
+ */
+export function getBuiltInTemplates() {
+  const website = parseTemplateMarkdown(websitePrompts).map((template, index) => ({
+    id: `builtin-${slugify(template.name) || index}`,
+    name: template.name,
+    content: template.content,
+    builtIn: true
+  }));
+  return [
+    { id: DEFAULT_TEMPLATE_ID, name: 'Default', content: DEFAULT_CROSS_CHECK_TEMPLATE, builtIn: true },
+    ...website
+  ];
+}
+
+/**
+ * @param {string} name
+ * @returns {string}
+ */
+function slugify(name) {
+  return name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+/**
+ * Stored library: user templates and the selected template id
+ * The first read imports a template edited with older versions (single key) as a user template,
+ * libraries stored by older versions get their templates upgraded
+ * @returns {{version: number, templates: Array<{id: string, name: string, content: string}>, selectedId: string}}
+ */
+function loadLibrary() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(TEMPLATE_KEYS.LIBRARY) || 'null');
+    if (stored && Array.isArray(stored.templates)) {
+      if (stored.version !== TEMPLATE_FORMAT) {
+        stored.templates.forEach(template => { template.content = upgradeTemplate(template.content); });
+        stored.version = TEMPLATE_FORMAT;
+        saveLibrary(stored);
+      }
+      return stored;
+    }
+  } catch (e) {
+    // Unreadable library, start over from the legacy key
+  }
+
+  const library = { version: TEMPLATE_FORMAT, templates: [], selectedId: DEFAULT_TEMPLATE_ID };
+  const legacy = localStorage.getItem(TEMPLATE_KEYS.LEGACY);
+  // Kept even with tags the template engine does not know: they are left as written
+  if (legacy && legacy.includes('{{OTHER_RESPONSES}}') && upgradeTemplate(legacy) !== DEFAULT_CROSS_CHECK_TEMPLATE) {
+    const template = { id: createTemplateId(), name: 'My template', content: upgradeTemplate(legacy) };
+    library.templates.push(template);
+    library.selectedId = template.id;
+  }
+  saveLibrary(library);
+  return library;
+}
+
+/**
+ * Store the library and mirror the selected template to the legacy key
+ * @param {{templates: Array, selectedId: string}} library
+ */
+function saveLibrary(library) {
+  localStorage.setItem(TEMPLATE_KEYS.LIBRARY, JSON.stringify(library));
+  const selected = library.templates.find(template => template.id === library.selectedId);
+  if (selected) localStorage.setItem(TEMPLATE_KEYS.LEGACY, selected.content);
+  else if (library.selectedId === DEFAULT_TEMPLATE_ID) localStorage.removeItem(TEMPLATE_KEYS.LEGACY);
+  else {
+    const builtIn = getBuiltInTemplates().find(template => template.id === library.selectedId);
+    if (builtIn) localStorage.setItem(TEMPLATE_KEYS.LEGACY, builtIn.content);
+  }
+}
+
+/**
+ * @returns {string}
+ */
+function createTemplateId() {
+  return `template-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+}
+
+/**
+ * All templates, built-in first
+ * @returns {Array<{id: string, name: string, content: string, builtIn?: boolean}>}
+ */
+export function getTemplates() {
+  return [...getBuiltInTemplates(), ...loadLibrary().templates];
+}
+
+/**
+ * Find a template by id
+ * @param {string} id
+ * @returns {Object|null}
+ */
+export function getTemplate(id) {
+  return getTemplates().find(template => template.id === id) || null;
+}
+
+/**
+ * Template used by the next cross-check (the default one if the selection is gone)
+ * @returns {{id: string, name: string, content: string, builtIn?: boolean}}
+ */
+export function getSelectedTemplate() {
+  return getTemplate(loadLibrary().selectedId) || getBuiltInTemplates()[0];
+}
+
+/**
+ * Use a template for the next cross-checks
+ * @param {string} id
+ */
+export function selectTemplate(id) {
+  const library = loadLibrary();
+  if (!getTemplate(id)) return;
+  library.selectedId = id;
+  saveLibrary(library);
+}
+
+/**
+ * Add a user template
+ * @param {string} name
+ * @param {string} content - Must be a valid template
+ * @returns {Object|null} The new template, null when the content is not valid
+ */
+export function createTemplate(name, content) {
+  if (!isValidTemplate(content)) return null;
+  const library = loadLibrary();
+  const template = { id: createTemplateId(), name: name.trim() || 'Untitled', content };
+  library.templates.push(template);
+  saveLibrary(library);
+  return template;
+}
+
+/**
+ * Change the name and/or content of a user template (built-in ones are read-only)
+ * @param {string} id
+ * @param {{name?: string, content?: string}} changes
+ * @returns {boolean} False when the template is built-in, missing, or the content is not valid
+ */
+export function updateTemplate(id, changes) {
+  const library = loadLibrary();
+  const template = library.templates.find(entry => entry.id === id);
+  if (!template) return false;
+  if (changes.content !== undefined && !isValidTemplate(changes.content)) return false;
+  if (changes.name !== undefined) template.name = changes.name;
+  if (changes.content !== undefined) template.content = changes.content;
+  saveLibrary(library);
+  return true;
+}
+
+/**
+ * Copy a template (built-in or not) into a new user template
+ * @param {string} id
+ * @param {string} name - Name of the copy
+ * @returns {Object|null} The copy
+ */
+export function duplicateTemplate(id, name) {
+  const source = getTemplate(id);
+  return source ? createTemplate(name, source.content) : null;
+}
+
+/**
+ * Remove a user template; the default one is selected if it was in use
+ * @param {string} id
+ */
+export function deleteTemplate(id) {
+  const library = loadLibrary();
+  library.templates = library.templates.filter(template => template.id !== id);
+  if (library.selectedId === id) library.selectedId = DEFAULT_TEMPLATE_ID;
+  saveLibrary(library);
+}
+
+/**
+ * Add the templates of a prompts.md file as user templates
+ * @param {string} markdown
+ * @returns {number} Number of templates imported
+ */
+export function importTemplates(markdown) {
+  const parsed = parseTemplateMarkdown(markdown);
+  const library = loadLibrary();
+  parsed.forEach(template => {
+    library.templates.push({ id: createTemplateId(), name: template.name || 'Imported', content: template.content });
+  });
+  if (parsed.length > 0) saveLibrary(library);
+  return parsed.length;
+}
+
+/**
+ * Templates as a prompts.md file
+ * @param {string[]} [ids] - Templates to export (defaults to the user templates)
+ * @returns {string}
+ */
+export function exportTemplates(ids = null) {
+  const templates = ids
+    ? ids.map(getTemplate).filter(Boolean)
+    : loadLibrary().templates;
+  return formatTemplateMarkdown(templates);
+}
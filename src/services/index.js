@@ -7,3 +7,9 @@
  */
 
 export * from './settings.js';
+export * from './usage.js';
+export * from './attachments.js';
+export * from './context-window.js';
+export * from './chat-branches.js';
+export * from './crosscheck-templates.js';
+export * from './template-engine.js';
@@ -12,19 +12,54 @@
  * @module @services/settings
  */
 
+/**
+ * Provider adapters registered in OnePromptCore (core-bridge.js)
+ * @returns {Array} Provider adapters, empty if the bridge is not loaded
+ */
+function getProviders() {
+  const core = window.OnePromptCore;
+  return core && typeof core.getProviders === 'function' ? core.getProviders() : [];
+}
+
+/**
+ * API key and model keys for every registered provider
+ * e.g. API_OPENAI: 'oneprompt-api-openai', MODEL_OPENAI: 'oneprompt-model-openai'
+ */
+function getProviderSettingsKeys() {
+  const keys = {};
+  getProviders().forEach(provider => {
+    const name = provider.storageId.toUpperCase().replace(/[^A-Z0-9]/g, '_');
+    keys[`API_${name}`] = `oneprompt-api-${provider.storageId}`;
+    keys[`MODEL_${name}`] = `oneprompt-model-${provider.storageId}`;
+  });
+  return keys;
+}
+
 /**
  * Settings keys for localStorage
  */
 export const SETTINGS_KEYS = {
-  // API Keys (BYOK)
-  API_OPENAI: 'oneprompt-api-openai',
-  API_ANTHROPIC: 'oneprompt-api-anthropic',
-  API_GEMINI: 'oneprompt-api-gemini',
+  // API Keys and Selected Models (BYOK), one pair per provider adapter
+  ...getProviderSettingsKeys(),
+
+  // System prompt
+  CUSTOM_INSTRUCTIONS: 'oneprompt-custom-instructions',
+
+  // API retries
+  API_RETRY_ATTEMPTS: 'oneprompt-retry-attempts',
+  API_RETRY_MAX_DELAY: 'oneprompt-retry-max-delay',
+
+  // Web search tools (API mode)
+  WEB_SEARCH_ENABLED: 'oneprompt-web-search-enabled',
+  WEB_SEARCH_MAX_USES: 'oneprompt-web-search-max-uses',
 
-  // Selected Models
-  MODEL_OPENAI: 'oneprompt-model-openai',
-  MODEL_ANTHROPIC: 'oneprompt-model-anthropic',
-  MODEL_GEMINI: 'oneprompt-model-gemini',
+  // Context window (API mode)
+  CONTEXT_MAX_TOKENS: 'oneprompt-context-max-tokens',
+  CONTEXT_SUMMARIZE: 'oneprompt-context-summarize',
+
+  // Reasoning output (API mode)
+  THINKING_ENABLED: 'oneprompt-thinking-enabled',
+  THINKING_CROSS_CHECK: 'oneprompt-thinking-cross-check',
 
   // UI Preferences
   LANGUAGE: 'oneprompt-language',
@@ -41,7 +76,15 @@ export const SETTINGS_KEYS = {
   SESSION_COUNTER: 'oneprompt-session-counter',
 
   // Cross-check
-  CROSSCHECK_TEMPLATE: 'oneprompt-crosscheck-template'
+  CROSSCHECK_TEMPLATE: 'oneprompt-crosscheck-template',
+  CROSSCHECK_TEMPLATES: 'oneprompt-crosscheck-templates',
+
+  // Synthesis (judge)
+  JUDGE_TEMPLATE: 'oneprompt-judge-template',
+  JUDGE_MODEL: 'oneprompt-judge-model',
+
+  // Debate
+  DEBATE_ROUNDS: 'oneprompt-debate-rounds'
 };
 
 /**
@@ -90,47 +133,50 @@ export function isBYOKEnabled() {
   return true; // Always true in open source
 }
 
+/**
+ * API keys (oneprompt-api-*) go through the bridge, which keeps them
+ * encrypted with the OS keychain when available
+ */
+function isApiKeySetting(key) {
+  return key.startsWith('oneprompt-api-') && typeof window.OnePromptCore?.writeStoredKey === 'function';
+}
+
+/**
+ * Find the provider adapter stored under a storage id (openai, anthropic, gemini, ...)
+ */
+function findProviderByStorageId(storageId) {
+  return getProviders().find(provider => provider.storageId === storageId) || null;
+}
+
 /**
  * Check if a specific API key is configured
  */
 export function hasApiKey(aiKey) {
-  const keyMap = {
-    chatgpt: SETTINGS_KEYS.API_OPENAI,
-    claude: SETTINGS_KEYS.API_ANTHROPIC,
-    gemini: SETTINGS_KEYS.API_GEMINI
-  };
-
-  const storageKey = keyMap[aiKey];
-  if (!storageKey) return false;
+  const core = window.OnePromptCore;
+  if (!core || typeof core.getApiKey !== 'function') return false;
 
-  const value = localStorage.getItem(storageKey);
-  return value !== null && value.length > 0;
+  const value = core.getApiKey(aiKey);
+  return typeof value === 'string' && value.length > 0;
 }
 
 /**
- * Get all API key settings
+ * Get all API key settings, keyed by provider storage id
  */
 export function getApiKeySettings() {
-  return {
-    openai: getSetting(SETTINGS_KEYS.API_OPENAI, ''),
-    anthropic: getSetting(SETTINGS_KEYS.API_ANTHROPIC, ''),
-    gemini: getSetting(SETTINGS_KEYS.API_GEMINI, '')
-  };
+  const settings = {};
+  getProviders().forEach(provider => {
+    settings[provider.storageId] = window.OnePromptCore.readStoredKey(`oneprompt-api-${provider.storageId}`) || '';
+  });
+  return settings;
 }
 
 /**
  * Save API key
  */
 export function saveApiKey(provider, key) {
-  const keyMap = {
-    openai: SETTINGS_KEYS.API_OPENAI,
-    anthropic: SETTINGS_KEYS.API_ANTHROPIC,
-    gemini: SETTINGS_KEYS.API_GEMINI
-  };
-
-  const storageKey = keyMap[provider];
-  if (storageKey) {
-    setSetting(storageKey, key);
+  const adapter = findProviderByStorageId(provider);
+  if (adapter) {
+    window.OnePromptCore.setApiKey(adapter.id, key);
   }
 }
 
@@ -138,15 +184,9 @@ export function saveApiKey(provider, key) {
  * Save model selection
  */
 export function saveModelSelection(provider, modelId) {
-  const keyMap = {
-    openai: SETTINGS_KEYS.MODEL_OPENAI,
-    anthropic: SETTINGS_KEYS.MODEL_ANTHROPIC,
-    gemini: SETTINGS_KEYS.MODEL_GEMINI
-  };
-
-  const storageKey = keyMap[provider];
-  if (storageKey) {
-    setSetting(storageKey, modelId);
+  const adapter = findProviderByStorageId(provider);
+  if (adapter) {
+    window.OnePromptCore.setSelectedModel(adapter.id, modelId);
   }
 }
 
@@ -155,12 +195,17 @@ export function saveModelSelection(provider, modelId) {
  */
 export function clearAllSettings() {
   Object.values(SETTINGS_KEYS).forEach(key => {
-    localStorage.removeItem(key);
+    if (isApiKeySetting(key)) {
+      window.OnePromptCore.writeStoredKey(key, '');
+    } else {
+      localStorage.removeItem(key);
+    }
   });
 }
 
 /**
  * Export settings for backup
+ * API keys are only included while they are stored unencrypted
  */
 export function exportSettings() {
   const settings = {};
@@ -179,7 +224,9 @@ export function exportSettings() {
 export function importSettings(settings) {
   Object.entries(settings).forEach(([name, value]) => {
     const key = SETTINGS_KEYS[name];
-    if (key) {
+    if (key && isApiKeySetting(key)) {
+      window.OnePromptCore.writeStoredKey(key, value);
+    } else if (key) {
       localStorage.setItem(key, value);
     }
   });
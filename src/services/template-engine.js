@@ -0,0 +1,277 @@
+/**
+ * Template Engine Service module
+ *
+ * Small template language of the cross-check and synthesis (judge) prompts:
+ * - Variables: {{ORIGINAL_PROMPT}}, {{LANGUAGE}}, {{DATE}}, ... (see TEMPLATE_SCHEMAS)
+ * - Answer of one AI: {{RESPONSE:claude}} (service key, empty when that AI has no answer)
+ * - Loops: {{#each RESPONSES}} ... {{/each}}, with {{NAME}}, {{AI_KEY}}, {{TEXT}},
+ *   {{THINKING}}, {{INDEX}} and {{IS_OWN}} inside
+ * - Conditionals: {{#if OWN_RESPONSE}} ... {{else}} ... {{/if}} (true when not empty)
+ * A block tag alone on its line takes the whole line, so blocks can be laid out freely.
+ * Values are inserted as they are: answers containing {{...}} are never parsed.
+ *
+ * @module @services/template-engine
+ */
+
+import { getCurrentLanguage, LANGUAGE_CONFIG } from '../core/i18n.js';
+
+/**
+ * Variables of a response inside {{#each}}
+ */
+export const LOOP_VARIABLES = ['NAME', 'AI_KEY', 'TEXT', 'THINKING', 'INDEX', 'IS_OWN'];
+
+const COMMON_VARIABLES = ['ORIGINAL_PROMPT', 'LANGUAGE', 'DATE'];
+
+/**
+ * What each kind of template can use
+ * - variables: {{NAME}} tags
+ * - lists: what {{#each}} can loop over
+ * - required: the template must use one of these (or {{RESPONSE:...}}), otherwise no answer reaches the model
+ * - hint: i18n key of a note on the variables shown in the syntax help
+ * OTHER_RESPONSES never holds the recipient's own answer, as a variable or a list;
+ * ALL_RESPONSES is the formatted block of every answer, the recipient's own first
+ */
+export const TEMPLATE_SCHEMAS = {
+  crossCheck: {
+    variables: [...COMMON_VARIABLES, 'RECIPIENT_NAME', 'OWN_RESPONSE', 'OTHER_RESPONSES', 'ALL_RESPONSES'],
+    lists: ['RESPONSES', 'OTHER_RESPONSES'],
+    required: ['OTHER_RESPONSES', 'ALL_RESPONSES', 'RESPONSES'],
+    hint: 'template.help.crossCheck'
+  },
+  judge: {
+    variables: [...COMMON_VARIABLES, 'RESPONSES'],
+    lists: ['RESPONSES'],
+    required: ['RESPONSES']
+  }
+};
+
+const TAG_PATTERN = /\{\{\s*([^{}]*?)\s*\}\}/g;
+
+/**
+ * Split a template into text and tags
+ * Block tags alone on their line swallow the line (indentation and line break)
+ * @param {string} template
+ * @returns {Array<{type: 'text'|'tag', value: string, line: number}>}
+ */
+function tokenize(template) {
+  const tokens = [];
+  let last = 0;
+  let match;
+  TAG_PATTERN.lastIndex = 0;
+  while ((match = TAG_PATTERN.exec(template)) !== null) {
+    const tag = match[1];
+    let start = match.index;
+    let end = TAG_PATTERN.lastIndex;
+
+    if (/^[#/]|^else$/.test(tag)) {
+      const lineStart = template.lastIndexOf('\n', start - 1) + 1;
+      const after = template.slice(end).match(/^[ \t]*(\r?\n|$)/);
+      if (after && lineStart >= last && /^[ \t]*$/.test(template.slice(lineStart, start))) {
+        start = lineStart;
+        end += after[0].length;
+      }
+    }
+
+    if (start > last) tokens.push({ type: 'text', value: template.slice(last, start) });
+    tokens.push({ type: 'tag', value: tag, raw: match[0], line: template.slice(0, match.index).split('\n').length });
+    last = end;
+    TAG_PATTERN.lastIndex = end;
+  }
+  if (last < template.length) tokens.push({ type: 'text', value: template.slice(last) });
+  return tokens;
+}
+
+/**
+ * Parse a template into a tree and collect its errors
+ * @param {string} template
+ * @param {string} [kind='crossCheck'] - Key of TEMPLATE_SCHEMAS
+ * @returns {{nodes: Array, errors: Array<{code: string, token?: string, line?: number}>}}
+ */
+export function parseTemplate(template, kind = 'crossCheck') {
+  const schema = TEMPLATE_SCHEMAS[kind];
+  const errors = [];
+  const root = { children: [] };
+  // Open blocks, innermost last
+  const stack = [root];
+  let usesResponses = false;
+
+  const current = () => {
+    const block = stack[stack.length - 1];
+    return block.inElse ? block.otherwise : block.children;
+  };
+  const inLoop = () => stack.some(block => block.type === 'each');
+
+  // Check a variable reference, returns the node to render
+  const checkVariable = (name, token) => {
+    if (name.startsWith('RESPONSE:')) {
+      const aiKey = name.slice('RESPONSE:'.length).trim();
+      if (!aiKey) errors.push({ code: 'missingAiKey', token: token.raw, line: token.line });
+      usesResponses = true;
+      return { type: 'response', aiKey };
+    }
+    if (LOOP_VARIABLES.includes(name)) {
+      if (!inLoop()) errors.push({ code: 'loopOnly', token: token.raw, line: token.line });
+      return { type: 'variable', name };
+    }
+    if (!schema.variables.includes(name)) {
+      errors.push({ code: 'unknownVariable', token: token.raw, line: token.line });
+      return { type: 'text', value: token.raw };
+    }
+    if (schema.required.includes(name)) usesResponses = true;
+    return { type: 'variable', name };
+  };
+
+  tokenize(template || '').forEach(token => {
+    if (token.type === 'text') {
+      current().push({ type: 'text', value: token.value });
+      return;
+    }
+
+    const [keyword, ...rest] = token.value.split(/\s+/);
+    const argument = rest.join(' ');
+
+    if (keyword === '#each') {
+      if (!schema.lists.includes(argument)) {
+        errors.push({ code: 'unknownList', token: token.raw, line: token.line });
+      } else if (schema.required.includes(argument)) {
+        usesResponses = true;
+      }
+      const block = { type: 'each', list: argument, children: [], token };
+      current().push(block);
+      stack.push(block);
+    } else if (keyword === '#if') {
+      const condition = argument ? checkVariable(argument, token) : null;
+      if (!argument) errors.push({ code: 'missingCondition', token: token.raw, line: token.line });
+      const block = { type: 'if', condition, children: [], otherwise: [], token };
+      current().push(block);
+      stack.push(block);
+    } else if (keyword === 'else') {
+      const block = stack[stack.length - 1];
+      if (block.type !== 'if' || block.inElse) {
+        errors.push({ code: 'unexpectedElse', token: token.raw, line: token.line });
+      } else {
+        block.inElse = true;
+      }
+    } else if (keyword === '/each' || keyword === '/if') {
+      const block = stack[stack.length - 1];
+      if (block.type !== keyword.slice(1)) {
+        errors.push({ code: 'unexpectedClose', token: token.raw, line: token.line });
+      } else {
+        stack.pop();
+      }
+    } else if (keyword.startsWith('#') || keyword.startsWith('/')) {
+      errors.push({ code: 'unknownBlock', token: token.raw, line: token.line });
+    } else {
+      current().push(checkVariable(token.value, token));
+    }
+  });
+
+  stack.slice(1).forEach(block => {
+    errors.push({ code: 'unclosedBlock', token: block.token.raw, line: block.token.line });
+  });
+  if (!usesResponses) {
+    errors.push({ code: 'missingResponses', token: `{{${schema.required[0]}}}` });
+  }
+
+  return { nodes: root.children, errors };
+}
+
+/**
+ * Errors of a template, empty when it can be used
+ * @param {string} template
+ * @param {string} [kind='crossCheck'] - Key of TEMPLATE_SCHEMAS
+ * @returns {Array<{code: string, token?: string, line?: number}>}
+ */
+export function validateTemplate(template, kind = 'crossCheck') {
+  return parseTemplate(template, kind).errors;
+}
+
+/**
+ * Error message for the settings editor
+ * @param {{code: string, token?: string, line?: number}} error
+ * @param {Function} t - i18n function, messages are template.error.<code>
+ * @returns {string}
+ */
+export function formatTemplateError(error, t) {
+  const message = t(`template.error.${error.code}`, { token: error.token || '' });
+  return error.line ? t('template.error.line', { line: error.line, message }) : message;
+}
+
+/**
+ * Name of the app language, for {{LANGUAGE}}
+ * @returns {string}
+ */
+export function getLanguageName() {
+  const code = getCurrentLanguage() || 'en';
+  return LANGUAGE_CONFIG.find(language => language.code === code)?.name || code;
+}
+
+/**
+ * Render context for a set of answers
+ * @param {Object} options
+ * @param {Array<{aiKey: string, name: string, text: string, thinking?: string|null}>} options.responses
+ * @param {string|null} [options.recipientKey] - AI the prompt is sent to (its answer is the "own" one)
+ * @param {Object} [options.variables] - Other variables (ORIGINAL_PROMPT, formatted sections...)
+ * @returns {{variables: Object, lists: Object, responses: Object}}
+ */
+export function buildTemplateContext({ responses, recipientKey = null, variables = {} }) {
+  const toItem = (response, index) => ({
+    NAME: response.name,
+    AI_KEY: response.aiKey,
+    TEXT: response.text,
+    THINKING: response.thinking || '',
+    INDEX: String(index + 1),
+    IS_OWN: response.aiKey === recipientKey ? 'true' : ''
+  });
+  const own = responses.find(response => response.aiKey === recipientKey);
+  const language = getCurrentLanguage() || 'en';
+
+  return {
+    variables: {
+      LANGUAGE: getLanguageName(),
+      DATE: new Date().toLocaleDateString(language, { year: 'numeric', month: 'long', day: 'numeric' }),
+      RECIPIENT_NAME: own?.name || '',
+      OWN_RESPONSE: own?.text || '',
+      ...variables
+    },
+    lists: {
+      RESPONSES: responses.map(toItem),
+      OTHER_RESPONSES: responses.filter(response => response.aiKey !== recipientKey).map(toItem)
+    },
+    responses: Object.fromEntries(responses.map(response => [response.aiKey.toLowerCase(), response.text]))
+  };
+}
+
+/**
+ * Render a template; tags with errors are left as written
+ * @param {string} template
+ * @param {{variables: Object, lists: Object, responses: Object}} context - As returned by buildTemplateContext
+ * @param {string} [kind='crossCheck'] - Key of TEMPLATE_SCHEMAS
+ * @returns {string}
+ */
+export function renderTemplate(template, context, kind = 'crossCheck') {
+  const { nodes } = parseTemplate(template, kind);
+
+  const resolve = (node, item) => {
+    if (node.type === 'response') return context.responses[node.aiKey.toLowerCase()] || '';
+    if (item && LOOP_VARIABLES.includes(node.name)) return item[node.name] || '';
+    return context.variables[node.name] || '';
+  };
+
+  const render = (list, item) => list.map(node => {
+    switch (node.type) {
+      case 'text':
+        return node.value;
+      case 'each':
+        return (context.lists[node.list] || []).map(entry => render(node.children, entry)).join('');
+      case 'if':
+        return node.condition && resolve(node.condition, item).trim()
+          ? render(node.children, item)
+          : render(node.otherwise, item);
+      default:
+        return resolve(node, item);
+    }
+  }).join('');
+
+  return render(nodes, null);
+}
@@ -0,0 +1,215 @@
+/**
+ * Usage Service module
+ *
+ * Token usage and cost tracking for API mode.
+ * - Per-model price table (defaults come from the provider adapters, user overrides in localStorage)
+ * - Per-session totals (stored on the session as usageTotals)
+ * - Per-month totals (kept outside sessions so deleting a session does not hide spending)
+ *
+ * @module @services/usage
+ */
+
+/**
+ * localStorage keys
+ */
+export const USAGE_KEYS = {
+  PRICES: 'oneprompt-model-prices',
+  MONTHLY_TOTALS: 'oneprompt-usage-totals'
+};
+
+// ============================================================
+// PRICE TABLE
+// Prices are USD per 1M tokens: { input, output }
+// ============================================================
+
+/**
+ * Default prices declared by the registered provider adapters
+ * @returns {Object<string, {input: number, output: number}>}
+ */
+export function getDefaultPrices() {
+  const prices = {};
+  const core = window.OnePromptCore;
+  if (!core || typeof core.getProviders !== 'function') return prices;
+
+  core.getProviders().forEach(provider => {
+    provider.models.forEach(model => {
+      if (model.pricing) {
+        prices[model.id] = { input: model.pricing.input, output: model.pricing.output };
+      }
+    });
+  });
+  return prices;
+}
+
+/**
+ * Get user price overrides
+ * @returns {Object<string, {input: number, output: number}>}
+ */
+export function getPriceOverrides() {
+  try {
+    const overrides = JSON.parse(localStorage.getItem(USAGE_KEYS.PRICES) || '{}');
+    return overrides && typeof overrides === 'object' ? overrides : {};
+  } catch (e) {
+    return {};
+  }
+}
+
+/**
+ * Get the effective price table (defaults merged with user overrides)
+ * @returns {Object<string, {input: number, output: number}>}
+ */
+export function getPriceTable() {
+  return { ...getDefaultPrices(), ...getPriceOverrides() };
+}
+
+/**
+ * Override the price of a model
+ * @param {string} modelId
+ * @param {{input: number, output: number}} price - USD per 1M tokens
+ */
+export function setModelPrice(modelId, price) {
+  const overrides = getPriceOverrides();
+  overrides[modelId] = {
+    input: Math.max(Number(price.input) || 0, 0),
+    output: Math.max(Number(price.output) || 0, 0)
+  };
+  localStorage.setItem(USAGE_KEYS.PRICES, JSON.stringify(overrides));
+}
+
+/**
+ * Drop all price overrides (back to adapter defaults)
+ */
+export function resetPrices() {
+  localStorage.removeItem(USAGE_KEYS.PRICES);
+}
+
+/**
+ * Cost of a response
+ * @param {string} modelId
+ * @param {{inputTokens: number, outputTokens: number}} usage
+ * @returns {number|null} USD, null when the model has no price
+ */
+export function calculateCost(modelId, usage) {
+  const price = getPriceTable()[modelId];
+  if (!price) return null;
+  return ((usage.inputTokens || 0) * price.input + (usage.outputTokens || 0) * price.output) / 1e6;
+}
+
+// ============================================================
+// TOTALS
+// Totals are keyed by model: { aiKey, inputTokens, outputTokens, cost, requests }
+// ============================================================
+
+/**
+ * Add a usage entry to a totals map (mutates the map)
+ * @param {Object} totals - Map keyed by model id
+ * @param {string} aiKey
+ * @param {Object} entry - { model, inputTokens, outputTokens, cost }
+ */
+function addToTotals(totals, aiKey, entry) {
+  const key = entry.model || aiKey;
+  if (!totals[key]) {
+    totals[key] = { aiKey, inputTokens: 0, outputTokens: 0, cost: 0, requests: 0 };
+  }
+  const row = totals[key];
+  row.inputTokens += entry.inputTokens || 0;
+  row.outputTokens += entry.outputTokens || 0;
+  row.cost += entry.cost || 0;
+  row.requests += 1;
+}
+
+/**
+ * Current month key (local time)
+ * @param {Date} [date]
+ * @returns {string} YYYY-MM
+ */
+export function getMonthKey(date = new Date()) {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+}
+
+/**
+ * Get the per-month totals
+ * @returns {Object<string, Object>} Map of YYYY-MM -> totals keyed by model
+ */
+export function getMonthlyTotals() {
+  try {
+    const totals = JSON.parse(localStorage.getItem(USAGE_KEYS.MONTHLY_TOTALS) || '{}');
+    return totals && typeof totals === 'object' ? totals : {};
+  } catch (e) {
+    return {};
+  }
+}
+
+/**
+ * Clear the per-month totals
+ */
+export function clearMonthlyTotals() {
+  localStorage.removeItem(USAGE_KEYS.MONTHLY_TOTALS);
+}
+
+/**
+ * Price a response and add it to the session and monthly totals
+ * The caller is responsible for saving the session
+ * @param {Object} session - Session the response belongs to
+ * @param {string} aiKey - Service that answered
+ * @param {{model: string, inputTokens: number, outputTokens: number}} usage - Usage reported by the provider
+ * @returns {{model: string, inputTokens: number, outputTokens: number, cost: number|null}} Entry to store with the message
+ */
+export function recordUsage(session, aiKey, usage) {
+  const entry = {
+    model: usage.model || null,
+    inputTokens: usage.inputTokens || 0,
+    outputTokens: usage.outputTokens || 0,
+    cost: calculateCost(usage.model, usage)
+  };
+
+  if (session) {
+    if (!session.usageTotals) session.usageTotals = {};
+    addToTotals(session.usageTotals, aiKey, entry);
+  }
+
+  const monthly = getMonthlyTotals();
+  const month = getMonthKey();
+  if (!monthly[month]) monthly[month] = {};
+  addToTotals(monthly[month], aiKey, entry);
+  localStorage.setItem(USAGE_KEYS.MONTHLY_TOTALS, JSON.stringify(monthly));
+
+  return entry;
+}
+
+/**
+ * Sum a totals map
+ * @param {Object} totals - Map keyed by model id
+ * @returns {{inputTokens: number, outputTokens: number, cost: number, requests: number}}
+ */
+export function sumTotals(totals = {}) {
+  return Object.values(totals).reduce((sum, row) => ({
+    inputTokens: sum.inputTokens + row.inputTokens,
+    outputTokens: sum.outputTokens + row.outputTokens,
+    cost: sum.cost + row.cost,
+    requests: sum.requests + row.requests
+  }), { inputTokens: 0, outputTokens: 0, cost: 0, requests: 0 });
+}
+
+// ============================================================
+// FORMATTING
+// ============================================================
+
+/**
+ * Format a token count (1234 -> "1,234")
+ * @param {number} count
+ * @returns {string}
+ */
+export function formatTokens(count) {
+  return new Intl.NumberFormat().format(count || 0);
+}
+
+/**
+ * Format a USD cost, keeping precision for fractions of a cent
+ * @param {number|null} cost
+ * @returns {string} Empty string when the cost is unknown
+ */
+export function formatCost(cost) {
+  if (cost === null || cost === undefined) return '';
+  return `$${cost.toFixed(cost > 0 && cost < 0.01 ? 4 : 2)}`;
+}
@@ -0,0 +1,206 @@
+/**
+ * Attachment Tray Module
+ * Files dropped, pasted or picked in the prompt area (API mode), shown as chips
+ * above the prompt until the next send
+ *
+ * Usage:
+ * 1. Import in renderer-entry.js
+ * 2. Call initAttachmentTray() with config object
+ * 3. Call takeAttachments() when sending, it stores the files and empties the tray
+ */
+
+import { readAttachment, saveAttachment, formatFileSize } from '../services/attachments.js';
+
+const logger = window.OnePromptLogger || console;
+
+// Module state - initialized via initAttachmentTray()
+let container = null;
+let isEnabled = () => true;
+let onChangeFn = () => {};
+let showNotification = () => {};
+let t = (key) => key;
+
+// Files read but not sent yet, and reads still in progress
+let pending = [];
+let reading = [];
+
+/**
+ * Initialize the attachment tray
+ * @param {Object} config - Configuration object
+ * @param {HTMLElement} config.container - Element the chips are rendered into
+ * @param {HTMLElement} config.dropZone - Element accepting dropped files
+ * @param {HTMLTextAreaElement} config.promptInput - Prompt textarea (pasted files)
+ * @param {HTMLInputElement} [config.fileInput] - Hidden file input of the attach button
+ * @param {HTMLElement} [config.attachButton] - Button opening the file picker
+ * @param {Function} [config.isEnabled] - Whether attachments are accepted (API mode)
+ * @param {Function} [config.onChange] - Called after the tray content changes
+ * @param {Function} [config.showNotification] - (message, type) => void
+ * @param {Function} [config.t] - i18n function
+ */
+export function initAttachmentTray(config) {
+  container = config.container;
+  if (config.isEnabled) isEnabled = config.isEnabled;
+  if (config.onChange) onChangeFn = config.onChange;
+  if (config.showNotification) showNotification = config.showNotification;
+  if (config.t) t = config.t;
+
+  const dropZone = config.dropZone;
+  if (dropZone) {
+    const hasFiles = (e) => Array.from(e.dataTransfer?.types || []).includes('Files');
+
+    dropZone.addEventListener('dragover', (e) => {
+      if (!hasFiles(e)) return;
+      // Without this Electron navigates to the dropped file
+      e.preventDefault();
+      dropZone.classList.toggle('attachments-drag-over', isEnabled());
+    });
+    dropZone.addEventListener('dragleave', (e) => {
+      if (!dropZone.contains(e.relatedTarget)) dropZone.classList.remove('attachments-drag-over');
+    });
+    dropZone.addEventListener('drop', (e) => {
+      if (!hasFiles(e)) return;
+      e.preventDefault();
+      dropZone.classList.remove('attachments-drag-over');
+      addFiles(e.dataTransfer.files);
+    });
+  }
+
+  if (config.promptInput) {
+    config.promptInput.addEventListener('paste', (e) => {
+      const files = e.clipboardData?.files;
+      if (!files || files.length === 0 || !isEnabled()) return;
+      // Screenshots come as files only, keep normal text pastes working
+      if (!e.clipboardData.getData('text/plain')) e.preventDefault();
+      addFiles(files);
+    });
+  }
+
+  if (config.attachButton && config.fileInput) {
+    config.attachButton.addEventListener('click', () => config.fileInput.click());
+    config.fileInput.addEventListener('change', () => {
+      addFiles(config.fileInput.files);
+      config.fileInput.value = '';
+    });
+  }
+
+  renderAttachmentTray();
+  logger.log('[AttachmentTray] Module initialized');
+}
+
+/**
+ * Read files into the tray, skipping unsupported or oversized ones
+ * @param {FileList|File[]} files
+ */
+export function addFiles(files) {
+  if (!isEnabled()) {
+    showNotification(t('attachments.apiOnly'), 'error');
+    return;
+  }
+
+  Array.from(files || []).forEach(file => {
+    const read = readAttachment(file)
+      .then(attachment => {
+        if (!pending.some(existing => existing.id === attachment.id)) {
+          pending.push(attachment);
+        }
+      })
+      .catch(error => {
+        const reason = error.message === 'tooLarge' ? 'attachments.tooLarge' : 'attachments.unsupported';
+        showNotification(t(reason, { name: file.name }), 'error');
+      })
+      .finally(() => {
+        reading = reading.filter(item => item !== read);
+        renderAttachmentTray();
+      });
+    reading.push(read);
+  });
+  renderAttachmentTray();
+}
+
+/**
+ * Number of files waiting in the tray (including files still being read)
+ * @returns {number}
+ */
+export function getAttachmentCount() {
+  return pending.length + reading.length;
+}
+
+/**
+ * Store the tray files and empty it
+ * @returns {Promise<Array>} History references of the stored files
+ */
+export async function takeAttachments() {
+  await Promise.all(reading);
+  const attachments = pending;
+  pending = [];
+  renderAttachmentTray();
+
+  const refs = [];
+  for (const attachment of attachments) {
+    try {
+      refs.push(await saveAttachment(attachment));
+    } catch (error) {
+      logger.error('[AttachmentTray] Could not store attachment:', error);
+      showNotification(t('attachments.saveError', { name: attachment.name }), 'error');
+    }
+  }
+  return refs;
+}
+
+/**
+ * Render the tray chips
+ */
+export function renderAttachmentTray() {
+  if (!container) return;
+
+  container.innerHTML = '';
+  pending.forEach(attachment => {
+    container.appendChild(createAttachmentChip(attachment, () => {
+      pending = pending.filter(item => item !== attachment);
+      renderAttachmentTray();
+    }));
+  });
+  if (reading.length > 0) {
+    const loading = document.createElement('span');
+    loading.className = 'attachment-chip attachment-chip-loading';
+    loading.textContent = t('attachments.reading');
+    container.appendChild(loading);
+  }
+  container.style.display = container.childElementCount > 0 ? 'flex' : 'none';
+  onChangeFn();
+}
+
+/**
+ * Chip for an attachment: thumbnail for images, name and size for other files
+ * Also used for the attachments of user bubbles
+ * @param {{name: string, size: number, kind: string, thumbnail?: string|null}} attachment
+ * @param {Function} [onRemove] - Adds a remove button when set
+ * @returns {HTMLElement}
+ */
+export function createAttachmentChip(attachment, onRemove = null) {
+  const chip = document.createElement('span');
+  chip.className = `attachment-chip attachment-chip-${attachment.kind}`;
+  chip.title = `${attachment.name} · ${formatFileSize(attachment.size)}`;
+
+  if (attachment.thumbnail) {
+    const image = document.createElement('img');
+    image.src = attachment.thumbnail;
+    image.alt = attachment.name;
+    chip.appendChild(image);
+  } else {
+    const label = document.createElement('span');
+    label.className = 'attachment-chip-name';
+    label.textContent = `${attachment.kind === 'pdf' ? 'PDF' : 'TXT'} · ${attachment.name}`;
+    chip.appendChild(label);
+  }
+
+  if (onRemove) {
+    const remove = document.createElement('button');
+    remove.className = 'attachment-chip-remove';
+    remove.textContent = '×';
+    remove.title = t('attachments.remove');
+    remove.addEventListener('click', onRemove);
+    chip.appendChild(remove);
+  }
+  return chip;
+}
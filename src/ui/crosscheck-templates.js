@@ -0,0 +1,267 @@
+/**
+ * Cross-Check Templates Module
+ * Template manager of the "Cross Check" settings tab (create, edit, duplicate,
+ * delete, import and export named templates) and the template picker of the prompt bar
+ *
+ * Usage:
+ * 1. Import in renderer-entry.js
+ * 2. Call initCrossCheckTemplates() with config object
+ * 3. Call renderTemplateManager() when the settings modal opens
+ */
+
+import {
+  DEFAULT_TEMPLATE_ID,
+  getTemplates,
+  getTemplate,
+  getSelectedTemplate,
+  selectTemplate,
+  createTemplate,
+  updateTemplate,
+  duplicateTemplate,
+  deleteTemplate,
+  importTemplates,
+  exportTemplates
+} from '../services/crosscheck-templates.js';
+import { initTemplateEditor } from './template-editor.js';
+
+const logger = window.OnePromptLogger || console;
+
+// Module state - initialized via initCrossCheckTemplates()
+let container = null;
+let picker = null;
+let showNotification = () => {};
+let getPreview = null;
+let t = (key) => key;
+
+// Template shown in the manager (not necessarily the one in use)
+let editingId = null;
+
+/**
+ * Initialize the template manager and picker
+ * @param {Object} config - Configuration object
+ * @param {HTMLElement} config.container - Element the manager is rendered into
+ * @param {HTMLSelectElement} [config.picker] - Template picker of the prompt bar
+ * @param {Function} [config.showNotification] - Notification function
+ * @param {Function} [config.getPreview] - (template) => { text, sample }, for the live preview
+ * @param {Function} [config.t] - i18n function
+ */
+export function initCrossCheckTemplates(config) {
+  container = config.container;
+  picker = config.picker || null;
+  if (config.showNotification) showNotification = config.showNotification;
+  if (config.getPreview) getPreview = config.getPreview;
+  if (config.t) t = config.t;
+
+  if (picker) {
+    picker.addEventListener('change', () => {
+      selectTemplate(picker.value);
+      renderTemplateManager();
+    });
+  }
+
+  renderTemplatePicker();
+  renderTemplateManager();
+  logger.log('[CrossCheckTemplates] Module initialized');
+}
+
+/**
+ * Name shown for a template (the default one is translated)
+ * @param {Object} template
+ * @returns {string}
+ */
+function getTemplateLabel(template) {
+  if (template.id === DEFAULT_TEMPLATE_ID) return t('settings.crosscheck.templates.default');
+  return template.name.trim() || t('settings.crosscheck.templates.untitled');
+}
+
+/**
+ * Fill a select with every template, built-in ones grouped first
+ * @param {HTMLSelectElement} select
+ * @param {string} value - Template id to select
+ */
+function fillTemplateOptions(select, value) {
+  select.innerHTML = '';
+  const templates = getTemplates();
+  [
+    [t('settings.crosscheck.templates.builtIn'), templates.filter(template => template.builtIn)],
+    [t('settings.crosscheck.templates.mine'), templates.filter(template => !template.builtIn)]
+  ].forEach(([label, group]) => {
+    if (group.length === 0) return;
+    const optgroup = document.createElement('optgroup');
+    optgroup.label = label;
+    group.forEach(template => {
+      const option = document.createElement('option');
+      option.value = template.id;
+      option.textContent = getTemplateLabel(template);
+      optgroup.appendChild(option);
+    });
+    select.appendChild(optgroup);
+  });
+  select.value = value;
+}
+
+/**
+ * Render the template picker of the prompt bar
+ */
+export function renderTemplatePicker() {
+  if (!picker) return;
+  fillTemplateOptions(picker, getSelectedTemplate().id);
+  picker.title = t('crosscheck.template.tooltip');
+}
+
+/**
+ * Render the template manager
+ */
+export function renderTemplateManager() {
+  if (!container) return;
+  container.innerHTML = '';
+
+  const template = getTemplate(editingId) || getSelectedTemplate();
+  editingId = template.id;
+  const inUse = getSelectedTemplate().id === template.id;
+
+  // Template list and list actions
+  const listRow = document.createElement('div');
+  listRow.className = 'crosscheck-templates-row';
+  const select = document.createElement('select');
+  select.className = 'settings-select';
+  fillTemplateOptions(select, template.id);
+  select.addEventListener('change', () => {
+    editingId = select.value;
+    renderTemplateManager();
+  });
+  listRow.appendChild(select);
+
+  listRow.appendChild(createButton(t('settings.crosscheck.templates.new'), () => {
+    const created = createTemplate(t('settings.crosscheck.templates.newName'), getTemplate(DEFAULT_TEMPLATE_ID).content);
+    editTemplate(created.id);
+  }));
+  listRow.appendChild(createButton(t('settings.crosscheck.templates.duplicate'), () => {
+    const copy = duplicateTemplate(template.id, t('settings.crosscheck.templates.copyName', { name: getTemplateLabel(template) }));
+    if (copy) editTemplate(copy.id);
+  }));
+  const deleteBtn = createButton(t('settings.crosscheck.templates.delete'), () => {
+    if (!confirm(t('settings.crosscheck.templates.delete.confirm', { name: getTemplateLabel(template) }))) return;
+    deleteTemplate(template.id);
+    editTemplate(getSelectedTemplate().id);
+  });
+  deleteBtn.disabled = !!template.builtIn;
+  listRow.appendChild(deleteBtn);
+  container.appendChild(listRow);
+
+  // Name
+  const nameInput = document.createElement('input');
+  nameInput.type = 'text';
+  nameInput.className = 'api-key-input';
+  nameInput.value = getTemplateLabel(template);
+  nameInput.placeholder = t('settings.crosscheck.templates.name');
+  nameInput.readOnly = !!template.builtIn;
+  nameInput.addEventListener('input', () => {
+    updateTemplate(template.id, { name: nameInput.value });
+    const option = select.querySelector(`option[value="${template.id}"]`);
+    if (option) option.textContent = nameInput.value.trim() || t('settings.crosscheck.templates.untitled');
+    renderTemplatePicker();
+  });
+  container.appendChild(nameInput);
+
+  if (template.builtIn) {
+    const readOnlyHint = document.createElement('p');
+    readOnlyHint.className = 'settings-hint';
+    readOnlyHint.textContent = t('settings.crosscheck.templates.readOnly');
+    container.appendChild(readOnlyHint);
+  }
+
+  // Content, saved only while it is valid
+  const textarea = document.createElement('textarea');
+  textarea.className = 'settings-textarea';
+  textarea.rows = 14;
+  textarea.value = template.content;
+  textarea.readOnly = !!template.builtIn;
+  const errorMsg = document.createElement('p');
+  errorMsg.className = 'template-errors';
+  const help = document.createElement('details');
+  const preview = document.createElement('details');
+  container.append(textarea, errorMsg, help, preview);
+  initTemplateEditor({
+    textarea,
+    errorMsg,
+    help,
+    preview,
+    kind: 'crossCheck',
+    getPreview,
+    t,
+    onValid: (content) => updateTemplate(template.id, { content })
+  });
+
+  // Use, import and export
+  const actions = document.createElement('div');
+  actions.className = 'settings-actions';
+  const useBtn = createButton(t(inUse ? 'settings.crosscheck.templates.inUse' : 'settings.crosscheck.templates.use'), () => {
+    selectTemplate(template.id);
+    renderTemplatePicker();
+    renderTemplateManager();
+  });
+  useBtn.disabled = inUse;
+  actions.appendChild(useBtn);
+
+  const fileInput = document.createElement('input');
+  fileInput.type = 'file';
+  fileInput.accept = '.md,.markdown,.txt';
+  fileInput.style.display = 'none';
+  fileInput.addEventListener('change', async () => {
+    const file = fileInput.files[0];
+    if (!file) return;
+    const count = importTemplates(await file.text());
+    if (count === 0) {
+      showNotification(t('settings.crosscheck.templates.import.none'), 'error');
+      return;
+    }
+    showNotification(t('settings.crosscheck.templates.import.done', { count }));
+    renderTemplatePicker();
+    renderTemplateManager();
+  });
+  actions.appendChild(fileInput);
+  actions.appendChild(createButton(t('settings.crosscheck.templates.import'), () => fileInput.click()));
+  actions.appendChild(createButton(t('settings.crosscheck.templates.export'), () => {
+    // The user templates, or the built-in one shown when there are none
+    const hasOwn = getTemplates().some(entry => !entry.builtIn);
+    downloadMarkdown(exportTemplates(hasOwn ? null : [template.id]));
+  }));
+  container.appendChild(actions);
+}
+
+/**
+ * Show a template in the manager and refresh the picker
+ * @param {string} id
+ */
+function editTemplate(id) {
+  editingId = id;
+  renderTemplatePicker();
+  renderTemplateManager();
+}
+
+/**
+ * @param {string} label
+ * @param {Function} onClick
+ * @returns {HTMLButtonElement}
+ */
+function createButton(label, onClick) {
+  const button = document.createElement('button');
+  button.className = 'btn-secondary';
+  button.textContent = label;
+  button.addEventListener('click', onClick);
+  return button;
+}
+
+/**
+ * Save exported templates as a markdown file
+ * @param {string} markdown
+ */
+function downloadMarkdown(markdown) {
+  const url = URL.createObjectURL(new Blob([markdown], { type: 'text/markdown' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = 'oneprompt-crosscheck-templates.md';
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
@@ -0,0 +1,231 @@
+/**
+ * Custom Endpoints Module
+ * Settings UI for user-defined OpenAI-compatible API services
+ * (Ollama, LM Studio, vLLM, llama.cpp server, ...)
+ *
+ * Usage:
+ * 1. Import in renderer-entry.js
+ * 2. Call initCustomEndpoints() with config object
+ * 3. Call renderCustomEndpoints() when the settings modal opens
+ */
+
+import {
+  getCustomApiServices,
+  saveCustomApiServices,
+  createCustomApiService
+} from '../core/ai-services.js';
+import { createGenerationParamsForm } from './generation-params.js';
+import {
+  createModelRefreshRow,
+  createConnectionBadge,
+  createConnectionTestRow,
+  notifyConnectionChange,
+  bindKeyInput
+} from './provider-settings.js';
+
+const logger = window.OnePromptLogger || console;
+
+// Module state - initialized via initCustomEndpoints()
+let listContainer = null;
+let addButton = null;
+let onChangeFn = null;
+let t = (key) => key;
+
+/**
+ * Initialize the custom endpoints settings section
+ * @param {Object} config - Configuration object
+ * @param {HTMLElement} config.listContainer - Element that holds the endpoint cards
+ * @param {HTMLElement} config.addButton - "Add endpoint" button
+ * @param {Function} config.onChange - Called with { type: 'add'|'update'|'remove', id } after each save
+ * @param {Function} [config.t] - i18n function
+ */
+export function initCustomEndpoints(config) {
+  listContainer = config.listContainer;
+  addButton = config.addButton;
+  onChangeFn = config.onChange || null;
+  if (config.t) t = config.t;
+
+  if (addButton) {
+    addButton.addEventListener('click', () => {
+      const services = getCustomApiServices();
+      const service = createCustomApiService();
+      services.push(service);
+      saveCustomApiServices(services);
+      renderCustomEndpoints();
+      notifyChange('add', service.id);
+    });
+  }
+
+  renderCustomEndpoints();
+  logger.log('[CustomEndpoints] Module initialized');
+}
+
+/**
+ * Render one card per custom endpoint
+ */
+export function renderCustomEndpoints() {
+  if (!listContainer) return;
+
+  listContainer.innerHTML = '';
+  getCustomApiServices().forEach(service => {
+    listContainer.appendChild(createEndpointCard(service));
+  });
+}
+
+/**
+ * Create the editable card for a custom endpoint
+ * @param {Object} service - Custom endpoint
+ * @returns {HTMLElement}
+ */
+function createEndpointCard(service) {
+  const card = document.createElement('div');
+  card.className = 'api-service-card custom-endpoint-card';
+  card.dataset.serviceId = service.id;
+
+  const header = document.createElement('div');
+  header.className = 'api-service-header';
+
+  const colorInput = document.createElement('input');
+  colorInput.type = 'color';
+  colorInput.className = 'custom-endpoint-color';
+  colorInput.value = service.color || '#6b7280';
+  colorInput.title = t('settings.customEndpoints.color');
+
+  const title = document.createElement('span');
+  title.textContent = service.name;
+
+  const removeBtn = document.createElement('button');
+  removeBtn.className = 'btn-secondary custom-endpoint-remove';
+  removeBtn.textContent = t('settings.customEndpoints.remove');
+  removeBtn.addEventListener('click', () => {
+    window.OnePromptCore.setApiKey(service.id, '');
+    window.OnePromptCore.setGenerationSettings(service.id, {});
+    window.OnePromptCore.clearCachedModels(service.id);
+    window.OnePromptCore.clearConnectionStatus(service.id);
+    saveCustomApiServices(getCustomApiServices().filter(s => s.id !== service.id));
+    card.remove();
+    notifyChange('remove', service.id);
+  });
+
+  header.appendChild(colorInput);
+  header.appendChild(title);
+  header.appendChild(createConnectionBadge(service.id));
+  header.appendChild(removeBtn);
+  card.appendChild(header);
+
+  const group = document.createElement('div');
+  group.className = 'api-key-input-group';
+
+  const fields = [
+    { field: 'name', label: 'settings.customEndpoints.name', type: 'text', placeholder: 'Ollama' },
+    { field: 'baseUrl', label: 'settings.customEndpoints.baseUrl', type: 'text', placeholder: 'http://localhost:11434/v1' },
+    { field: 'apiKey', label: 'settings.customEndpoints.apiKey', type: 'password', placeholder: '' },
+    { field: 'model', label: 'settings.model', type: 'text', placeholder: 'llama3.1:8b' },
+    { field: 'contextWindow', label: 'settings.customEndpoints.contextWindow', type: 'number', placeholder: '8192' }
+  ];
+
+  fields.forEach(({ field, label, type, placeholder }) => {
+    const labelEl = document.createElement('label');
+    labelEl.className = 'api-key-label';
+    labelEl.textContent = t(label);
+
+    const input = document.createElement('input');
+    input.type = type;
+    input.className = 'api-key-input';
+    input.placeholder = placeholder;
+    // The key is stored apart from the endpoint settings (encrypted when possible)
+    input.value = (field === 'apiKey' ? window.OnePromptCore.getApiKey(service.id) : service[field]) || '';
+    if (field === 'apiKey') {
+      // setApiKey also clears the connection status: a new key needs a new test
+      bindKeyInput(input, (value) => {
+        window.OnePromptCore.setApiKey(service.id, value.trim());
+        notifyConnectionChange();
+      });
+    } else {
+      input.addEventListener('input', (e) => {
+        updateService(service.id, { [field]: e.target.value.trim() });
+        if (field === 'name') title.textContent = e.target.value;
+        // A new address needs a new test, a new model is checked against the last one
+        if (field === 'baseUrl') window.OnePromptCore.clearConnectionStatus(service.id);
+        if (['baseUrl', 'model'].includes(field)) notifyConnectionChange();
+      });
+    }
+
+    group.appendChild(labelEl);
+    group.appendChild(input);
+
+    // Models fetched from the endpoint are offered as suggestions, any name can still be typed
+    if (field === 'model') {
+      const datalist = document.createElement('datalist');
+      datalist.id = `${service.id}-models`;
+      input.setAttribute('list', datalist.id);
+      fillModelSuggestions(datalist, service.id);
+      group.appendChild(datalist);
+      group.appendChild(createModelRefreshRow({
+        aiKey: service.id,
+        onRefreshed: () => fillModelSuggestions(datalist, service.id),
+        t
+      }));
+    }
+  });
+
+  group.appendChild(createConnectionTestRow({ aiKey: service.id }));
+
+  colorInput.addEventListener('input', (e) => {
+    updateService(service.id, { color: e.target.value });
+  });
+
+  const paramsLabel = document.createElement('label');
+  paramsLabel.className = 'api-key-label';
+  paramsLabel.textContent = t('params.title');
+  group.appendChild(paramsLabel);
+  group.appendChild(createGenerationParamsForm({
+    aiKey: service.id,
+    values: window.OnePromptCore.getGenerationSettings(service.id),
+    onChange: (values) => window.OnePromptCore.setGenerationSettings(service.id, values),
+    t
+  }));
+
+  card.appendChild(group);
+  return card;
+}
+
+/**
+ * Fill a model datalist from the models fetched for an endpoint
+ * @param {HTMLDataListElement} datalist
+ * @param {string} id - Endpoint id
+ */
+function fillModelSuggestions(datalist, id) {
+  datalist.innerHTML = '';
+  window.OnePromptCore.getAvailableModels(id).forEach(model => {
+    const option = document.createElement('option');
+    option.value = model.id;
+    datalist.appendChild(option);
+  });
+}
+
+/**
+ * Merge changes into a stored endpoint and notify listeners
+ * @param {string} id - Endpoint id
+ * @param {Object} changes - Fields to update
+ */
+function updateService(id, changes) {
+  const services = getCustomApiServices();
+  const service = services.find(s => s.id === id);
+  if (!service) return;
+
+  Object.assign(service, changes);
+  saveCustomApiServices(services);
+  notifyChange('update', id);
+}
+
+/**
+ * Forward a change to the registered callback
+ * @param {string} type - 'add', 'update' or 'remove'
+ * @param {string} id - Endpoint id
+ */
+function notifyChange(type, id) {
+  if (onChangeFn) {
+    onChangeFn({ type, id });
+  }
+}
@@ -0,0 +1,148 @@
+/**
+ * Generation Parameters Module
+ * Form for temperature, top_p, max output tokens and reasoning effort / thinking budget.
+ * Fields follow what the selected model supports (see OnePromptCore.getModelParameters),
+ * so the same form serves provider settings, custom endpoints and session overrides
+ *
+ * Usage:
+ * 1. Import in renderer-entry.js
+ * 2. Call createGenerationParamsForm() and append the returned element
+ */
+
+/**
+ * Number fields, in display order
+ */
+const NUMBER_FIELDS = [
+  { name: 'temperature', label: 'params.temperature' },
+  { name: 'topP', label: 'params.topP' },
+  { name: 'maxTokens', label: 'params.maxTokens' }
+];
+
+/**
+ * Create a generation parameters form
+ * @param {Object} config - Configuration object
+ * @param {string} config.aiKey - Service the parameters apply to
+ * @param {string} [config.modelId] - Model to validate against (defaults to the selected one)
+ * @param {Object} [config.values] - Current values
+ * @param {Object} [config.inherited] - Values used when a field is empty (shown as placeholders)
+ * @param {Function} config.onChange - Called with the cleaned values after each edit
+ * @param {Function} [config.t] - i18n function
+ * @returns {HTMLElement}
+ */
+export function createGenerationParamsForm(config) {
+  const core = window.OnePromptCore;
+  const t = config.t || ((key) => key);
+  const inherited = config.inherited || {};
+  const spec = core.getModelParameters(config.aiKey, config.modelId);
+  let values = core.compactParams(config.values);
+
+  const form = document.createElement('div');
+  form.className = 'generation-params';
+
+  const warnings = document.createElement('div');
+  warnings.className = 'generation-params-warnings';
+
+  const showWarnings = () => {
+    const result = core.validateGenerationParams(config.aiKey, { ...inherited, ...values }, config.modelId);
+    warnings.textContent = result.warnings.join(' · ');
+  };
+
+  const update = (name, value) => {
+    values = core.compactParams({ ...values, [name]: value });
+    showWarnings();
+    config.onChange(values);
+  };
+
+  NUMBER_FIELDS.filter(field => spec[field.name]).forEach(field => {
+    const rule = spec[field.name];
+    const input = createNumberInput(rule, values[field.name], inherited[field.name], t);
+    input.addEventListener('change', (e) => update(field.name, parseNumber(e.target.value)));
+    form.appendChild(createRow(t(field.label), input));
+  });
+
+  if (spec.reasoning?.type === 'effort') {
+    const select = document.createElement('select');
+    select.className = 'settings-select';
+    const inheritedLabel = inherited.reasoning ? `${t('params.default')} (${inherited.reasoning})` : t('params.default');
+    [['', inheritedLabel], ...spec.reasoning.options.map(option => [option, option])].forEach(([value, label]) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = label;
+      select.appendChild(option);
+    });
+    select.value = spec.reasoning.options.includes(values.reasoning) ? values.reasoning : '';
+    select.addEventListener('change', (e) => update('reasoning', e.target.value));
+    form.appendChild(createRow(t('params.reasoningEffort'), select));
+  } else if (spec.reasoning?.type === 'budget') {
+    const input = createNumberInput(
+      { ...spec.reasoning, min: spec.reasoning.allowOff ? 0 : spec.reasoning.min, step: 1 },
+      values.reasoning,
+      inherited.reasoning,
+      t
+    );
+    input.addEventListener('change', (e) => update('reasoning', parseNumber(e.target.value)));
+    const label = spec.reasoning.allowOff
+      ? `${t('params.thinkingBudget')} · ${t('params.thinkingBudget.off')}`
+      : t('params.thinkingBudget');
+    form.appendChild(createRow(label, input));
+  }
+
+  const unsupported = ['temperature', 'topP', 'maxTokens', 'reasoning'].filter(name => !spec[name]);
+  if (unsupported.length > 0) {
+    const note = document.createElement('div');
+    note.className = 'generation-params-note';
+    note.textContent = t('params.unsupported', { names: unsupported.map(name => t(`params.${name}`)).join(', ') });
+    form.appendChild(note);
+  }
+
+  form.appendChild(warnings);
+  showWarnings();
+  return form;
+}
+
+/**
+ * Labelled form row
+ * @param {string} text
+ * @param {HTMLElement} control
+ * @returns {HTMLElement}
+ */
+function createRow(text, control) {
+  const row = document.createElement('label');
+  row.className = 'generation-params-row';
+  const label = document.createElement('span');
+  label.textContent = text;
+  row.appendChild(label);
+  row.appendChild(control);
+  return row;
+}
+
+/**
+ * Number input bounded by a parameter rule
+ * @param {{min: number, max: number|null, step?: number}} rule
+ * @param {number} [value]
+ * @param {number} [inheritedValue] - Shown as placeholder
+ * @param {Function} t - i18n function
+ * @returns {HTMLInputElement}
+ */
+function createNumberInput(rule, value, inheritedValue, t) {
+  const input = document.createElement('input');
+  input.type = 'number';
+  input.className = 'api-key-input';
+  input.min = String(rule.min);
+  if (rule.max !== null && rule.max !== undefined) input.max = String(rule.max);
+  input.step = String(rule.step || 1);
+  input.value = value ?? '';
+  input.placeholder = inheritedValue ?? t('params.default');
+  return input;
+}
+
+/**
+ * Parse a number input, empty meaning "unset"
+ * @param {string} raw
+ * @returns {number|null}
+ */
+function parseNumber(raw) {
+  if (raw === '') return null;
+  const number = Number(raw);
+  return Number.isFinite(number) ? number : null;
+}
@@ -0,0 +1,196 @@
+/**
+ * Model Instances Module
+ * "Model instances" section of the services modal (API mode): extra panels of the
+ * current session running another model of a service, each with its own history
+ *
+ * Usage:
+ * 1. Import in renderer-entry.js
+ * 2. Call initModelInstances() with config object
+ * 3. Call renderModelInstances() when the services modal opens
+ */
+
+import { getApiServices, createModelInstance } from '../core/ai-services.js';
+
+const logger = window.OnePromptLogger || console;
+
+// Module state - initialized via initModelInstances()
+let container = null;
+let aiConfigs = {};
+let getCurrentSession = () => null;
+let onChangeFn = () => {};
+let t = (key) => key;
+
+/**
+ * Initialize the model instances section
+ * @param {Object} config - Configuration object
+ * @param {HTMLElement} config.container - Element the section is rendered into
+ * @param {Object} config.aiConfigs - AI configurations (service names)
+ * @param {Function} config.getCurrentSession - Returns the active session
+ * @param {Function} config.onChange - Called with { type: 'add'|'remove', instance }, the caller updates the session
+ * @param {Function} [config.t] - i18n function
+ */
+export function initModelInstances(config) {
+  container = config.container;
+  if (config.aiConfigs) aiConfigs = config.aiConfigs;
+  if (config.getCurrentSession) getCurrentSession = config.getCurrentSession;
+  if (config.onChange) onChangeFn = config.onChange;
+  if (config.t) t = config.t;
+
+  renderModelInstances();
+  logger.log('[ModelInstances] Module initialized');
+}
+
+/**
+ * Render the instance list and the add form (API sessions only)
+ */
+export function renderModelInstances() {
+  if (!container) return;
+  container.innerHTML = '';
+
+  const session = getCurrentSession();
+  if (!session || session.mode !== 'api') {
+    container.style.display = 'none';
+    return;
+  }
+  container.style.display = '';
+
+  const title = document.createElement('div');
+  title.className = 'settings-section-title';
+  title.textContent = t('instances.title');
+  container.appendChild(title);
+
+  const hint = document.createElement('p');
+  hint.className = 'settings-hint';
+  hint.textContent = t('instances.desc');
+  container.appendChild(hint);
+
+  (session.modelInstances || []).forEach(instance => {
+    container.appendChild(createInstanceRow(instance));
+  });
+
+  container.appendChild(createAddForm());
+}
+
+/**
+ * Name of a service, falling back to its key
+ * @param {string} aiKey
+ * @returns {string}
+ */
+function getServiceName(aiKey) {
+  return aiConfigs[aiKey]?.name || aiKey;
+}
+
+/**
+ * Row of an existing instance with its remove button
+ * @param {Object} instance
+ * @returns {HTMLElement}
+ */
+function createInstanceRow(instance) {
+  const row = document.createElement('div');
+  row.className = 'model-instance-row';
+
+  const label = document.createElement('span');
+  label.className = 'model-instance-name';
+  label.textContent = instance.name;
+
+  const detail = document.createElement('span');
+  detail.className = 'model-instance-detail';
+  detail.textContent = `${getServiceName(instance.provider)} · ${instance.model}`;
+
+  const removeBtn = document.createElement('button');
+  removeBtn.className = 'btn-secondary';
+  removeBtn.textContent = t('instances.remove');
+  removeBtn.addEventListener('click', () => {
+    const hasHistory = (getCurrentSession()?.apiChatHistory?.[instance.id] || []).length > 0;
+    if (hasHistory && !confirm(t('instances.remove.confirm', { name: instance.name }))) return;
+    onChangeFn({ type: 'remove', instance });
+    renderModelInstances();
+  });
+
+  row.appendChild(label);
+  row.appendChild(detail);
+  row.appendChild(removeBtn);
+  return row;
+}
+
+/**
+ * Service / model / name form adding an instance to the current session
+ * @returns {HTMLElement}
+ */
+function createAddForm() {
+  const core = window.OnePromptCore;
+  const form = document.createElement('div');
+  form.className = 'model-instance-form';
+
+  const serviceSelect = document.createElement('select');
+  serviceSelect.className = 'settings-select';
+  getApiServices().forEach(aiKey => {
+    const option = document.createElement('option');
+    option.value = aiKey;
+    option.textContent = getServiceName(aiKey);
+    serviceSelect.appendChild(option);
+  });
+
+  // Select for services with a model list, free text for custom endpoints
+  let modelInput = null;
+  const modelSlot = document.createElement('span');
+  modelSlot.className = 'model-instance-model';
+
+  const nameInput = document.createElement('input');
+  nameInput.type = 'text';
+  nameInput.className = 'api-key-input';
+
+  const getModelName = () => {
+    const models = core.getAvailableModels(serviceSelect.value);
+    return models.find(model => model.id === modelInput.value)?.name || modelInput.value.trim();
+  };
+  const updatePlaceholder = () => {
+    nameInput.placeholder = `${getServiceName(serviceSelect.value)} · ${getModelName() || t('settings.model')}`;
+  };
+
+  const buildModelInput = () => {
+    const models = core.getAvailableModels(serviceSelect.value);
+    if (models.length > 0) {
+      modelInput = document.createElement('select');
+      modelInput.className = 'settings-select';
+      models.forEach(model => {
+        const option = document.createElement('option');
+        option.value = model.id;
+        option.textContent = model.name;
+        modelInput.appendChild(option);
+      });
+    } else {
+      modelInput = document.createElement('input');
+      modelInput.type = 'text';
+      modelInput.className = 'api-key-input';
+      modelInput.placeholder = t('settings.model');
+    }
+    modelInput.addEventListener('input', updatePlaceholder);
+    modelInput.addEventListener('change', updatePlaceholder);
+    modelSlot.innerHTML = '';
+    modelSlot.appendChild(modelInput);
+    updatePlaceholder();
+  };
+  serviceSelect.addEventListener('change', buildModelInput);
+  buildModelInput();
+
+  const addBtn = document.createElement('button');
+  addBtn.className = 'btn-primary';
+  addBtn.textContent = t('instances.add');
+  addBtn.addEventListener('click', () => {
+    const model = modelInput.value.trim();
+    if (!model) {
+      modelInput.focus();
+      return;
+    }
+    const name = nameInput.value.trim() || nameInput.placeholder;
+    onChangeFn({ type: 'add', instance: createModelInstance(serviceSelect.value, model, name) });
+    renderModelInstances();
+  });
+
+  form.appendChild(serviceSelect);
+  form.appendChild(modelSlot);
+  form.appendChild(nameInput);
+  form.appendChild(addBtn);
+  return form;
+}
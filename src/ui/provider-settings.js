@@ -0,0 +1,387 @@
+/**
+ * Provider Settings Module
+ * Renders one API settings card per provider adapter registered in OnePromptCore
+ * (auth fields + model picker + generation parameters), so new providers need no HTML changes.
+ * Model lists can be refreshed from the provider, the adapter lists are the offline fallback.
+ * Each card can test its credentials, the result is shown as a badge (also reflected in the sidebar)
+ *
+ * Usage:
+ * 1. Import in renderer-entry.js
+ * 2. Call initProviderSettings() with config object
+ * 3. Call renderProviderSettings() when the settings modal opens
+ */
+
+import { createGenerationParamsForm } from './generation-params.js';
+
+const logger = window.OnePromptLogger || console;
+
+// Module state - initialized via initProviderSettings()
+let container = null;
+let onConnectionChangeFn = () => {};
+let t = (key) => key;
+
+/**
+ * Initialize the provider settings section
+ * @param {Object} config - Configuration object
+ * @param {HTMLElement} config.container - Element that holds the provider cards
+ * @param {Function} [config.onConnectionChange] - Called after a connection status changes (sidebar badges)
+ * @param {Function} [config.t] - i18n function
+ */
+export function initProviderSettings(config) {
+  container = config.container;
+  if (config.onConnectionChange) onConnectionChangeFn = config.onConnectionChange;
+  if (config.t) t = config.t;
+
+  renderProviderSettings();
+  logger.log('[ProviderSettings] Module initialized');
+}
+
+// Pause in typing after which a key input is saved
+const KEY_SAVE_DELAY_MS = 500;
+
+/**
+ * Save a key input once typing pauses (and at once when it loses focus), not on
+ * every keystroke: with encryption on, each save encrypts and rewrites the key file
+ * @param {HTMLInputElement} input
+ * @param {Function} save - Called with the input value
+ */
+export function bindKeyInput(input, save) {
+  let timer = null;
+  const flush = () => {
+    if (timer === null) return;
+    clearTimeout(timer);
+    timer = null;
+    save(input.value);
+  };
+  input.addEventListener('input', () => {
+    clearTimeout(timer);
+    timer = setTimeout(flush, KEY_SAVE_DELAY_MS);
+  });
+  input.addEventListener('change', flush);
+}
+
+/**
+ * Render one card per registered provider
+ */
+export function renderProviderSettings() {
+  const core = window.OnePromptCore;
+  if (!container || !core || typeof core.getProviders !== 'function') return;
+
+  container.innerHTML = '';
+
+  // Keys fall back to plaintext localStorage without an OS keychain
+  const storage = core.getSecureStorageStatus();
+  if (storage.reason === 'unavailable' || storage.reason === 'error') {
+    const warning = document.createElement('div');
+    warning.className = 'secure-storage-warning';
+    warning.textContent = t(`settings.secureStorage.${storage.reason}`);
+    container.appendChild(warning);
+  }
+
+  core.getProviders().forEach(provider => {
+    container.appendChild(createProviderCard(provider));
+  });
+}
+
+/**
+ * Translate a label, falling back to the adapter's own text
+ * @param {string} [i18nKey]
+ * @param {string} fallback
+ * @returns {string}
+ */
+function translateOr(i18nKey, fallback) {
+  if (!i18nKey) return fallback;
+  const translated = t(i18nKey);
+  return translated && translated !== i18nKey ? translated : fallback;
+}
+
+/**
+ * Create the settings card for a provider adapter
+ * @param {Object} provider - Provider adapter
+ * @returns {HTMLElement}
+ */
+function createProviderCard(provider) {
+  const core = window.OnePromptCore;
+
+  const card = document.createElement('div');
+  card.className = 'api-service-card';
+  card.dataset.providerId = provider.id;
+
+  const header = document.createElement('div');
+  header.className = 'api-service-header';
+
+  if (provider.logo) {
+    const logo = document.createElement('img');
+    logo.src = provider.logo;
+    logo.alt = provider.name;
+    logo.style.width = '24px';
+    logo.style.height = '24px';
+    logo.style.objectFit = 'contain';
+    header.appendChild(logo);
+  }
+
+  const title = document.createElement('span');
+  title.textContent = provider.name;
+  header.appendChild(title);
+  header.appendChild(createConnectionBadge(provider.id));
+  card.appendChild(header);
+
+  const group = document.createElement('div');
+  group.className = 'api-key-input-group';
+
+  provider.authFields.forEach(field => {
+    const label = document.createElement('label');
+    label.className = 'api-key-label';
+    label.textContent = translateOr(field.i18nKey, field.label);
+
+    const input = document.createElement('input');
+    input.type = field.type || 'text';
+    input.className = 'api-key-input';
+    input.placeholder = field.placeholder || '';
+    input.value = core.getAuthValue(provider.id, field.id) || '';
+    bindKeyInput(input, (value) => {
+      core.setAuthValue(provider.id, field.id, value);
+      notifyConnectionChange();
+    });
+
+    group.appendChild(label);
+    group.appendChild(input);
+  });
+
+  group.appendChild(createConnectionTestRow({ aiKey: provider.id }));
+
+  if (provider.models.length > 0 || core.getCachedModels(provider.id)) {
+    group.appendChild(createModelSection(provider.id));
+  }
+
+  card.appendChild(group);
+  return card;
+}
+
+/**
+ * Model picker with its refresh row, followed by the generation parameters
+ * Rebuilt in place after a model list refresh
+ * @param {string} aiKey
+ * @returns {HTMLElement}
+ */
+function createModelSection(aiKey) {
+  const core = window.OnePromptCore;
+  const section = document.createElement('div');
+
+  const modelWrapper = document.createElement('div');
+  modelWrapper.style.marginTop = '0.5rem';
+
+  const modelLabel = document.createElement('label');
+  modelLabel.className = 'api-key-label';
+  modelLabel.style.fontSize = '0.8rem';
+  modelLabel.textContent = t('settings.model');
+
+  const select = document.createElement('select');
+  select.className = 'settings-select';
+  select.style.width = '100%';
+  select.style.marginTop = '0.25rem';
+
+  core.getAvailableModels(aiKey).forEach(model => {
+    const option = document.createElement('option');
+    option.value = model.id;
+    option.textContent = model.name;
+    select.appendChild(option);
+  });
+
+  // Keep a saved model the provider no longer lists selectable, flagged
+  const selectedModel = core.getSelectedModel(aiKey);
+  const missing = selectedModel && !core.isModelAvailable(aiKey, selectedModel);
+  if (missing) {
+    const option = document.createElement('option');
+    option.value = selectedModel;
+    option.textContent = `${selectedModel} (${t('settings.models.unavailable')})`;
+    select.prepend(option);
+  }
+  select.value = selectedModel;
+
+  const warning = document.createElement('div');
+  warning.className = 'model-unavailable-warning';
+  warning.textContent = t('settings.models.missing', { model: selectedModel });
+  warning.style.display = missing ? '' : 'none';
+
+  modelWrapper.appendChild(modelLabel);
+  modelWrapper.appendChild(select);
+  modelWrapper.appendChild(warning);
+  modelWrapper.appendChild(createModelRefreshRow({
+    aiKey,
+    onRefreshed: () => section.replaceWith(createModelSection(aiKey)),
+    t
+  }));
+  section.appendChild(modelWrapper);
+
+  // Supported parameters depend on the model, rebuild the form when it changes
+  let paramsForm = createParamsSection(aiKey);
+  section.appendChild(paramsForm);
+  select.addEventListener('change', (e) => {
+    core.setSelectedModel(aiKey, e.target.value);
+    notifyConnectionChange();
+    warning.style.display = core.isModelAvailable(aiKey, e.target.value) ? 'none' : '';
+    const nextForm = createParamsSection(aiKey);
+    paramsForm.replaceWith(nextForm);
+    paramsForm = nextForm;
+  });
+
+  return section;
+}
+
+/**
+ * "Refresh models" button with the age of the cached list
+ * Also used by the custom endpoint cards
+ * @param {Object} config - Configuration object
+ * @param {string} config.aiKey - Service whose model list is fetched
+ * @param {Function} config.onRefreshed - Called with the new cache after a successful refresh
+ * @param {Function} [config.t] - i18n function
+ * @returns {HTMLElement}
+ */
+export function createModelRefreshRow(config) {
+  const core = window.OnePromptCore;
+  const translate = config.t || t;
+
+  const row = document.createElement('div');
+  row.className = 'model-refresh-row';
+
+  const button = document.createElement('button');
+  button.className = 'btn-secondary model-refresh-btn';
+  button.textContent = translate('settings.models.refresh');
+
+  const status = document.createElement('span');
+  status.className = 'model-refresh-status';
+  const showCacheAge = (cache) => {
+    status.textContent = cache
+      ? translate('settings.models.updated', { date: new Date(cache.fetchedAt).toLocaleString() })
+      : translate('settings.models.builtIn');
+  };
+  showCacheAge(core.getCachedModels(config.aiKey));
+
+  button.addEventListener('click', async () => {
+    button.disabled = true;
+    status.classList.remove('error');
+    status.textContent = translate('settings.models.refreshing');
+    try {
+      const cache = await core.refreshModels(config.aiKey);
+      showCacheAge(cache);
+      config.onRefreshed(cache);
+    } catch (error) {
+      logger.warn('[ProviderSettings] Model refresh failed:', error.message);
+      status.classList.add('error');
+      // OnePromptCore throws typed errors, show the translated reason when there is one
+      const reason = error.type
+        ? translate(`api.error.${error.type}`, { provider: error.provider || '', message: error.message })
+        : error.message;
+      status.textContent = translate('settings.models.refreshError', { error: reason });
+      status.title = error.message;
+    } finally {
+      button.disabled = false;
+    }
+  });
+
+  row.appendChild(button);
+  row.appendChild(status);
+  return row;
+}
+
+/**
+ * Header badge with the result of the last connection test
+ * Kept up to date by notifyConnectionChange()
+ * @param {string} aiKey
+ * @returns {HTMLElement}
+ */
+export function createConnectionBadge(aiKey) {
+  const badge = document.createElement('span');
+  badge.className = 'connection-badge';
+  badge.dataset.aiKey = aiKey;
+  updateConnectionBadge(badge);
+  return badge;
+}
+
+/**
+ * @param {HTMLElement} badge - Created by createConnectionBadge()
+ */
+function updateConnectionBadge(badge) {
+  const result = window.OnePromptCore.getConnectionStatus(badge.dataset.aiKey);
+  const status = result ? result.status : 'untested';
+  badge.className = `connection-badge connection-${status}`;
+  badge.textContent = t(`settings.connection.${status}`);
+  badge.title = result
+    ? [new Date(result.checkedAt).toLocaleString(), result.message].filter(Boolean).join(' · ')
+    : '';
+}
+
+/**
+ * Refresh every connection badge and tell the sidebar
+ * Call after credentials, the selected model or a test result change
+ */
+export function notifyConnectionChange() {
+  document.querySelectorAll('.connection-badge[data-ai-key]').forEach(updateConnectionBadge);
+  onConnectionChangeFn();
+}
+
+/**
+ * "Test connection" button reporting the result inline
+ * Also used by the custom endpoint cards
+ * @param {Object} config - Configuration object
+ * @param {string} config.aiKey - Service to test
+ * @returns {HTMLElement}
+ */
+export function createConnectionTestRow(config) {
+  const core = window.OnePromptCore;
+
+  const row = document.createElement('div');
+  row.className = 'connection-test-row';
+
+  const button = document.createElement('button');
+  button.className = 'btn-secondary connection-test-btn';
+  button.textContent = t('settings.connection.test');
+
+  const result = document.createElement('span');
+  result.className = 'connection-test-result';
+
+  button.addEventListener('click', async () => {
+    button.disabled = true;
+    result.className = 'connection-test-result';
+    result.textContent = t('settings.connection.testing');
+
+    const outcome = await core.testConnection(config.aiKey);
+    result.classList.add(`connection-${outcome.status}`);
+    result.textContent = t(`settings.connection.result.${outcome.status}`, {
+      model: outcome.message || core.getSelectedModel(config.aiKey) || '',
+      message: outcome.message || ''
+    });
+    button.disabled = false;
+    notifyConnectionChange();
+  });
+
+  row.appendChild(button);
+  row.appendChild(result);
+  return row;
+}
+
+/**
+ * Generation parameters of a provider, validated against its selected model
+ * @param {string} aiKey
+ * @returns {HTMLElement}
+ */
+function createParamsSection(aiKey) {
+  const core = window.OnePromptCore;
+  const section = document.createElement('div');
+  section.className = 'generation-params-section';
+
+  const label = document.createElement('label');
+  label.className = 'api-key-label';
+  label.style.fontSize = '0.8rem';
+  label.textContent = t('params.title');
+  section.appendChild(label);
+
+  section.appendChild(createGenerationParamsForm({
+    aiKey,
+    values: core.getGenerationSettings(aiKey),
+    onChange: (values) => core.setGenerationSettings(aiKey, values),
+    t
+  }));
+  return section;
+}
@@ -148,6 +148,10 @@ export function renderServicesGrid(mode = 'web') {
     if (mode === 'api' && !apiServices.includes(aiKey)) {
       return;
     }
+    // Custom endpoints have no web interface
+    if (mode !== 'api' && config.apiOnly) {
+      return;
+    }
     const card = createServiceCard(aiKey, config, mode);
     servicesGrid.appendChild(card);
   });
@@ -185,6 +189,9 @@ export function createServiceCard(aiKey, config, mode = 'web') {
 
   if (config.logo) {
     icon.innerHTML = `<img src="${config.logo}" alt="${config.name}">`;
+  } else if (config.apiOnly) {
+    // API-only configs carry a pre-sanitized letter badge (see ai-services.js)
+    icon.innerHTML = config.icon;
   } else {
     icon.textContent = config.icon;
   }
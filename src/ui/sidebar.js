@@ -100,6 +100,23 @@ export function renderSidebar() {
     }
   });
 
+  // Model instances of the current session, after the services
+  if (mode === 'api' && currentSession) {
+    (currentSession.modelInstances || []).forEach((instance, index) => {
+      const config = aiConfigs[instance.id];
+      if (!config) return;
+
+      // Instances share the logo of their service, number them to tell them apart
+      const button = createSidebarButton(instance.id, config, mode);
+      button.classList.add('model-instance');
+      const tag = document.createElement('span');
+      tag.className = 'sidebar-item-instance-tag';
+      tag.textContent = String(index + 1);
+      button.appendChild(tag);
+      sidebarNav.appendChild(button);
+    });
+  }
+
   // Update scroll indicators
   updateScrollIndicators();
 }
@@ -214,7 +231,7 @@ function createSidebarButton(key, config, mode) {
   // Add logged-in class if configured
   let isConfigured = false;
   if (mode === 'api') {
-    if (configuredApiAIs.has(key)) isConfigured = true;
+    if (configuredApiAIs.has(key) || config.instanceOf) isConfigured = true;
   } else {
     if (configuredAIs.has(key)) isConfigured = true;
   }
@@ -223,6 +240,13 @@ function createSidebarButton(key, config, mode) {
     button.classList.add('logged-in');
   }
 
+  // Result of the last "Test connection" of the service (API settings)
+  const connection = mode === 'api' ? window.OnePromptCore?.getConnectionStatus?.(key) : null;
+  if (connection) {
+    button.classList.add(`connection-${connection.status}`);
+    if (connection.status !== 'valid') button.title = `${config.name} · ${connection.message || connection.status}`;
+  }
+
   // Security fix: avoid innerHTML injection in onerror handler
   const iconHtml = config.logo
     ? `<img src="${config.logo}" alt="${config.name}" onerror="this.style.display='none'; this.nextElementSibling.style.display='inline';"><span class="icon-fallback" style="display:none;">${config.icon}</span>`
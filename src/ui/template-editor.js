@@ -0,0 +1,113 @@
+/**
+ * Template Editor Module
+ * Validation, syntax help and live preview of a prompt template textarea
+ * (cross-check templates and the synthesis template of the settings modal)
+ *
+ * Usage:
+ * 1. Import in renderer-entry.js (or from another UI module)
+ * 2. Call initTemplateEditor() with the textarea and its companion elements
+ * 3. Call refresh() on the returned editor after setting the textarea value
+ */
+
+import {
+  TEMPLATE_SCHEMAS,
+  LOOP_VARIABLES,
+  validateTemplate,
+  formatTemplateError
+} from '../services/template-engine.js';
+
+/**
+ * Bind a template textarea to its error list, syntax help and preview
+ * @param {Object} config - Configuration object
+ * @param {HTMLTextAreaElement} config.textarea - Template being edited
+ * @param {HTMLElement} [config.errorMsg] - Error list, hidden while the template is valid
+ * @param {HTMLDetailsElement} [config.preview] - Collapsible preview, filled when opened
+ * @param {HTMLDetailsElement} [config.help] - Collapsible syntax help
+ * @param {string} config.kind - Key of TEMPLATE_SCHEMAS
+ * @param {Function} [config.getPreview] - (template) => { text, sample }
+ * @param {Function} [config.onValid] - Called with the template after each valid edit
+ * @param {Function} [config.t] - i18n function
+ * @returns {{refresh: Function}}
+ */
+export function initTemplateEditor(config) {
+  const { textarea, errorMsg, preview, help, kind, getPreview } = config;
+  const t = config.t || ((key) => key);
+  const onValid = config.onValid || (() => {});
+
+  let previewNote = null;
+  let previewText = null;
+  if (preview) {
+    preview.classList.add('template-preview');
+    preview.innerHTML = '';
+    const summary = document.createElement('summary');
+    summary.textContent = t('template.preview');
+    previewNote = document.createElement('p');
+    previewNote.className = 'settings-hint';
+    previewText = document.createElement('pre');
+    previewText.className = 'template-preview-text';
+    preview.append(summary, previewNote, previewText);
+    preview.addEventListener('toggle', () => renderPreview());
+  }
+  if (help) renderSyntaxHelp(help, kind, t);
+
+  // Rendered only while open, with the last valid template
+  function renderPreview() {
+    if (!preview || !preview.open || !getPreview) return;
+    if (validateTemplate(textarea.value, kind).length > 0) {
+      previewNote.textContent = t('template.preview.invalid');
+      return;
+    }
+    const { text, sample } = getPreview(textarea.value);
+    previewNote.textContent = sample ? t('template.preview.sample') : t('template.preview.session');
+    previewText.textContent = text;
+  }
+
+  function refresh() {
+    const errors = validateTemplate(textarea.value, kind);
+    if (errorMsg) {
+      errorMsg.textContent = errors.map(error => formatTemplateError(error, t)).join('\n');
+      errorMsg.style.display = errors.length > 0 ? 'block' : 'none';
+    }
+    renderPreview();
+    return errors.length === 0;
+  }
+
+  textarea.addEventListener('input', () => {
+    if (refresh()) onValid(textarea.value);
+  });
+
+  refresh();
+  return { refresh };
+}
+
+/**
+ * Variables, loops and conditions a kind of template can use
+ * @param {HTMLDetailsElement} help
+ * @param {string} kind
+ * @param {Function} t
+ */
+function renderSyntaxHelp(help, kind, t) {
+  const schema = TEMPLATE_SCHEMAS[kind];
+  const tags = (names) => names.map(name => `{{${name}}}`).join(', ');
+
+  help.classList.add('template-help');
+  help.innerHTML = '';
+  const summary = document.createElement('summary');
+  summary.textContent = t('template.help');
+  help.appendChild(summary);
+
+  [
+    t('template.help.variables', { list: `${tags(schema.variables)}, {{RESPONSE:claude}}` }),
+    t('template.help.loops', {
+      list: schema.lists.map(list => `{{#each ${list}}} … {{/each}}`).join(', '),
+      variables: tags(LOOP_VARIABLES)
+    }),
+    t('template.help.conditions'),
+    schema.hint ? t(schema.hint) : null
+  ].filter(Boolean).forEach(text => {
+    const line = document.createElement('p');
+    line.className = 'settings-hint';
+    line.textContent = text;
+    help.appendChild(line);
+  });
+}
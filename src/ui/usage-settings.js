@@ -0,0 +1,251 @@
+/**
+ * Usage Settings Module
+ * "Usage" tab of the settings modal: current session totals,
+ * per-month totals and the editable per-model price table
+ *
+ * Usage:
+ * 1. Import in renderer-entry.js
+ * 2. Call initUsageSettings() with config object
+ * 3. Call renderUsageSettings() when the settings modal opens
+ */
+
+import {
+  getPriceTable,
+  getDefaultPrices,
+  setModelPrice,
+  resetPrices,
+  getMonthlyTotals,
+  clearMonthlyTotals,
+  sumTotals,
+  formatTokens,
+  formatCost
+} from '../services/usage.js';
+import { getCustomApiServices } from '../core/ai-services.js';
+
+const logger = window.OnePromptLogger || console;
+
+// Module state - initialized via initUsageSettings()
+let container = null;
+let aiConfigs = {};
+let getCurrentSession = () => null;
+let t = (key) => key;
+
+/**
+ * Initialize the usage settings tab
+ * @param {Object} config - Configuration object
+ * @param {HTMLElement} config.container - Element the tab is rendered into
+ * @param {Object} config.aiConfigs - AI configurations (for service names)
+ * @param {Function} config.getCurrentSession - Returns the active session
+ * @param {Function} [config.t] - i18n function
+ */
+export function initUsageSettings(config) {
+  container = config.container;
+  if (config.aiConfigs) aiConfigs = config.aiConfigs;
+  if (config.getCurrentSession) getCurrentSession = config.getCurrentSession;
+  if (config.t) t = config.t;
+
+  renderUsageSettings();
+  logger.log('[UsageSettings] Module initialized');
+}
+
+/**
+ * Render the whole tab
+ */
+export function renderUsageSettings() {
+  if (!container) return;
+  container.innerHTML = '';
+
+  // Current session
+  const session = getCurrentSession();
+  container.appendChild(createSectionTitle(t('usage.session')));
+  container.appendChild(createTotalsTable(session?.usageTotals || {}));
+
+  // Per month, most recent first
+  container.appendChild(createSectionTitle(t('usage.monthly')));
+  const monthly = getMonthlyTotals();
+  const months = Object.keys(monthly).sort().reverse();
+  if (months.length === 0) {
+    container.appendChild(createEmptyNote());
+  }
+  months.forEach(month => {
+    const label = document.createElement('div');
+    label.className = 'usage-month-label';
+    label.textContent = `${month} · ${formatCost(sumTotals(monthly[month]).cost)}`;
+    container.appendChild(label);
+    container.appendChild(createTotalsTable(monthly[month]));
+  });
+
+  if (months.length > 0) {
+    const actions = document.createElement('div');
+    actions.className = 'settings-actions';
+    const clearBtn = document.createElement('button');
+    clearBtn.className = 'btn-secondary';
+    clearBtn.textContent = t('usage.clearMonthly');
+    clearBtn.addEventListener('click', () => {
+      if (!confirm(t('usage.clearMonthly.confirm'))) return;
+      clearMonthlyTotals();
+      renderUsageSettings();
+    });
+    actions.appendChild(clearBtn);
+    container.appendChild(actions);
+  }
+
+  // Price table
+  container.appendChild(createSectionTitle(t('usage.prices')));
+  const hint = document.createElement('p');
+  hint.className = 'settings-hint';
+  hint.textContent = t('usage.prices.desc');
+  container.appendChild(hint);
+  container.appendChild(createPriceTable());
+
+  const priceActions = document.createElement('div');
+  priceActions.className = 'settings-actions';
+  const resetBtn = document.createElement('button');
+  resetBtn.className = 'btn-secondary';
+  resetBtn.textContent = t('usage.prices.reset');
+  resetBtn.addEventListener('click', () => {
+    resetPrices();
+    renderUsageSettings();
+  });
+  priceActions.appendChild(resetBtn);
+  container.appendChild(priceActions);
+}
+
+/**
+ * @param {string} text
+ * @returns {HTMLElement}
+ */
+function createSectionTitle(text) {
+  const title = document.createElement('div');
+  title.className = 'settings-section-title';
+  title.textContent = text;
+  return title;
+}
+
+/**
+ * @returns {HTMLElement}
+ */
+function createEmptyNote() {
+  const note = document.createElement('p');
+  note.className = 'settings-hint';
+  note.textContent = t('usage.empty');
+  return note;
+}
+
+/**
+ * Display name of a service, falling back to its key
+ * @param {string} aiKey
+ * @returns {string}
+ */
+function getServiceName(aiKey) {
+  return aiConfigs[aiKey]?.name || aiKey;
+}
+
+/**
+ * Build a table element with a header row
+ * @param {string[]} headers
+ * @returns {{table: HTMLTableElement, tbody: HTMLTableSectionElement}}
+ */
+function createTable(headers) {
+  const table = document.createElement('table');
+  table.className = 'usage-table';
+  const headRow = table.createTHead().insertRow();
+  headers.forEach(header => {
+    const th = document.createElement('th');
+    th.textContent = header;
+    headRow.appendChild(th);
+  });
+  return { table, tbody: table.createTBody() };
+}
+
+/**
+ * Table of totals keyed by model, with a sum row
+ * @param {Object} totals - { [model]: { aiKey, inputTokens, outputTokens, cost, requests } }
+ * @returns {HTMLElement}
+ */
+function createTotalsTable(totals) {
+  const rows = Object.entries(totals);
+  if (rows.length === 0) return createEmptyNote();
+
+  const { table, tbody } = createTable([
+    t('usage.service'), t('usage.model'), t('usage.requests'),
+    t('usage.input'), t('usage.output'), t('usage.cost')
+  ]);
+
+  rows.forEach(([model, row]) => {
+    const tr = tbody.insertRow();
+    [getServiceName(row.aiKey), model, formatTokens(row.requests),
+      formatTokens(row.inputTokens), formatTokens(row.outputTokens), formatCost(row.cost)]
+      .forEach(value => { tr.insertCell().textContent = value; });
+  });
+
+  const sum = sumTotals(totals);
+  const totalRow = tbody.insertRow();
+  totalRow.className = 'usage-total-row';
+  [t('usage.total'), '', formatTokens(sum.requests),
+    formatTokens(sum.inputTokens), formatTokens(sum.outputTokens), formatCost(sum.cost)]
+    .forEach(value => { totalRow.insertCell().textContent = value; });
+
+  return table;
+}
+
+/**
+ * Every model worth pricing: adapter models, custom endpoint models,
+ * existing overrides and anything already seen in the monthly totals
+ * @returns {Array<{id: string, name: string}>}
+ */
+function getPricedModels() {
+  const models = new Map();
+  const core = window.OnePromptCore;
+  if (core && typeof core.getProviders === 'function') {
+    core.getProviders().forEach(provider => {
+      provider.models.forEach(model => models.set(model.id, `${provider.name} · ${model.name}`));
+    });
+  }
+  getCustomApiServices().forEach(service => {
+    if (service.model && !models.has(service.model)) {
+      models.set(service.model, `${service.name} · ${service.model}`);
+    }
+  });
+  const seen = [
+    ...Object.keys(getPriceTable()),
+    ...Object.values(getMonthlyTotals()).flatMap(month => Object.keys(month))
+  ];
+  seen.forEach(id => {
+    if (!models.has(id)) models.set(id, id);
+  });
+  return [...models.entries()].map(([id, name]) => ({ id, name }));
+}
+
+/**
+ * Editable price table (USD per 1M tokens)
+ * @returns {HTMLElement}
+ */
+function createPriceTable() {
+  const prices = getPriceTable();
+  const defaults = getDefaultPrices();
+  const { table, tbody } = createTable([t('usage.model'), t('usage.prices.input'), t('usage.prices.output')]);
+
+  getPricedModels().forEach(model => {
+    const tr = tbody.insertRow();
+    tr.insertCell().textContent = model.name;
+
+    const inputs = {};
+    ['input', 'output'].forEach(field => {
+      const input = document.createElement('input');
+      input.type = 'number';
+      input.min = '0';
+      input.step = '0.01';
+      input.className = 'usage-price-input';
+      input.value = prices[model.id]?.[field] ?? '';
+      input.placeholder = defaults[model.id]?.[field] ?? '0';
+      input.addEventListener('change', () => {
+        setModelPrice(model.id, { input: inputs.input.value, output: inputs.output.value });
+      });
+      inputs[field] = input;
+      tr.insertCell().appendChild(input);
+    });
+  });
+
+  return table;
+}
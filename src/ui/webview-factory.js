@@ -121,10 +121,11 @@ function handleZoomChange(event, defaultAiKey) {
 /**
  * Update webview status indicator in header
  * @param {string} aiKey - AI service key
- * @param {string} status - Status: 'ready', 'sent', 'error'
+ * @param {string} status - Status: 'ready', 'sent', 'thinking', 'retrying', 'error'
  * @param {string} [sessionId] - Optional session ID (uses current if not provided)
+ * @param {string} [label] - Optional text shown next to the dot (e.g. retry countdown)
  */
-export function updateWebviewStatus(aiKey, status, sessionId = null) {
+export function updateWebviewStatus(aiKey, status, sessionId = null, label = null) {
   const sessId = sessionId || module.currentSessionId;
   const statusEl = document.getElementById(`status-${sessId}-${aiKey}`);
   if (!statusEl) return;
@@ -132,11 +133,13 @@ export function updateWebviewStatus(aiKey, status, sessionId = null) {
   const statusMap = {
     ready: { text: '●', color: 'var(--text-secondary)' },
     sent: { text: '●', color: 'var(--success-color)' },
+    thinking: { text: '●', color: 'var(--accent-color)' },
+    retrying: { text: '●', color: '#f0ad4e' },
     error: { text: '●', color: '#dc3545' }
   };
 
   const statusInfo = statusMap[status] || statusMap.ready;
-  statusEl.textContent = statusInfo.text;
+  statusEl.textContent = label ? `${statusInfo.text} ${label}` : statusInfo.text;
   statusEl.style.color = statusInfo.color;
 }
 